@@ -0,0 +1,254 @@
+// Отчет по делу: кто, когда, какой версией и с какими настройками обработал файлы,
+// SHA-256 исходных файлов и результатов, подошедшие ключи и декодеры имен, типы и неудачи.
+// Отчет сохраняется как JSON или как самодостаточная страница HTML для печати;
+// по нему запуск можно повторить и проверить, что результаты не изменились.
+
+// Ключ localStorage для имени оператора
+const CASE_OPERATOR_STORAGE_KEY = 'geolens-operator';
+
+// Запуски обработки на этой странице (и в восстановленной сессии):
+// { mode, startedAt, finishedAt, fileCount, keyNames, settings, summary }
+let caseRuns = [];
+
+/**
+ * Начинает запись о запуске обработки
+ * Пароли в запись не попадают, только названия ключей
+ * @param {string} mode - 'decrypt' или 'encrypt'
+ * @param {number} fileCount - число обрабатываемых файлов
+ * @param {Object[]} candidates - пароли { name, password }
+ * @returns {Object} - запись о запуске
+ */
+function beginCaseRun(mode, fileCount, candidates) {
+    const run = {
+        mode,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        fileCount,
+        keyNames: candidates.map(candidate => candidate.name),
+        settings: {
+            timeZone: getSourceTimeZone(),
+            template: namingSettings.template || DEFAULT_OUTPUT_TEMPLATE,
+            order: namingSettings.order,
+            outputFolder: mode === 'decrypt' && outputFolder ? outputFolder.name : null,
+            conflictPolicy: mode === 'decrypt' && outputFolder ? getOutputConflictPolicy() : null,
+            resumeOutput: mode === 'decrypt' && outputFolder ? isOutputResumeEnabled() : null
+        },
+        summary: null
+    };
+    caseRuns.push(run);
+    return run;
+}
+
+/**
+ * Завершает запись о запуске
+ * @param {Object} run - запись beginCaseRun
+ * @param {Object} summary - счетчики запуска, например { succeeded, failed }
+ */
+function finishCaseRun(run, summary) {
+    run.finishedAt = new Date().toISOString();
+    run.summary = summary;
+    saveSessionSettings();
+}
+
+/**
+ * Возвращает имя оператора из поля отчета
+ * @returns {string}
+ */
+function getCaseOperator() {
+    return document.getElementById('case-operator').value.trim();
+}
+
+/**
+ * Собирает отчет по делу
+ * @param {Object[]} records - записи getRecordsForExport (сообщения уже переведены)
+ * @param {string} operator - имя оператора
+ * @returns {Object}
+ */
+function buildCaseReport(records, operator) {
+    const files = records.map(record => ({
+        path: record.relativePath,
+        originalName: record.originalName,
+        encrypted: record.encrypted,
+        inputSha256: record.inputSha256,
+        output: record.outputName,
+        outputSha256: record.outputSha256,
+        fileType: record.fileType,
+        typeConfidence: record.typeConfidence,
+        filenameDecoder: record.filenameDecoder,
+        filenameKey: record.filenameKey,
+        keyName: record.keyName,
+        dateTime: record.dateTime,
+        timestamp: record.timestamp,
+        link: record.link,
+        verification: record.verification,
+        verificationReason: record.verificationReason,
+        startedAt: record.startedAt,
+        finishedAt: record.finishedAt,
+        error: record.error
+    }));
+    const failures = files.filter(file => file.error);
+
+    return {
+        report: 'geolens-case-report',
+        generatedAt: new Date().toISOString(),
+        toolVersion: TOOL_VERSION,
+        operator: operator || null,
+        userAgent: navigator.userAgent,
+        runs: caseRuns,
+        summary: {
+            total: files.length,
+            succeeded: files.length - failures.length,
+            failed: failures.length,
+            warnings: files.filter(file => file.verification === 'corrupted' || file.verification === 'plausible').length
+        },
+        files,
+        failures: failures.map(file => ({ path: file.path, inputSha256: file.inputSha256, error: file.error }))
+    };
+}
+
+/**
+ * Экранирует текст для вставки в HTML
+ * @param {*} value - значение
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Собирает таблицу HTML
+ * @param {string[]} headers - заголовки столбцов
+ * @param {Array[]} rows - строки значений
+ * @returns {string}
+ */
+function buildHtmlTable(headers, rows) {
+    const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`).join('\n');
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Сериализует отчет по делу в самодостаточную страницу HTML
+ * Стили встроены, внешних ресурсов и скриптов нет; данные отчета вставляются только как текст
+ * @param {Object} report - отчет buildCaseReport
+ * @returns {string}
+ */
+function buildCaseReportHtml(report) {
+    const yesNo = value => value === null || value === undefined ? '' : t(value ? 'report.yes' : 'report.no');
+    const details = buildHtmlTable([t('report.field'), t('report.value')], [
+        [t('report.generatedAt'), report.generatedAt],
+        [t('report.operator'), report.operator || '—'],
+        [t('report.toolVersion'), report.toolVersion],
+        [t('report.userAgent'), report.userAgent],
+        [t('report.total'), report.summary.total],
+        [t('report.succeeded'), report.summary.succeeded],
+        [t('report.failed'), report.summary.failed],
+        [t('report.warnings'), report.summary.warnings]
+    ]);
+    const runs = buildHtmlTable(
+        [t('report.mode'), t('report.startedAt'), t('report.finishedAt'), t('report.fileCount'), t('report.keys'), t('report.settings')],
+        report.runs.map(run => [
+            t(run.mode === 'encrypt' ? 'report.modeEncrypt' : 'report.modeDecrypt'),
+            run.startedAt,
+            run.finishedAt,
+            run.fileCount,
+            run.keyNames.join(', '),
+            Object.entries(run.settings)
+                .filter(([, value]) => value !== null)
+                .map(([name, value]) => `${name}: ${value}`)
+                .join('; ')
+        ])
+    );
+    const files = buildHtmlTable(
+        [t('report.path'), t('report.encrypted'), t('report.inputSha256'), t('report.output'), t('report.outputSha256'),
+            t('report.fileType'), t('report.filenameDecoder'), t('report.key'), t('report.dateTime'),
+            t('report.verification'), t('report.startedAt'), t('report.finishedAt'), t('report.error')],
+        report.files.map(file => [
+            file.path,
+            yesNo(file.encrypted),
+            file.inputSha256,
+            file.output,
+            file.outputSha256,
+            file.fileType ? `${file.fileType} (${file.typeConfidence})` : '',
+            file.filenameDecoder ? `${file.filenameDecoder}${file.filenameKey ? ` / ${file.filenameKey}` : ''}` : '',
+            file.keyName,
+            file.timestamp || file.dateTime,
+            [file.verification, file.verificationReason].filter(Boolean).join(': '),
+            file.startedAt,
+            file.finishedAt,
+            file.error
+        ])
+    );
+    const failures = report.failures.length > 0
+        ? buildHtmlTable([t('report.path'), t('report.inputSha256'), t('report.error')],
+            report.failures.map(file => [file.path, file.inputSha256, file.error]))
+        : `<p>${escapeHtml(t('report.noFailures'))}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(currentLocale)}">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>${escapeHtml(t('report.title'))} — ${escapeHtml(report.generatedAt)}</title>
+<style>
+body { font-family: sans-serif; font-size: 12px; color: #111; margin: 2em; }
+h1 { font-size: 20px; }
+h2 { font-size: 15px; margin-top: 2em; }
+table { border-collapse: collapse; width: 100%; margin-top: 0.5em; }
+th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; word-break: break-all; }
+th { background: #eee; }
+@media print { body { margin: 0; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('report.title'))}</h1>
+${details}
+<h2>${escapeHtml(t('report.runs'))}</h2>
+${runs}
+<h2>${escapeHtml(t('report.files'))}</h2>
+${files}
+<h2>${escapeHtml(t('report.failures'))}</h2>
+${failures}
+</body>
+</html>
+`;
+}
+
+/**
+ * Сохраняет отчет по делу для всех обработанных файлов, в том числе скрытых отбором
+ * @param {string} format - 'html' или 'json'
+ */
+function exportCaseReport(format) {
+    const records = getRecordsForExport(true);
+    if (records.length === 0) return;
+
+    const report = buildCaseReport(records, getCaseOperator());
+    const name = `geolens_case_${formatFilenameDateTime(new Date())}`;
+    if (format === 'html') {
+        downloadTextFile(buildCaseReportHtml(report), `${name}.html`, 'text/html;charset=utf-8');
+    } else {
+        downloadTextFile(JSON.stringify(report, null, 2), `${name}.json`, 'application/json');
+    }
+}
+
+/**
+ * Подключает поле оператора и кнопки отчета
+ */
+function initializeCaseReport() {
+    const operatorInput = document.getElementById('case-operator');
+    operatorInput.value = localStorage.getItem(CASE_OPERATOR_STORAGE_KEY) || '';
+    operatorInput.addEventListener('change', () => {
+        localStorage.setItem(CASE_OPERATOR_STORAGE_KEY, getCaseOperator());
+    });
+    document.querySelectorAll('.case-report-btn').forEach(button => {
+        button.addEventListener('click', () => exportCaseReport(button.dataset.report));
+    });
+}
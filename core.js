@@ -0,0 +1,1459 @@
+// Ядро форматов GeoLens: имена файлов, ключ, AES-CTR и определение типа.
+// Файл не обращается к DOM и подключается страницей, веб-воркером (worker.js) и в Node.js (lib.js).
+// Для разбора EXIF и проверки результата рядом должны быть подключены exif.js и verify.js.
+
+// Размер фрагмента при потоковой расшифровке (кратен блоку AES в 16 байт)
+const DECRYPT_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Версия инструмента для отчетов: по ней можно найти код, которым обработаны файлы
+const TOOL_VERSION = '1.0.0';
+
+/**
+ * Применяет XOR с паролем к байтам имени файла
+ * @param {string} encryptedData - бинарная строка после декодирования base64
+ * @param {string} password - пароль (непустой)
+ * @returns {Uint8Array} - байты после XOR
+ */
+function xorFilenameBytes(encryptedData, password) {
+    const passwordBytes = new TextEncoder().encode(password);
+    const decryptedBytes = new Uint8Array(encryptedData.length);
+    
+    for (let i = 0; i < encryptedData.length; i++) {
+        decryptedBytes[i] = encryptedData.charCodeAt(i) ^ passwordBytes[i % passwordBytes.length];
+    }
+    return decryptedBytes;
+}
+
+/**
+ * Применяет XOR с паролем к байтам имени файла и разбирает строку "дата|ссылка"
+ * @param {string} encryptedData - бинарная строка после декодирования base64
+ * @param {string} password - пароль для расшифровки
+ * @returns {Object|null} - { dateTime, link } или null, если разделитель не найден
+ */
+function xorDecodeFilename(encryptedData, password) {
+    // Без пароля имя не расшифровывается: пароля по умолчанию нет
+    if (!password) {
+        return null;
+    }
+    const decryptedString = new TextDecoder().decode(xorFilenameBytes(encryptedData, password));
+    
+    // Разделяем по разделителю |
+    if (!decryptedString.includes('|')) {
+        return null;
+    }
+    
+    const [dateTime, link] = decryptedString.split('|', 2);
+    return {
+        dateTime: dateTime,
+        link: link !== 'null' ? link : null
+    };
+}
+
+/**
+ * Декодирует стандартный base64 с выравниванием
+ * @param {string} value - закодированная строка
+ * @returns {string|null} - бинарная строка или null, если строка не является base64
+ */
+function decodeStandardBase64(value) {
+    try {
+        return atob(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Декодирует URL-safe base64 без выравнивания (алфавит с - и _)
+ * @param {string} value - закодированная строка
+ * @returns {string|null} - бинарная строка или null, если строка не является base64
+ */
+function decodeUrlSafeBase64(value) {
+    if (!/^[A-Za-z0-9_-]+$/.test(value) || value.length % 4 === 1) {
+        return null;
+    }
+    
+    const normalized = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = normalized + '='.repeat((4 - normalized.length % 4) % 4);
+    
+    try {
+        return atob(padded);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Восстанавливает ссылку из имени старого формата, где «/» заменены на «_»
+ * Обратная замена всех «_» теряет настоящие подчеркивания в адресе, поэтому
+ * подчеркивание считается разделителем только в пути: в имени хоста его не бывает,
+ * а в строке запроса и фрагменте оно остается как есть. Если в начале нет имени хоста с точкой
+ * (localhost, имена внутренней сети), все «_» заменяются на «/», как раньше
+ * @param {string} encoded - часть имени после даты
+ * @returns {string} - ссылка
+ */
+function restoreLegacyLink(encoded) {
+    // Схема записывается как "https:__" или, если двоеточие тоже заменено, "https___"
+    let scheme = 'https';
+    let rest = encoded;
+    const schemeMatch = encoded.match(/^(https?)(?::__|___)/i);
+    if (schemeMatch) {
+        scheme = schemeMatch[1].toLowerCase();
+        rest = encoded.slice(schemeMatch[0].length);
+    }
+    
+    const hostEnd = rest.search(/[_?#]/);
+    const host = hostEnd === -1 ? rest : rest.slice(0, hostEnd);
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?$/i.test(host)) {
+        return `${scheme}://${rest.replace(/_/g, '/')}`;
+    }
+    
+    const tail = hostEnd === -1 ? '' : rest.slice(hostEnd);
+    const queryStart = tail.search(/[?#]/);
+    const path = queryStart === -1 ? tail : tail.slice(0, queryStart);
+    const query = queryStart === -1 ? '' : tail.slice(queryStart);
+    return `${scheme}://${host}${path.replace(/_/g, '/')}${query}`;
+}
+
+// Порядок уровней уверенности декодеров имен
+const FILENAME_CONFIDENCE_RANK = { 'low': 1, 'medium': 2, 'high': 3 };
+
+// Реестр декодеров имен файлов в порядке проверки.
+// detect(baseName) проверяет вид имени и возвращает уровень уверенности или null;
+// decode(baseName, password) возвращает { dateTime, link } или null.
+// usesPassword — зависит ли результат от пароля (такие декодеры перебирают пароли связки);
+// unwrap(baseName) — для инспектора: бинарная строка до XOR с паролем, если декодер так устроен
+const FILENAME_DECODERS = [
+    {
+        name: 'base64',
+        usesPassword: true,
+        unwrap: decodeStandardBase64,
+        detect: name => /^[A-Za-z0-9+/]+={0,2}$/.test(name) && name.length % 4 === 0 ? 'high' : null,
+        decode: (name, password) => {
+            const data = decodeStandardBase64(name);
+            return data ? xorDecodeFilename(data, password) : null;
+        }
+    },
+    {
+        name: 'legacy',
+        usesPassword: false,
+        detect: name => /^\d{8}_\d{6}_/.test(name) ? 'high' : null,
+        decode: name => ({
+            dateTime: name.slice(0, 15),
+            link: name.length > 16 ? restoreLegacyLink(name.slice(16)) : null
+        })
+    },
+    {
+        // Имена, созданные в режиме шифрования: «/» недопустим в именах файлов
+        name: 'base64url',
+        usesPassword: true,
+        unwrap: decodeUrlSafeBase64,
+        detect: name => /^[A-Za-z0-9_-]+$/.test(name) && name.length % 4 !== 1 ? 'high' : null,
+        decode: (name, password) => {
+            const data = decodeUrlSafeBase64(name);
+            return data ? xorDecodeFilename(data, password) : null;
+        }
+    }
+];
+
+/**
+ * Добавляет декодер имен файлов, например для формата новой версии приложения
+ * @param {Object} decoder - { name, usesPassword, detect, decode }, см. FILENAME_DECODERS
+ * @param {string} [before] - имя декодера, перед которым проверять новый; по умолчанию в конец
+ */
+function registerFilenameDecoder(decoder, before) {
+    const index = FILENAME_DECODERS.findIndex(entry => entry.name === before);
+    FILENAME_DECODERS.splice(index === -1 ? FILENAME_DECODERS.length : index, 0, decoder);
+}
+
+/**
+ * Расшифровывает имя файла для извлечения даты и ссылки
+ * Проверяются все декодеры реестра; выбирается результат с наибольшей уверенностью,
+ * при равной — первый по порядку. Нераспознанная или несуществующая дата снижает
+ * уверенность до 'low' и в результат не попадает
+ * @param {string} filename - имя файла
+ * @param {string} password - пароль для расшифровки
+ * @returns {Object} - { dateTime, link, success, usedPassword, decoder, confidence };
+ *     dateTime — дата в виде YYYYMMDD_HHMMSS или null, decoder — имя подошедшего декодера,
+ *     confidence — 'high', 'medium', 'low' или 'none'
+ */
+function decryptFilename(filename, password) {
+    // Убираем расширение
+    const baseName = filename.replace(/\.[^/.]+$/, "");
+    let best = null;
+    
+    for (const decoder of FILENAME_DECODERS) {
+        let decoded = null;
+        let confidence = null;
+        try {
+            confidence = decoder.detect(baseName);
+            decoded = confidence ? decoder.decode(baseName, password) : null;
+        } catch (error) {
+            console.log(`Ошибка декодера имени ${decoder.name}:`, error);
+        }
+        if (!decoded) continue;
+        
+        // Несуществующая дата (30 февраля, 25 часов) означает неверный пароль или чужое имя
+        const dateParts = parseFilenameDateTime(decoded.dateTime);
+        if (!dateParts) {
+            confidence = 'low';
+        }
+        if (!best || FILENAME_CONFIDENCE_RANK[confidence] > FILENAME_CONFIDENCE_RANK[best.confidence]) {
+            best = {
+                dateTime: dateParts ? formatDateParts(dateParts, FILENAME_DATE_FORMAT) : null,
+                link: decoded.link,
+                success: true,
+                usedPassword: decoder.usesPassword,
+                decoder: decoder.name,
+                confidence
+            };
+        }
+        if (confidence === 'high') break;
+    }
+    
+    return best || { dateTime: null, link: null, success: false, usedPassword: false, decoder: null, confidence: 'none' };
+}
+
+/**
+ * Расшифровывает имя файла, перебирая пароли связки
+ * XOR с неверным паролем тоже может дать строку с разделителем |,
+ * поэтому пароль считается подошедшим, только если дата имеет вид YYYYMMDD_HHMMSS
+ * @param {string} filename - имя файла
+ * @param {Object[]} candidates - пароли { name, password } в порядке проверки
+ * @returns {Object} - результат decryptFilename и keyName — название подошедшего пароля
+ *     (null, если имя записано без пароля или ни один пароль не подошел)
+ */
+function decryptFilenameWithKeys(filename, candidates) {
+    let fallback = null;
+    
+    for (const candidate of candidates) {
+        const result = decryptFilename(filename, candidate.password);
+        if (result.success && !result.usedPassword) {
+            // Формат с датой в открытом виде не зависит от пароля
+            return { ...result, keyName: null };
+        }
+        if (result.success && result.confidence !== 'low') {
+            return { ...result, keyName: candidate.name };
+        }
+        fallback = fallback || result;
+    }
+    
+    return { ...(fallback || decryptFilename(filename, '')), keyName: null };
+}
+
+// Формат даты в имени файла GeoLens и в результатах decryptFilename
+const FILENAME_DATE_FORMAT = 'YYYYMMDD_HHmmss';
+
+// Форматы даты, которые встречаются в именах файлов: местное время устройства без часового пояса
+const FILENAME_DATE_PATTERNS = [
+    /^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/,                     // 20240131_235959
+    /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/,                      // 20240131235959
+    /^(\d{4})-(\d{2})-(\d{2})[T _](\d{2})[:.-](\d{2})[:.-](\d{2})$/     // 2024-01-31 23:59:59
+];
+
+// Годы, которые могут стоять в имени файла; остальное — мусор после XOR с неверным паролем
+const FILENAME_YEAR_RANGE = { min: 1970, max: 2099 };
+
+/**
+ * Разбирает дату из имени файла и проверяет, что такая дата существует
+ * @param {string|null} dateTime - дата в одном из форматов FILENAME_DATE_PATTERNS
+ * @returns {Object|null} - { year, month, day, hour, minute, second } или null
+ */
+function parseFilenameDateTime(dateTime) {
+    if (typeof dateTime !== 'string') return null;
+    
+    const match = FILENAME_DATE_PATTERNS.map(pattern => dateTime.match(pattern)).find(Boolean);
+    if (!match) return null;
+    
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (year < FILENAME_YEAR_RANGE.min || year > FILENAME_YEAR_RANGE.max ||
+        month < 1 || month > 12 || day < 1 || day > daysInMonth ||
+        hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+    return { year, month, day, hour, minute, second };
+}
+
+/**
+ * Форматирует части даты по шаблону: YYYY, YY, MM, DD, HH, mm, ss
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} format - шаблон, например 'YYYY-MM-DD_HH-mm-ss'
+ * @returns {string}
+ */
+function formatDateParts(parts, format) {
+    const pad = value => String(value).padStart(2, '0');
+    const tokens = {
+        'YYYY': String(parts.year).padStart(4, '0'),
+        'YY': pad(parts.year % 100),
+        'MM': pad(parts.month),
+        'DD': pad(parts.day),
+        'HH': pad(parts.hour),
+        'mm': pad(parts.minute),
+        'ss': pad(parts.second)
+    };
+    return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+// Форматтеры Intl по часовым поясам: создание форматтера заметно дороже форматирования
+const timeZoneFormatters = new Map();
+
+/**
+ * Проверяет и приводит к единому виду часовой пояс источника
+ * @param {string} timeZone - 'local', 'UTC', смещение (+03:00, -0530) или имя IANA (Europe/Moscow)
+ * @returns {string|null} - часовой пояс или null, если он не распознан
+ */
+function normalizeTimeZone(timeZone) {
+    const value = String(timeZone || '').trim();
+    if (!value || value.toLowerCase() === 'local') return 'local';
+    if (/^(utc|gmt|z)$/i.test(value)) return 'UTC';
+    
+    const offset = value.match(/^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+    if (offset) {
+        const hours = Number(offset[2]);
+        const minutes = Number(offset[3] || 0);
+        if (hours > 14 || minutes > 59) return null;
+        return `${offset[1]}${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Возвращает смещение часового пояса IANA от UTC в заданный момент
+ * @param {string} timeZone - имя IANA
+ * @param {number} timestamp - момент времени (мс UTC)
+ * @returns {number} - смещение в минутах
+ */
+function getTimeZoneOffset(timeZone, timestamp) {
+    if (!timeZoneFormatters.has(timeZone)) {
+        timeZoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    const parts = {};
+    for (const { type, value } of timeZoneFormatters.get(timeZone).formatToParts(new Date(timestamp))) {
+        parts[type] = Number(value);
+    }
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+/**
+ * Переводит местное время источника в момент времени
+ * В переход на летнее время несуществующий час сдвигается вперед,
+ * а повторяющийся берется по первому вхождению
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timeZone - часовой пояс (см. normalizeTimeZone)
+ * @returns {number|null} - момент времени (мс UTC) или null, если часовой пояс не распознан
+ */
+function zonedDateToTimestamp(parts, timeZone) {
+    const zone = normalizeTimeZone(timeZone);
+    if (!zone) return null;
+    
+    const { year, month, day, hour, minute, second } = parts;
+    if (zone === 'local') {
+        return new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (zone === 'UTC') {
+        return wallClock;
+    }
+    if (/^[+-]\d{2}:\d{2}$/.test(zone)) {
+        const sign = zone[0] === '-' ? -1 : 1;
+        return wallClock - sign * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(4))) * 60000;
+    }
+    
+    // Смещение зависит от самого момента, поэтому уточняется по первому приближению.
+    // Если уточненный момент попадает в другое смещение, местного времени не было (переход вперед)
+    const guess = wallClock - getTimeZoneOffset(zone, wallClock) * 60000;
+    const offset = getTimeZoneOffset(zone, guess);
+    const timestamp = wallClock - offset * 60000;
+    return getTimeZoneOffset(zone, timestamp) === offset ? timestamp : guess;
+}
+
+/**
+ * Переводит дату из имени файла в момент времени
+ * @param {string|null} dateTime - дата из имени файла
+ * @param {string} timeZone - часовой пояс, в котором записана дата
+ * @returns {number|null} - момент времени (мс UTC) или null, если даты нет или она невозможна
+ */
+function resolveFilenameTimestamp(dateTime, timeZone) {
+    const parts = parseFilenameDateTime(dateTime);
+    return parts ? zonedDateToTimestamp(parts, timeZone) : null;
+}
+
+// Шаблон имени результата по умолчанию: дата из имени файла, как в приложении GeoLens
+const DEFAULT_OUTPUT_TEMPLATE = `{date:${FILENAME_DATE_FORMAT}}.{ext}`;
+
+/**
+ * Формирует имя выходного файла
+ * Шаблон может содержать {date:ФОРМАТ} (местное время источника), {utc:ФОРМАТ},
+ * {index} или {index:ЧИСЛО_ЦИФР}, {name} (исходное имя без расширения) и {ext}.
+ * Файлы без даты при шаблоне с датой получают имя «исходное_decrypted.ext»
+ * @param {File|Object} file - исходный файл (используется поле name)
+ * @param {Object} filenameInfo - результат decryptFilename
+ * @param {Object} fileType - результат detectFileType
+ * @param {Object} [options] - { template, index, timeZone }; index — номер файла
+ *     в хронологическом порядке, timeZone — часовой пояс даты в имени (для {utc})
+ * @returns {string} - имя выходного файла
+ */
+function buildOutputFileName(file, filenameInfo, fileType, options = {}) {
+    const template = options.template || DEFAULT_OUTPUT_TEMPLATE;
+    const baseName = file.name.replace(/\.[^/.]+$/, '');
+    const dateParts = parseFilenameDateTime(filenameInfo.dateTime);
+    
+    if (!dateParts && /\{(date|utc)\b/.test(template)) {
+        // Используем оригинальное имя с правильным расширением
+        return `${baseName}_decrypted.${fileType.ext}`;
+    }
+    
+    const index = options.index || 1;
+    const name = template.replace(/\{(\w+)(?::([^}]*))?\}/g, (match, token, argument) => {
+        switch (token) {
+            case 'date':
+                return formatDateParts(dateParts, argument || FILENAME_DATE_FORMAT);
+            case 'utc': {
+                const timestamp = zonedDateToTimestamp(dateParts, options.timeZone || 'local');
+                if (timestamp === null) return match;
+                const date = new Date(timestamp);
+                return formatDateParts({
+                    year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+                    hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds()
+                }, argument || FILENAME_DATE_FORMAT);
+            }
+            case 'index':
+                return String(index).padStart(Number(argument) || 0, '0');
+            case 'name':
+                return baseName;
+            case 'ext':
+                return fileType.ext;
+            default:
+                return match;
+        }
+    });
+    
+    // Символы, недопустимые в именах файлов; папки шаблоном не создаются
+    return name.replace(/[\\/:*?"<>|\x00-\x1F]/g, '_');
+}
+
+/**
+ * Находит в шаблоне имени неизвестные подстановки
+ * @param {string} template - шаблон имени
+ * @returns {string[]} - неизвестные подстановки вида {token}
+ */
+function findUnknownTemplateTokens(template) {
+    const known = ['date', 'utc', 'index', 'name', 'ext'];
+    return (template.match(/\{(\w+)(?::[^}]*)?\}/g) || [])
+        .filter(match => !known.includes(match.slice(1).split(/[:}]/)[0]));
+}
+
+/**
+ * Номера файлов в хронологическом порядке для подстановки {index}
+ * Файлы без даты идут после датированных, при равной дате сохраняется исходный порядок
+ * @param {Object[]} items - элементы с полем timestamp (мс UTC или null)
+ * @returns {Map<Object, number>} - номер каждого элемента, начиная с 1
+ */
+function assignChronologicalIndexes(items) {
+    const order = items
+        .map((item, position) => ({ item, position }))
+        .sort((a, b) => compareTimestamps(a.item.timestamp, b.item.timestamp) || a.position - b.position);
+    return new Map(order.map(({ item }, index) => [item, index + 1]));
+}
+
+/**
+ * Сравнивает моменты времени для сортировки; отсутствующие — в конце
+ * @param {number|null} a - момент времени (мс UTC)
+ * @param {number|null} b - момент времени (мс UTC)
+ * @returns {number}
+ */
+function compareTimestamps(a, b) {
+    const hasA = a !== null && a !== undefined;
+    const hasB = b !== null && b !== undefined;
+    if (!hasA || !hasB) {
+        return (hasA ? 0 : 1) - (hasB ? 0 : 1);
+    }
+    return a - b;
+}
+
+/**
+ * Форматирует дату в формат имени файла GeoLens (YYYYMMDD_HHMMSS)
+ * @param {Date} date - дата
+ * @returns {string} - отформатированная дата
+ */
+function formatFilenameDateTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Шифрует дату и ссылку в имя файла (обратная операция к decryptFilename)
+ * @param {string} dateTime - дата в формате YYYYMMDD_HHMMSS
+ * @param {string|null} link - ссылка или null
+ * @param {string} password - пароль для шифрования
+ * @returns {string} - имя файла без расширения в URL-safe base64
+ * @throws {Error} - если пароль не задан
+ */
+function encryptFilename(dateTime, link, password) {
+    if (!password) {
+        throw createCodedError('error.noPassword');
+    }
+    const plainBytes = new TextEncoder().encode(`${dateTime}|${link || 'null'}`);
+    const passwordBytes = new TextEncoder().encode(password);
+    
+    let encryptedData = '';
+    for (let i = 0; i < plainBytes.length; i++) {
+        encryptedData += String.fromCharCode(plainBytes[i] ^ passwordBytes[i % passwordBytes.length]);
+    }
+    
+    // Символ / недопустим в именах файлов, поэтому используем URL-safe алфавит
+    return btoa(encryptedData).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Проверяет наличие маркера шифрования ENC_ в файле
+ * @param {ArrayBuffer} fileData - данные файла
+ * @returns {boolean} - true если файл зашифрован
+ */
+function checkEncryptionMarker(fileData) {
+    const header = new Uint8Array(fileData.slice(0, 4));
+    const marker = [0x45, 0x4E, 0x43, 0x5F]; // "ENC_"
+    return header.every((byte, index) => byte === marker[index]);
+}
+
+/**
+ * Создает ключ AES-CTR из пароля (SHA-256 пароля, как в приложении GeoLens)
+ * Ключ неизвлекаемый: байты ключа нельзя прочитать из CryptoKey, а промежуточный хеш затирается.
+ * CryptoKey передается в веб-воркер без копирования пароля
+ * @param {string} password - пароль
+ * @returns {Promise<CryptoKey>} - ключ для encrypt и decrypt
+ * @throws {Error} - если пароль не задан
+ */
+async function generateKey(password) {
+    if (!password) {
+        throw createCodedError('error.noPassword');
+    }
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password)));
+    try {
+        return await crypto.subtle.importKey('raw', digest, { name: 'AES-CTR' }, false, ['encrypt', 'decrypt']);
+    } finally {
+        digest.fill(0);
+    }
+}
+
+/**
+ * Строит начальный блок счетчика AES-CTR из IV файла, как исходная версия приложения:
+ * младшие 8 байт IV читаются как big-endian число через Number и записываются обратно.
+ * Выше 2^53 Number теряет точность, и счетчик округляется — так файлы и расшифровывались,
+ * поэтому округление сохраняется для совместимости
+ * @param {Uint8Array} iv - 16-байтный IV из заголовка файла
+ * @returns {Uint8Array} - блок счетчика
+ */
+function buildCounterBlock(iv) {
+    let counterValue = 0;
+    for (let i = 8; i < 16; i++) {
+        counterValue = (counterValue * 256) + iv[i];
+    }
+    
+    const counter = new Uint8Array(16);
+    counter.set(iv.subarray(0, 8), 0);
+    for (let i = 15; i >= 8; i--) {
+        counter[i] = counterValue % 256;
+        counterValue = Math.floor(counterValue / 256);
+    }
+    return counter;
+}
+
+/**
+ * Сдвигает счетчик AES-CTR на заданное число 16-байтных блоков
+ * Счетчик хранится в младших 64 битах IV (big-endian); перенос, как и при
+ * расшифровке одним вызовом с length: 128, уходит в старшие байты
+ * @param {Uint8Array} iv - исходный 16-байтный IV
+ * @param {number} blocks - количество блоков
+ * @returns {Uint8Array} - новый блок счетчика
+ */
+function advanceCounter(iv, blocks) {
+    const counter = new Uint8Array(iv);
+    let carry = blocks;
+    
+    for (let i = 15; i >= 0 && carry > 0; i--) {
+        const sum = counter[i] + (carry % 256);
+        counter[i] = sum & 0xFF;
+        carry = Math.floor(carry / 256) + (sum > 0xFF ? 1 : 0);
+    }
+    
+    return counter;
+}
+
+// Таблица для вычисления CRC-32 (полином 0xEDB88320)
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Продолжает вычисление CRC-32 для очередного фрагмента данных
+ * @param {Uint8Array} data - фрагмент данных
+ * @param {number} crc - CRC предыдущих фрагментов (0 для первого)
+ * @returns {number} - обновленный CRC
+ */
+function crc32(data, crc = 0) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        c = CRC32_TABLE[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Константы раундов SHA-256 (FIPS 180-4)
+const SHA256_K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Создает потоковое вычисление SHA-256
+ * Web Crypto считает хеш только по данным целиком, а файлы читаются фрагментами
+ * @returns {Object} - { update(data), digest() }; digest возвращает хеш в шестнадцатеричном виде
+ */
+function createSha256() {
+    // Int32Array: арифметика по модулю 2^32 без перевода в числа с плавающей точкой
+    const state = new Int32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Int32Array(64);
+    const block = new Uint8Array(64);
+    let blockLength = 0;
+    let totalLength = 0;
+
+    // Обрабатывает 64-байтный блок, начиная с offset
+    function compress(bytes, offset) {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const w15 = words[i - 15];
+            const w2 = words[i - 2];
+            const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+            const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = state;
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const temp1 = (h + S1 + ch + SHA256_K[i] + words[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (S0 + maj) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+
+    return {
+        update(data) {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            totalLength += bytes.length;
+            let offset = 0;
+            // Сначала дополняем блок, оставшийся от прошлого фрагмента
+            if (blockLength > 0) {
+                offset = Math.min(64 - blockLength, bytes.length);
+                block.set(bytes.subarray(0, offset), blockLength);
+                blockLength += offset;
+                if (blockLength < 64) {
+                    return;
+                }
+                compress(block, 0);
+                blockLength = 0;
+            }
+            for (; offset + 64 <= bytes.length; offset += 64) {
+                compress(bytes, offset);
+            }
+            block.set(bytes.subarray(offset), 0);
+            blockLength = bytes.length - offset;
+        },
+
+        digest() {
+            // Дополнение: бит 1, нули и длина сообщения в битах (64 бита, big-endian)
+            block[blockLength++] = 0x80;
+            if (blockLength > 56) {
+                block.fill(0, blockLength);
+                compress(block, 0);
+                blockLength = 0;
+            }
+            block.fill(0, blockLength, 56);
+            const view = new DataView(block.buffer);
+            view.setUint32(56, Math.floor(totalLength / 0x20000000));
+            view.setUint32(60, (totalLength * 8) % 0x100000000);
+            compress(block, 0);
+            return Array.from(state, word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+        }
+    };
+}
+
+/**
+ * Считает SHA-256 файла, читая его фрагментами
+ * @param {Blob} blob - файл
+ * @returns {Promise<string>} - хеш в шестнадцатеричном виде
+ */
+async function hashBlob(blob) {
+    const hash = createSha256();
+    for (let offset = 0; offset < blob.size; offset += DECRYPT_CHUNK_SIZE) {
+        hash.update(await blob.slice(offset, offset + DECRYPT_CHUNK_SIZE).arrayBuffer());
+    }
+    return hash.digest();
+}
+
+/**
+ * Считает SHA-256 данных в памяти через Web Crypto
+ * @param {ArrayBuffer} data - данные
+ * @returns {Promise<string>} - хеш в шестнадцатеричном виде
+ */
+async function hashBuffer(data) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Создает сообщение для показа пользователю: ключ каталога и значения подстановок
+ * Ядро не содержит текстов интерфейса — текст на языке пользователя
+ * подставляется при показе (localize в i18n.js)
+ * @param {string} key - ключ сообщения, например 'error.fileTooSmall'
+ * @param {Object} [params] - значения подстановок; значение само может быть сообщением
+ * @returns {Object} - { key, params }
+ */
+function createMessage(key, params = {}) {
+    return { key, params };
+}
+
+/**
+ * Создает ошибку с кодом, по которому интерфейс различает причины неудачи
+ * Вместо текста ошибка несет сообщение displayMessage; в message — ключ для журнала
+ * @param {string} messageKey - ключ сообщения
+ * @param {string|null} [code] - код ('wrong-password', 'corrupted')
+ * @param {Object} [params] - значения подстановок
+ * @returns {Error}
+ */
+function createCodedError(messageKey, code = null, params = {}) {
+    const error = new Error(messageKey);
+    error.code = code;
+    error.displayMessage = createMessage(messageKey, params);
+    return error;
+}
+
+/**
+ * Возвращает сообщение об ошибке для показа
+ * Системные ошибки (браузера, файловой системы) сообщения не несут и показываются как есть
+ * @param {Error} error - ошибка
+ * @returns {Object|string} - сообщение createMessage или текст
+ */
+function getErrorMessage(error) {
+    return error.displayMessage || error.message;
+}
+
+/**
+ * Потоково расшифровывает файл используя AES-CTR
+ * Файл читается фрагментами через File.slice, поэтому в памяти одновременно
+ * находится только один фрагмент
+ * @param {Blob} file - зашифрованный файл
+ * @param {CryptoKey} key - ключ generateKey
+ * @param {Object} handlers - обработчики фрагментов
+ * @param {function(ArrayBuffer, number): Promise<void>} handlers.onChunk - получает расшифрованный фрагмент и его номер
+ * @param {function(number): void} [handlers.onProgress] - получает долю обработанных данных (0..1)
+ * @param {function(ArrayBuffer): void} [handlers.onInput] - получает прочитанные байты файла по порядку:
+ *     заголовок и зашифрованные фрагменты (для хеша исходного файла без повторного чтения)
+ * @returns {Promise<number>} - размер расшифрованных данных
+ */
+async function decryptFileData(file, key, { onChunk, onProgress, onInput }) {
+    if (file.size < 20) {
+        throw createCodedError('error.fileTooSmall', 'corrupted');
+    }
+
+    // Проверяем маркер ENC_ и извлекаем IV (16 байт после маркера)
+    const header = await file.slice(0, 20).arrayBuffer();
+    if (!checkEncryptionMarker(header)) {
+        throw createCodedError('error.badMarker', 'corrupted');
+    }
+    const counter = buildCounterBlock(new Uint8Array(header.slice(4, 20)));
+    if (onInput) {
+        onInput(header);
+    }
+
+    const contentSize = file.size - 20;
+    if (contentSize === 0) {
+        throw createCodedError('error.noContent', 'corrupted');
+    }
+
+    // Расшифровываем по фрагментам. Размер фрагмента кратен 16 байтам,
+    // поэтому каждый фрагмент начинается с границы блока AES
+    let offset = 0;
+    let index = 0;
+    while (offset < contentSize) {
+        const end = Math.min(offset + DECRYPT_CHUNK_SIZE, contentSize);
+        const encryptedChunk = await file.slice(20 + offset, 20 + end).arrayBuffer();
+        if (onInput) {
+            onInput(encryptedChunk);
+        }
+        
+        const decryptedChunk = await crypto.subtle.decrypt(
+            {
+                name: 'AES-CTR',
+                counter: advanceCounter(counter, offset / 16),
+                length: 128
+            },
+            key,
+            encryptedChunk
+        );
+        
+        await onChunk(decryptedChunk, index);
+        
+        offset = end;
+        index++;
+        if (onProgress) {
+            onProgress(offset / contentSize);
+        }
+    }
+
+    return contentSize;
+}
+
+/**
+ * Шифрует данные в формате GeoLens: маркер ENC_, случайный IV и AES-CTR
+ * @param {ArrayBuffer} data - исходные данные
+ * @param {CryptoKey} key - ключ generateKey
+ * @returns {Promise<ArrayBuffer>} - зашифрованные данные с заголовком
+ */
+async function encryptFileData(data, key) {
+    if (data.byteLength === 0) {
+        throw createCodedError('error.emptyFile');
+    }
+
+    // Случайный IV, как в приложении GeoLens
+    const iv = crypto.getRandomValues(new Uint8Array(16));
+
+    const encrypted = await crypto.subtle.encrypt(
+        {
+            name: 'AES-CTR',
+            counter: buildCounterBlock(iv),
+            length: 128
+        },
+        key,
+        data
+    );
+
+    // Собираем файл: маркер ENC_ + IV + зашифрованное содержимое
+    const result = new Uint8Array(20 + encrypted.byteLength);
+    result.set([0x45, 0x4E, 0x43, 0x5F], 0);
+    result.set(iv, 4);
+    result.set(new Uint8Array(encrypted), 20);
+
+    return result.buffer;
+}
+
+// Сколько байт с начала файла анализируется при определении типа
+const FILE_TYPE_SCAN_SIZE = 4096;
+
+// Бренды контейнера ISO BMFF (поле major brand в блоке ftyp)
+const FTYP_BRANDS = {
+    'heic': 'HEIC', 'heix': 'HEIC', 'hevc': 'HEIC', 'hevx': 'HEIC', 'heim': 'HEIC', 'heis': 'HEIC',
+    'avif': 'AVIF', 'avis': 'AVIF',
+    'qt  ': 'MOV',
+    'isom': 'MP4', 'iso2': 'MP4', 'iso4': 'MP4', 'iso5': 'MP4', 'iso6': 'MP4',
+    'mp41': 'MP4', 'mp42': 'MP4', 'avc1': 'MP4', 'dash': 'MP4', 'M4V ': 'MP4', 'MSNV': 'MP4',
+    'M4A ': 'M4A',
+    '3gp4': '3GP', '3gp5': '3GP', '3gp6': '3GP', '3g2a': '3GP'
+};
+
+// Описание типов: расширение, MIME и название
+const FILE_TYPES = {
+    JPEG: { ext: 'jpg', mime: 'image/jpeg' },
+    PNG: { ext: 'png', mime: 'image/png' },
+    GIF: { ext: 'gif', mime: 'image/gif' },
+    BMP: { ext: 'bmp', mime: 'image/bmp' },
+    WEBP: { ext: 'webp', mime: 'image/webp' },
+    HEIC: { ext: 'heic', mime: 'image/heic' },
+    AVIF: { ext: 'avif', mime: 'image/avif' },
+    MP4: { ext: 'mp4', mime: 'video/mp4' },
+    MOV: { ext: 'mov', mime: 'video/quicktime' },
+    '3GP': { ext: '3gp', mime: 'video/3gpp' },
+    M4A: { ext: 'm4a', mime: 'audio/mp4' },
+    AVI: { ext: 'avi', mime: 'video/x-msvideo' },
+    WEBM: { ext: 'webm', mime: 'video/webm' },
+    MKV: { ext: 'mkv', mime: 'video/x-matroska' },
+    WAV: { ext: 'wav', mime: 'audio/wav' },
+    MP3: { ext: 'mp3', mime: 'audio/mpeg' },
+    OGG: { ext: 'ogg', mime: 'audio/ogg' },
+    FLAC: { ext: 'flac', mime: 'audio/flac' },
+    PDF: { ext: 'pdf', mime: 'application/pdf' },
+    ZIP: { ext: 'zip', mime: 'application/zip' },
+    GZIP: { ext: 'gz', mime: 'application/gzip' },
+    '7Z': { ext: '7z', mime: 'application/x-7z-compressed' },
+    RAR: { ext: 'rar', mime: 'application/vnd.rar' },
+    JSON: { ext: 'json', mime: 'application/json' },
+    Text: { ext: 'txt', mime: 'text/plain' }
+};
+
+/**
+ * Сравнивает байты с образцом
+ * @param {Uint8Array} bytes - данные
+ * @param {number} offset - смещение
+ * @param {number[]|string} pattern - байты или ASCII-строка
+ * @returns {boolean}
+ */
+function matchBytes(bytes, offset, pattern) {
+    const values = typeof pattern === 'string'
+        ? Array.from(pattern, char => char.charCodeAt(0))
+        : pattern;
+    if (offset + values.length > bytes.length) return false;
+    return values.every((value, i) => bytes[offset + i] === value);
+}
+
+/**
+ * Читает ASCII-строку из байтов
+ * @param {Uint8Array} bytes - данные
+ * @param {number} offset - смещение
+ * @param {number} length - длина
+ * @returns {string}
+ */
+function readAscii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+/**
+ * Определяет тип контейнера ISO BMFF по блоку ftyp
+ * Основной бренд проверяется первым; HEIF с брендом mif1 уточняется по совместимым брендам
+ * @param {Uint8Array} bytes - начало файла
+ * @returns {Object|null} - { type, confidence } или null
+ */
+function detectFtypType(bytes) {
+    if (!matchBytes(bytes, 4, 'ftyp')) return null;
+
+    const boxSize = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    if (boxSize < 16 || boxSize % 4 !== 0) return null;
+
+    const majorBrand = readAscii(bytes, 8, 4);
+    const compatibleBrands = [];
+    for (let offset = 16; offset + 4 <= Math.min(boxSize, bytes.length); offset += 4) {
+        compatibleBrands.push(readAscii(bytes, offset, 4));
+    }
+
+    if (FTYP_BRANDS[majorBrand]) {
+        return { type: FTYP_BRANDS[majorBrand], confidence: 'high' };
+    }
+    // Общие бренды HEIF: тип определяется по совместимым брендам
+    for (const brand of compatibleBrands) {
+        if (FTYP_BRANDS[brand]) {
+            return { type: FTYP_BRANDS[brand], confidence: 'high' };
+        }
+    }
+    // Корректный блок ftyp с неизвестным брендом — скорее всего видео MP4
+    return /^[\x20-\x7E]{4}$/.test(majorBrand) ? { type: 'MP4', confidence: 'medium' } : null;
+}
+
+/**
+ * Проверяет, похожи ли данные на текст в UTF-8
+ * Допускаются переводы строк, табуляция и не более 1% прочих управляющих символов
+ * @param {Uint8Array} bytes - начало файла
+ * @returns {Object|null} - { type, confidence } или null
+ */
+function detectTextType(bytes) {
+    if (bytes.length === 0) return null;
+
+    // Анализируется только начало файла, поэтому многобайтовый символ
+    // на границе не считается ошибкой
+    let end = bytes.length;
+    let continuation = 0;
+    while (continuation < 3 && end > 0 && (bytes[end - 1] & 0xC0) === 0x80) {
+        end--;
+        continuation++;
+    }
+    if (end > 0 && bytes[end - 1] >= 0xC0) {
+        end--;
+    } else {
+        end += continuation;
+    }
+
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, end));
+    } catch (error) {
+        return null;
+    }
+
+    let controlCount = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code === 0) return null;
+        if ((code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D && code !== 0x0C && code !== 0x1B) ||
+            code === 0x7F) {
+            controlCount++;
+        }
+    }
+    if (controlCount > text.length / 100) return null;
+
+    const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+    if (/^[{[]/.test(trimmed)) {
+        return { type: 'JSON', confidence: 'medium' };
+    }
+    return { type: 'Text', confidence: 'low' };
+}
+
+// Реестр сигнатур в порядке проверки; каждая проверка возвращает уровень уверенности или null
+const FILE_SIGNATURES = [
+    { name: 'JPEG SOI', type: 'JPEG', test: b => matchBytes(b, 0, [0xFF, 0xD8, 0xFF]) ? 'high' : null },
+    { name: 'PNG', type: 'PNG', test: b => matchBytes(b, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) ? 'high' : null },
+    { name: 'GIF', type: 'GIF', test: b => matchBytes(b, 0, 'GIF87a') || matchBytes(b, 0, 'GIF89a') ? 'high' : null },
+    { name: 'RIFF WEBP', type: 'WEBP', test: b => matchBytes(b, 0, 'RIFF') && matchBytes(b, 8, 'WEBP') ? 'high' : null },
+    { name: 'RIFF WAVE', type: 'WAV', test: b => matchBytes(b, 0, 'RIFF') && matchBytes(b, 8, 'WAVE') ? 'high' : null },
+    { name: 'RIFF AVI', type: 'AVI', test: b => matchBytes(b, 0, 'RIFF') && matchBytes(b, 8, 'AVI ') ? 'high' : null },
+    { name: 'PDF', type: 'PDF', test: b => matchBytes(b, 0, '%PDF-') ? 'high' : null },
+    { name: 'ZIP', type: 'ZIP', test: b => matchBytes(b, 0, [0x50, 0x4B, 0x03, 0x04]) || matchBytes(b, 0, [0x50, 0x4B, 0x05, 0x06]) ? 'high' : null },
+    { name: 'GZIP', type: 'GZIP', test: b => matchBytes(b, 0, [0x1F, 0x8B, 0x08]) ? 'high' : null },
+    { name: '7z', type: '7Z', test: b => matchBytes(b, 0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]) ? 'high' : null },
+    { name: 'RAR', type: 'RAR', test: b => matchBytes(b, 0, 'Rar!') &&
+        (matchBytes(b, 4, [0x1A, 0x07, 0x00]) || matchBytes(b, 4, [0x1A, 0x07, 0x01, 0x00])) ? 'high' : null },
+    // Заголовок EBML общий у WebM и Matroska: формат различается по полю DocType в начале файла
+    { name: 'EBML webm', type: 'WEBM', test: b => matchBytes(b, 0, [0x1A, 0x45, 0xDF, 0xA3]) &&
+        readAscii(b, 4, 60).includes('webm') ? 'high' : null },
+    { name: 'EBML matroska', type: 'MKV', test: b => matchBytes(b, 0, [0x1A, 0x45, 0xDF, 0xA3]) &&
+        readAscii(b, 4, 60).includes('matroska') ? 'high' : null },
+    { name: 'ID3', type: 'MP3', test: b => matchBytes(b, 0, 'ID3') && b[3] < 0x10 ? 'high' : null },
+    { name: 'OGG', type: 'OGG', test: b => matchBytes(b, 0, 'OggS') ? 'high' : null },
+    { name: 'FLAC', type: 'FLAC', test: b => matchBytes(b, 0, 'fLaC') ? 'high' : null },
+    // У BMP короткая сигнатура, поэтому дополнительно проверяются нулевые зарезервированные поля
+    { name: 'BMP', type: 'BMP', test: b => matchBytes(b, 0, 'BM') && matchBytes(b, 6, [0, 0, 0, 0]) ? 'medium' : null }
+];
+
+/**
+ * Определяет тип файла по заголовку
+ * Сначала проверяются сигнатуры из реестра, затем блок ftyp, затем признаки текста
+ * @param {ArrayBuffer} data - начало файла
+ * @returns {Object} - { ext, mime, type, isValid, confidence, signature };
+ *     confidence — 'high', 'medium', 'low' или 'none' для нераспознанных данных
+ */
+function detectFileType(data) {
+    const bytes = new Uint8Array(data.slice(0, FILE_TYPE_SCAN_SIZE));
+
+    const describe = (type, confidence, signature) => ({
+        ext: FILE_TYPES[type].ext,
+        mime: FILE_TYPES[type].mime,
+        type,
+        isValid: true,
+        confidence,
+        signature
+    });
+
+    for (const entry of FILE_SIGNATURES) {
+        const confidence = entry.test(bytes);
+        if (confidence) {
+            return describe(entry.type, confidence, entry.name);
+        }
+    }
+
+    const ftyp = detectFtypType(bytes);
+    if (ftyp) {
+        return describe(ftyp.type, ftyp.confidence, `ftyp ${readAscii(bytes, 8, 4).trim()}`);
+    }
+
+    const text = detectTextType(bytes);
+    if (text) {
+        return describe(text.type, text.confidence, 'UTF-8');
+    }
+
+    return {
+        ext: 'bin',
+        mime: 'application/octet-stream',
+        type: 'Unknown',
+        isValid: false,
+        confidence: 'none',
+        signature: null
+    };
+}
+
+/**
+ * Подбирает ключ для зашифрованного файла
+ * Каждый ключ расшифровывает только начало файла (FILE_TYPE_SCAN_SIZE байт), результат
+ * проходит verifyDecryptedHead. Полностью корректный результат выбирается сразу,
+ * иначе — лучший из правдоподобных: поврежденный файл известного типа, затем нераспознанный
+ * @param {Blob} file - зашифрованный файл
+ * @param {Object[]} keys - ключи { name, key } в порядке проверки
+ * @returns {Promise<Object|null>} - подошедший ключ или null, если все пароли неверны
+ */
+async function findMatchingKey(file, keys) {
+    const outcomeRank = { 'valid': 3, 'corrupted': 2, 'plausible': 1 };
+    const sample = file.slice(0, 20 + FILE_TYPE_SCAN_SIZE);
+    let best = null;
+    let bestRank = 0;
+    
+    for (const candidate of keys) {
+        let head = null;
+        await decryptFileData(sample, candidate.key, {
+            onChunk: async chunk => {
+                head = chunk;
+            }
+        });
+        const verification = verifyDecryptedHead(head, detectFileType(head), file.size - 20);
+        const rank = outcomeRank[verification.outcome] || 0;
+        if (rank === outcomeRank.valid) {
+            return candidate;
+        }
+        if (rank > bestRank) {
+            best = candidate;
+            bestRank = rank;
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Выполняет задание расшифровки: читает файл, расшифровывает его и определяет тип
+ * Используется веб-воркером и основным потоком, если воркеры недоступны
+ * @param {Object} job - задание
+ * @param {File} job.file - файл для обработки
+ * @param {Object[]} job.keys - ключи { name, key } в порядке проверки
+ * @param {function(Object, Transferable[]=): void} post - отправляет сообщение о ходе работы
+ * @param {function(): Promise<void>} waitForAck - ждет, пока получатель запишет фрагмент
+ * @returns {Promise<Object>} - тип файла, признак шифрования, EXIF, результат проверки, название ключа
+ *     и SHA-256 исходного файла и результата (inputSha256, outputSha256)
+ * @throws {Error} - ошибка обработки; в inputSha256 — хеш исходного файла для отчета о неудаче
+ */
+async function runDecryptJob(job, post, waitForAck) {
+    try {
+        return await decryptJobFile(job, post, waitForAck);
+    } catch (error) {
+        // Прерванная запись означает отмену: файл больше не обрабатывается
+        if (!error.displayMessage || error.displayMessage.key !== 'error.writeAborted') {
+            error.inputSha256 = await hashBlob(job.file).catch(() => null);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Расшифровывает файл задания, попутно считая хеши исходного файла и результата
+ * @param {Object} job - задание (см. runDecryptJob)
+ * @param {function(Object, Transferable[]=): void} post - отправляет сообщение о ходе работы
+ * @param {function(): Promise<void>} waitForAck - ждет, пока получатель запишет фрагмент
+ * @returns {Promise<Object>} - результат runDecryptJob
+ */
+async function decryptJobFile(job, post, waitForAck) {
+    const { file, keys } = job;
+    
+    // Проверяем маркер по первым байтам, не читая файл целиком
+    const header = await file.slice(0, 4).arrayBuffer();
+    
+    if (!checkEncryptionMarker(header)) {
+        // Файл не зашифрован, данные получатель берет из исходного файла
+        const head = await file.slice(0, EXIF_SCAN_SIZE).arrayBuffer();
+        const fileType = detectFileType(head);
+        const sha256 = await hashBlob(file);
+        return {
+            fileType,
+            isEncrypted: false,
+            exif: extractImageExif(head, fileType),
+            verification: null,
+            inputSha256: sha256,
+            outputSha256: sha256
+        };
+    }
+    
+    // Пароля по умолчанию нет: без паролей зашифрованный файл не расшифровывается
+    if (keys.length === 0) {
+        throw createCodedError('error.noPassword', 'wrong-password');
+    }
+    
+    // При нескольких паролях сначала подбираем ключ по началу файла
+    const matched = keys.length > 1 ? await findMatchingKey(file, keys) : keys[0];
+    if (!matched) {
+        throw createCodedError('error.noMatchingKey', 'wrong-password');
+    }
+    
+    let fileType;
+    let exif = null;
+    let verification;
+    let tail = null;
+    const inputHash = createSha256();
+    const outputHash = createSha256();
+    await decryptFileData(file, matched.key, {
+        onInput: data => inputHash.update(data),
+        onChunk: async (chunk, index) => {
+            // Тип, проверка и EXIF — по первому фрагменту, до его передачи получателю
+            if (index === 0) {
+                fileType = detectFileType(chunk);
+                verification = verifyDecryptedHead(chunk, fileType, file.size - 20);
+                if (verification.outcome === 'wrong-password') {
+                    throw createCodedError('error.wrongPassword', 'wrong-password', { reason: verification.reason });
+                }
+                exif = extractImageExif(chunk, fileType);
+            }
+            tail = appendVerificationTail(tail, chunk);
+            // Хеш считается до передачи: переданный буфер становится пустым
+            outputHash.update(chunk);
+            post({ type: 'chunk', index, data: chunk, fileType }, [chunk]);
+            // Не расшифровываем следующий фрагмент, пока не записан текущий
+            await waitForAck();
+        },
+        onProgress: fraction => post({ type: 'progress', fraction })
+    });
+    
+    // Обрезанный файл распознается по отсутствию признака конца формата
+    if (verification.outcome === 'valid') {
+        verification = verifyDecryptedTail(tail, fileType) || verification;
+    }
+    
+    return {
+        fileType,
+        isEncrypted: true,
+        exif,
+        verification,
+        keyName: matched.name,
+        inputSha256: inputHash.digest(),
+        outputSha256: outputHash.digest()
+    };
+}
+
+/**
+ * Извлекает EXIF, если файл — JPEG или PNG
+ * @param {ArrayBuffer} data - начало файла
+ * @param {Object} fileType - результат detectFileType
+ * @returns {Object|null} - EXIF или null
+ */
+function extractImageExif(data, fileType) {
+    return fileType.ext === 'jpg' || fileType.ext === 'png' ? parseExif(data) : null;
+}
+
+// Сколько байт начала и конца файла показывает инспектор
+const INSPECTOR_DUMP_SIZE = 1024;
+
+/**
+ * Форматирует байты как шестнадцатеричную строку
+ * @param {Uint8Array} bytes - байты
+ * @param {string} [separator=' '] - разделитель байтов
+ * @returns {string}
+ */
+function bytesToHex(bytes, separator = ' ') {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(separator);
+}
+
+/**
+ * Форматирует байты как шестнадцатеричный дамп с колонкой ASCII, по 16 байт в строке
+ * Непечатаемые байты в колонке ASCII заменяются точкой
+ * @param {Uint8Array} bytes - байты
+ * @param {number} [offset=0] - смещение первого байта для колонки адресов
+ * @returns {string}
+ */
+function formatHexDump(bytes, offset = 0) {
+    const lines = [];
+    for (let start = 0; start < bytes.length; start += 16) {
+        const row = bytes.subarray(start, start + 16);
+        const hex = bytesToHex(row).padEnd(16 * 3 - 1, ' ');
+        const ascii = Array.from(row, byte => byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.').join('');
+        lines.push(`${(offset + start).toString(16).padStart(8, '0')}  ${hex}  |${ascii}|`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Разбирает заголовок файла так же, как decryptFileData: маркер ENC_, IV и размер содержимого
+ * IV делится на префикс (старшие 8 байт) и 64-битный счетчик блоков (младшие 8 байт, big-endian),
+ * который advanceCounter увеличивает на каждый 16-байтный блок; счетчик приводится так же,
+ * как в buildCounterBlock
+ * @param {ArrayBuffer} header - первые 20 байт файла (или меньше, если файл короче)
+ * @param {number} fileSize - размер файла
+ * @returns {Object} - { marker, hasMarker, iv, ivPrefix, counter, payloadLength, blocks, partialBlock };
+ *     IV и счетчик — null, если заголовок короче 20 байт
+ */
+function parseEncryptedHeader(header, fileSize) {
+    const bytes = new Uint8Array(header.slice(0, 20));
+    const complete = bytes.length === 20;
+    const counter = complete
+        ? new DataView(buildCounterBlock(bytes.subarray(4, 20)).buffer, 8, 8).getBigUint64(0).toString()
+        : null;
+    const payloadLength = Math.max(0, fileSize - 20);
+
+    return {
+        marker: bytesToHex(bytes.subarray(0, 4)),
+        hasMarker: checkEncryptionMarker(bytes.buffer),
+        iv: complete ? bytesToHex(bytes.subarray(4, 20)) : null,
+        ivPrefix: complete ? bytesToHex(bytes.subarray(4, 12)) : null,
+        counter,
+        payloadLength,
+        blocks: Math.ceil(payloadLength / 16),
+        partialBlock: payloadLength % 16
+    };
+}
+
+/**
+ * Расшифровывает участок содержимого зашифрованного файла, не читая остальное
+ * Начало участка выравнивается на блок AES, счетчик сдвигается, как в decryptFileData
+ * @param {Blob} file - зашифрованный файл
+ * @param {CryptoKey} key - ключ generateKey
+ * @param {number} start - начало участка в содержимом (после 20 байт заголовка)
+ * @param {number} end - конец участка в содержимом (не включая)
+ * @returns {Promise<Uint8Array>} - расшифрованные байты участка
+ */
+async function decryptPayloadRange(file, key, start, end) {
+    const counter = buildCounterBlock(new Uint8Array(await file.slice(4, 20).arrayBuffer()));
+    const alignedStart = start - start % 16;
+    const encrypted = await file.slice(20 + alignedStart, 20 + end).arrayBuffer();
+    const decrypted = await crypto.subtle.decrypt(
+        {
+            name: 'AES-CTR',
+            counter: advanceCounter(counter, alignedStart / 16),
+            length: 128
+        },
+        key,
+        encrypted
+    );
+    return new Uint8Array(decrypted).subarray(start - alignedStart);
+}
+
+/**
+ * Объясняет определение типа: какая сигнатура подошла или какие проверки не подошли
+ * @param {ArrayBuffer} data - начало файла
+ * @returns {Object} - результат detectFileType и checked — названия проверок в порядке detectFileType
+ */
+function explainFileType(data) {
+    return {
+        ...detectFileType(data),
+        checked: [...FILE_SIGNATURES.map(entry => entry.name), 'ftyp', 'UTF-8']
+    };
+}
+
+/**
+ * Пошагово разбирает имя файла каждым декодером реестра, как decryptFilename
+ * Для декодеров с unwrap показываются байты после base64, после XOR с паролем
+ * и части строки, разделенной по «|»
+ * @param {string} filename - имя файла
+ * @param {string} password - пароль для XOR (пустой — шаг XOR пропускается)
+ * @returns {Object[]} - шаги { decoder, confidence, encoded, xored, text, parts, result, dateValid, error }
+ */
+function traceFilenameDecode(filename, password) {
+    const baseName = filename.replace(/\.[^/.]+$/, "");
+
+    return FILENAME_DECODERS.map(decoder => {
+        const step = {
+            decoder: decoder.name,
+            confidence: null,
+            encoded: null,
+            xored: null,
+            text: null,
+            parts: null,
+            result: null,
+            dateValid: false,
+            error: null
+        };
+        try {
+            step.confidence = decoder.detect(baseName);
+            const data = decoder.unwrap ? decoder.unwrap(baseName) : null;
+            if (data) {
+                step.encoded = Uint8Array.from(data, char => char.charCodeAt(0));
+                if (password) {
+                    step.xored = xorFilenameBytes(data, password);
+                    step.text = new TextDecoder().decode(step.xored);
+                    step.parts = step.text.includes('|') ? step.text.split('|', 2) : null;
+                }
+            }
+            step.result = step.confidence ? decoder.decode(baseName, password) : null;
+            step.dateValid = Boolean(step.result && parseFilenameDateTime(step.result.dateTime));
+        } catch (error) {
+            step.error = error.message;
+        }
+        return step;
+    });
+}
+
+/**
+ * Собирает сведения для инспектора: заголовок, дампы начала и конца файла до и после
+ * расшифровки и определение типа. Читаются только заголовок и участки дампов
+ * @param {Blob} file - файл
+ * @param {Object[]} keys - ключи { name, key }; подходящий выбирается по началу файла
+ * @returns {Promise<Object>} - { size, header, raw, keyName, keyMatched, decrypted, error };
+ *     raw и decrypted — { head, tail, tailOffset, fileType }, у decrypted еще verification.
+ *     Если ни один ключ не подошел, содержимое расшифровывается первым ключом (keyMatched: false),
+ *     чтобы было видно, что получается; decrypted — null для незашифрованных файлов и без ключей
+ */
+async function inspectFile(file, keys) {
+    const dumpRange = async (size, read) => {
+        const tailOffset = Math.max(0, size - INSPECTOR_DUMP_SIZE);
+        return {
+            head: await read(0, Math.min(size, INSPECTOR_DUMP_SIZE)),
+            tail: await read(tailOffset, size),
+            tailOffset
+        };
+    };
+    const readRaw = async (start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+
+    const header = parseEncryptedHeader(await file.slice(0, 20).arrayBuffer(), file.size);
+    const raw = {
+        ...await dumpRange(file.size, readRaw),
+        fileType: explainFileType(await file.slice(0, FILE_TYPE_SCAN_SIZE).arrayBuffer())
+    };
+    const inspection = { size: file.size, header, raw, keyName: null, keyMatched: false, decrypted: null, error: null };
+    if (!header.hasMarker || header.payloadLength === 0) {
+        return inspection;
+    }
+    if (keys.length === 0) {
+        inspection.error = createCodedError('error.noPassword').displayMessage;
+        return inspection;
+    }
+
+    try {
+        const matched = await findMatchingKey(file, keys);
+        const used = matched || keys[0];
+        inspection.keyName = used.name;
+        inspection.keyMatched = Boolean(matched);
+        if (!matched) {
+            inspection.error = createCodedError('error.noMatchingKey').displayMessage;
+        }
+        const size = header.payloadLength;
+        const readDecrypted = (start, end) => decryptPayloadRange(file, used.key, start, end);
+        const scan = (await readDecrypted(0, Math.min(size, FILE_TYPE_SCAN_SIZE))).slice().buffer;
+        const fileType = explainFileType(scan);
+        inspection.decrypted = {
+            ...await dumpRange(size, readDecrypted),
+            fileType,
+            verification: verifyDecryptedHead(scan, fileType, size)
+        };
+    } catch (error) {
+        inspection.error = error.displayMessage || error.message;
+    }
+    return inspection;
+}
@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+// dectryptor — пакетная расшифровка файлов GeoLens из командной строки.
+// Рекурсивно обходит папку, расшифровывает файлы в папку результатов с сохранением
+// структуры подпапок и выводит отчет JSON. Работает на том же ядре, что и страница (lib.js).
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const {
+    TOOL_VERSION,
+    decryptFilenameWithKeys,
+    buildOutputFileName,
+    findUnknownTemplateTokens,
+    normalizeTimeZone,
+    resolveFilenameTimestamp,
+    assignChronologicalIndexes,
+    checkEncryptionMarker,
+    generateKey,
+    runDecryptJob,
+    localize,
+    localizeError,
+    openFileAsBlob
+} = require('./lib.js');
+
+// Коды завершения
+const EXIT_OK = 0;          // все файлы обработаны
+const EXIT_PARTIAL = 1;     // часть файлов не обработана
+const EXIT_USAGE = 2;       // неверные аргументы
+const EXIT_FAILED = 3;      // ни один файл не обработан или папка недоступна
+
+const USAGE = `Использование: node dectryptor.js <папка> [параметры]
+
+Параметры:
+  -o, --output <папка>       папка результатов (по умолчанию <папка>_decrypted)
+  -p, --password <пароль>    пароль; можно указать несколько раз
+                             (пароль в командной строке виден другим процессам,
+                             лучше использовать --password-file)
+  --password-file <файл>     файл с паролями, по одному в строке; строки с # пропускаются,
+                             название ключа можно указать перед паролем через табуляцию
+  --report <файл>            записать отчет JSON в файл (по умолчанию — в stdout)
+  --operator <имя>           имя оператора для отчета; в отчете также версия инструмента,
+                             названия ключей, время и SHA-256 исходных файлов и результатов
+  --dry-run                  только расшифровать имена файлов, ничего не записывать
+  --overwrite                перезаписывать существующие файлы (по умолчанию — суффикс _2, _3...)
+  --timezone <пояс>          часовой пояс дат в именах: local (по умолчанию), UTC,
+                             смещение (+03:00) или название (Europe/Moscow)
+  --name-template <шаблон>   шаблон имени результата, например
+                             "{date:YYYY-MM-DD_HH-mm-ss}_{index:3}.{ext}"; подстановки:
+                             {date:…}, {utc:…}, {index}, {name}, {ext}
+  -h, --help                 показать эту справку
+
+Коды завершения:
+  0 — все файлы обработаны
+  1 — часть файлов не обработана
+  2 — неверные аргументы
+  3 — ни один файл не обработан или папка недоступна`;
+
+/**
+ * Ошибка в аргументах командной строки
+ */
+class UsageError extends Error {}
+
+/**
+ * Разбирает аргументы командной строки
+ * @param {string[]} args - аргументы без node и имени скрипта
+ * @returns {Object} - параметры запуска
+ */
+function parseArgs(args) {
+    const options = {
+        input: null,
+        output: null,
+        passwords: [],
+        passwordFiles: [],
+        report: null,
+        dryRun: false,
+        overwrite: false,
+        timeZone: 'local',
+        nameTemplate: null,
+        operator: null,
+        help: false
+    };
+
+    const takeValue = (index, name) => {
+        if (index + 1 >= args.length) {
+            throw new UsageError(`Для ${name} нужно значение`);
+        }
+        return args[index + 1];
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '-o':
+            case '--output':
+                options.output = takeValue(i++, arg);
+                break;
+            case '-p':
+            case '--password':
+                options.passwords.push(takeValue(i++, arg));
+                break;
+            case '--password-file':
+                options.passwordFiles.push(takeValue(i++, arg));
+                break;
+            case '--report':
+                options.report = takeValue(i++, arg);
+                break;
+            case '--operator':
+                options.operator = takeValue(i++, arg);
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--overwrite':
+                options.overwrite = true;
+                break;
+            case '--timezone':
+                options.timeZone = normalizeTimeZone(takeValue(i, arg));
+                if (!options.timeZone) {
+                    throw new UsageError(`Неизвестный часовой пояс: ${args[i + 1]}`);
+                }
+                i++;
+                break;
+            case '--name-template': {
+                options.nameTemplate = takeValue(i++, arg);
+                const unknownTokens = findUnknownTemplateTokens(options.nameTemplate);
+                if (unknownTokens.length > 0) {
+                    throw new UsageError(`Неизвестные подстановки в шаблоне имени: ${unknownTokens.join(', ')}`);
+                }
+                break;
+            }
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new UsageError(`Неизвестный параметр: ${arg}`);
+                }
+                if (options.input) {
+                    throw new UsageError(`Лишний аргумент: ${arg}`);
+                }
+                options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Читает пароли из файла
+ * @param {string} filePath - путь к файлу
+ * @returns {Promise<Object[]>} - пароли { name, password }
+ */
+async function readPasswordFile(filePath) {
+    const content = await fsp.readFile(filePath, 'utf8');
+    const candidates = [];
+
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!line || line.startsWith('#')) return;
+        const tabIndex = line.indexOf('\t');
+        candidates.push(tabIndex > 0
+            ? { name: line.slice(0, tabIndex), password: line.slice(tabIndex + 1) }
+            : { name: `${path.basename(filePath)}:${index + 1}`, password: line });
+    });
+
+    return candidates;
+}
+
+/**
+ * Рекурсивно собирает файлы папки; символические ссылки пропускаются
+ * @param {string} directory - папка
+ * @param {string} [skip] - папка, которую не нужно обходить (папка результатов)
+ * @returns {Promise<string[]>} - пути файлов относительно directory, по алфавиту
+ */
+async function collectFiles(directory, skip) {
+    const files = [];
+
+    async function walk(relative) {
+        const entries = await fsp.readdir(path.join(directory, relative), { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const entryPath = path.join(relative, entry.name);
+            if (entry.isDirectory()) {
+                if (path.resolve(directory, entryPath) !== skip) {
+                    await walk(entryPath);
+                }
+            } else if (entry.isFile()) {
+                files.push(entryPath);
+            }
+        }
+    }
+
+    await walk('');
+    return files;
+}
+
+/**
+ * Подбирает свободное имя файла, добавляя суффикс _2, _3...
+ * @param {string} filePath - желаемый путь
+ * @param {Set<string>} reserved - пути, уже выданные в этом запуске
+ * @param {boolean} overwrite - разрешена перезапись существующих файлов
+ * @returns {string} - путь для записи
+ */
+function resolveOutputPath(filePath, reserved, overwrite) {
+    const { dir, name, ext } = path.parse(filePath);
+    let candidate = filePath;
+    for (let n = 2; reserved.has(candidate) || (!overwrite && fs.existsSync(candidate)); n++) {
+        candidate = path.join(dir, `${name}_${n}${ext}`);
+    }
+    reserved.add(candidate);
+    return candidate;
+}
+
+/**
+ * Расшифровывает один файл в папку результатов
+ * Фрагменты пишутся во временный файл, который переименовывается после успешной записи
+ * @param {string} inputPath - путь к файлу
+ * @param {Object[]} keys - ключи { name, key }
+ * @param {function(Object): string} chooseOutputPath - получает тип файла и возвращает путь для записи
+ * @returns {Promise<Object>} - результат runDecryptJob и путь результата
+ */
+async function decryptToFile(inputPath, keys, chooseOutputPath) {
+    const file = await openFileAsBlob(inputPath);
+    let handle = null;
+    let outputPath = null;
+    let pendingWrite = Promise.resolve();
+
+    const post = message => {
+        if (message.type !== 'chunk') return;
+        pendingWrite = pendingWrite.then(async () => {
+            if (!handle) {
+                outputPath = chooseOutputPath(message.fileType);
+                await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+                handle = await fsp.open(`${outputPath}.partial`, 'w');
+            }
+            await handle.write(new Uint8Array(message.data));
+        });
+    };
+
+    try {
+        const result = await runDecryptJob({ file, keys }, post, () => pendingWrite);
+        await pendingWrite;
+
+        if (handle) {
+            await handle.close();
+            handle = null;
+            await fsp.rename(`${outputPath}.partial`, outputPath);
+        } else {
+            // Файл не зашифрован: копируем как есть под новым именем
+            outputPath = chooseOutputPath(result.fileType);
+            await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+            await fsp.copyFile(inputPath, outputPath);
+        }
+
+        return { ...result, outputPath };
+    } catch (error) {
+        // Не оставляем недописанный результат
+        await pendingWrite.catch(() => {});
+        if (handle) {
+            await handle.close().catch(() => {});
+            await fsp.unlink(`${outputPath}.partial`).catch(() => {});
+        }
+        throw error;
+    }
+}
+
+/**
+ * Проверяет маркер ENC_ в начале файла
+ * @param {string} inputPath - путь к файлу
+ * @returns {Promise<boolean>}
+ */
+async function hasEncryptionMarker(inputPath) {
+    const file = await openFileAsBlob(inputPath);
+    return checkEncryptionMarker(await file.slice(0, 4).arrayBuffer());
+}
+
+/**
+ * Основная функция: разбирает аргументы, обрабатывает файлы и выводит отчет
+ * @param {string[]} args - аргументы командной строки
+ * @returns {Promise<number>} - код завершения
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (!options.input) {
+        console.error(`Не указана папка с файлами\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    let candidates = options.passwords.map((password, index) => ({ name: `--password ${index + 1}`, password }));
+    try {
+        for (const passwordFile of options.passwordFiles) {
+            candidates.push(...await readPasswordFile(passwordFile));
+        }
+    } catch (error) {
+        console.error(`Не удалось прочитать файл паролей: ${error.message}`);
+        return EXIT_USAGE;
+    }
+    // Пустой пароль не проверяется: пароля по умолчанию нет
+    candidates = candidates.filter(candidate => candidate.password);
+    if (candidates.length === 0 && !options.dryRun) {
+        console.error(`Укажите пароль через --password или --password-file\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const inputDirectory = path.resolve(options.input);
+    const outputDirectory = path.resolve(options.output || `${inputDirectory.replace(/[\\/]+$/, '')}_decrypted`);
+
+    let relativePaths;
+    try {
+        relativePaths = await collectFiles(inputDirectory, outputDirectory);
+    } catch (error) {
+        console.error(`Папка недоступна: ${error.message}`);
+        return EXIT_FAILED;
+    }
+
+    const keys = await Promise.all(candidates.map(async candidate => ({
+        name: candidate.name,
+        key: await generateKey(candidate.password)
+    })));
+
+    const reservedPaths = new Set();
+    const reportFiles = [];
+    const startedAt = new Date().toISOString();
+
+    const filenames = relativePaths.map(relativePath => {
+        const filenameInfo = decryptFilenameWithKeys(path.basename(relativePath), candidates);
+        if (filenameInfo.usedPassword && !filenameInfo.keyName) {
+            // Ни один пароль не подошел к имени — мусор вместо даты в отчет не попадает
+            return { success: false, dateTime: null, link: null, decoder: null, keyName: null, timestamp: null };
+        }
+        return { ...filenameInfo, timestamp: resolveFilenameTimestamp(filenameInfo.dateTime, options.timeZone) };
+    });
+    // Номера для подстановки {index} — в хронологическом порядке
+    const outputIndexes = assignChronologicalIndexes(filenames);
+
+    for (const [index, relativePath] of relativePaths.entries()) {
+        const inputPath = path.join(inputDirectory, relativePath);
+        const filenameInfo = filenames[index];
+        const entry = {
+            path: relativePath,
+            encrypted: null,
+            dateTime: filenameInfo.dateTime,
+            timestamp: filenameInfo.timestamp === null ? null : new Date(filenameInfo.timestamp).toISOString(),
+            link: filenameInfo.link,
+            filenameDecoder: filenameInfo.decoder,
+            filenameKey: filenameInfo.keyName,
+            keyName: null,
+            fileType: null,
+            typeConfidence: null,
+            verification: null,
+            verificationReason: null,
+            output: null,
+            inputSha256: null,
+            outputSha256: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null,
+            errorCode: null
+        };
+
+        try {
+            entry.encrypted = await hasEncryptionMarker(inputPath);
+
+            if (!options.dryRun) {
+                // Пароль, подошедший к имени, первым проверяется и для содержимого
+                const orderedKeys = [...keys].sort((a, b) =>
+                    (b.name === filenameInfo.keyName) - (a.name === filenameInfo.keyName));
+                const result = await decryptToFile(inputPath, orderedKeys, fileType => {
+                    const name = buildOutputFileName({ name: path.basename(relativePath) }, filenameInfo, fileType, {
+                        template: options.nameTemplate,
+                        timeZone: options.timeZone,
+                        index: outputIndexes.get(filenameInfo)
+                    });
+                    return resolveOutputPath(
+                        path.join(outputDirectory, path.dirname(relativePath), name),
+                        reservedPaths,
+                        options.overwrite
+                    );
+                });
+
+                entry.keyName = result.isEncrypted ? result.keyName : filenameInfo.keyName;
+                entry.fileType = result.fileType.type;
+                entry.typeConfidence = result.fileType.confidence;
+                entry.verification = result.verification ? result.verification.outcome : null;
+                entry.verificationReason = result.verification ? localize(result.verification.reason) : null;
+                entry.output = path.relative(outputDirectory, result.outputPath);
+                entry.inputSha256 = result.inputSha256;
+                entry.outputSha256 = result.outputSha256;
+            }
+
+            console.error(`[${index + 1}/${relativePaths.length}] ${relativePath}` +
+                (entry.output ? ` → ${entry.output}` : '') +
+                (entry.dateTime ? ` (${entry.dateTime})` : ''));
+        } catch (error) {
+            entry.error = localizeError(error);
+            entry.errorCode = error.code || null;
+            entry.inputSha256 = error.inputSha256 || null;
+            console.error(`[${index + 1}/${relativePaths.length}] ${relativePath}: ${entry.error}`);
+        }
+
+        entry.finishedAt = new Date().toISOString();
+        reportFiles.push(entry);
+    }
+
+    const failed = reportFiles.filter(entry => entry.error).length;
+    const report = {
+        generatedAt: new Date().toISOString(),
+        toolVersion: TOOL_VERSION,
+        operator: options.operator,
+        startedAt,
+        keys: keys.map(key => key.name),
+        nameTemplate: options.nameTemplate,
+        input: inputDirectory,
+        output: options.dryRun ? null : outputDirectory,
+        dryRun: options.dryRun,
+        timeZone: options.timeZone,
+        summary: {
+            total: reportFiles.length,
+            succeeded: reportFiles.length - failed,
+            failed,
+            wrongPassword: reportFiles.filter(entry => entry.errorCode === 'wrong-password').length,
+            corrupted: reportFiles.filter(entry =>
+                entry.errorCode === 'corrupted' || entry.verification === 'corrupted').length
+        },
+        files: reportFiles
+    };
+
+    const reportJson = JSON.stringify(report, null, 2);
+    if (options.report) {
+        await fsp.writeFile(options.report, reportJson + '\n');
+    } else {
+        console.log(reportJson);
+    }
+
+    if (reportFiles.length === 0 || failed === reportFiles.length) {
+        return EXIT_FAILED;
+    }
+    return failed > 0 ? EXIT_PARTIAL : EXIT_OK;
+}
+
+main(process.argv.slice(2)).then(
+    code => {
+        process.exitCode = code;
+    },
+    error => {
+        console.error(`Непредвиденная ошибка: ${error.stack || error.message}`);
+        process.exitCode = EXIT_FAILED;
+    }
+);
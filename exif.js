@@ -0,0 +1,252 @@
+// Разбор метаданных EXIF (структура TIFF) из JPEG и из чанка eXIf в PNG.
+// Файл не обращается к DOM и подключается страницей, веб-воркером и в Node.js (lib.js).
+
+// Размер одного значения для типов полей TIFF
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Сколько байт с начала незашифрованного файла читать для поиска EXIF
+const EXIF_SCAN_SIZE = 256 * 1024;
+
+// Допустимое расхождение времени EXIF и времени из имени файла
+const EXIF_TIME_TOLERANCE_SECONDS = 60;
+
+// Теги, которые извлекаются из IFD0, Exif IFD и GPS IFD
+const EXIF_TAGS = {
+    make: 0x010F,
+    model: 0x0110,
+    software: 0x0131,
+    dateTime: 0x0132,
+    exifPointer: 0x8769,
+    gpsPointer: 0x8825,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    lensModel: 0xA434
+};
+const GPS_TAGS = {
+    latitudeRef: 0x01,
+    latitude: 0x02,
+    longitudeRef: 0x03,
+    longitude: 0x04,
+    altitudeRef: 0x05,
+    altitude: 0x06
+};
+
+/**
+ * Находит блок TIFF с EXIF в JPEG (сегмент APP1) или PNG (чанк eXIf)
+ * @param {DataView} view - данные файла
+ * @returns {Object|null} - { start, length } блока TIFF или null
+ */
+function findExifTiff(view) {
+    // JPEG: FF D8, затем сегменты FF xx с длиной до маркера начала скана
+    if (view.byteLength > 4 && view.getUint16(0) === 0xFFD8) {
+        let offset = 2;
+        while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xFF) {
+            const marker = view.getUint8(offset + 1);
+            if (marker === 0xDA || marker === 0xD9) break;
+            const length = view.getUint16(offset + 2);
+            // APP1 с заголовком "Exif\0\0"
+            if (marker === 0xE1 && offset + 10 <= view.byteLength &&
+                view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+                return { start: offset + 10, length: Math.min(length - 8, view.byteLength - offset - 10) };
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    // PNG: сигнатура 8 байт, затем чанки "длина, тип, данные, CRC"
+    if (view.byteLength > 8 && view.getUint32(0) === 0x89504E47) {
+        let offset = 8;
+        while (offset + 8 <= view.byteLength) {
+            const length = view.getUint32(offset);
+            const type = view.getUint32(offset + 4);
+            if (type === 0x65584966) { // eXIf
+                return { start: offset + 8, length: Math.min(length, view.byteLength - offset - 8) };
+            }
+            if (type === 0x49454E44) break; // IEND
+            offset += 12 + length;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Читает значение поля IFD
+ * @param {DataView} view - данные файла
+ * @param {number} tiffStart - начало блока TIFF
+ * @param {number} entryOffset - смещение записи IFD
+ * @param {boolean} littleEndian - порядок байт
+ * @returns {*} - строка, число, массив чисел или null
+ */
+function readIfdValue(view, tiffStart, entryOffset, littleEndian) {
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const size = EXIF_TYPE_SIZES[type];
+    if (!size || count === 0) return null;
+
+    // Значения длиннее 4 байт хранятся по смещению от начала TIFF
+    const total = size * count;
+    const valueOffset = total > 4
+        ? tiffStart + view.getUint32(entryOffset + 8, littleEndian)
+        : entryOffset + 8;
+    if (valueOffset + total > view.byteLength) return null;
+
+    if (type === 2) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(valueOffset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text.trim();
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const offset = valueOffset + i * size;
+        switch (type) {
+            case 1:
+            case 7:
+                values.push(view.getUint8(offset));
+                break;
+            case 3:
+                values.push(view.getUint16(offset, littleEndian));
+                break;
+            case 4:
+                values.push(view.getUint32(offset, littleEndian));
+                break;
+            case 9:
+                values.push(view.getInt32(offset, littleEndian));
+                break;
+            case 5:
+                values.push(view.getUint32(offset, littleEndian) / view.getUint32(offset + 4, littleEndian));
+                break;
+            case 10:
+                values.push(view.getInt32(offset, littleEndian) / view.getInt32(offset + 4, littleEndian));
+                break;
+        }
+    }
+    return count === 1 ? values[0] : values;
+}
+
+/**
+ * Читает записи IFD
+ * @param {DataView} view - данные файла
+ * @param {number} tiffStart - начало блока TIFF
+ * @param {number} ifdOffset - смещение IFD от начала TIFF
+ * @param {boolean} littleEndian - порядок байт
+ * @returns {Map<number, *>} - значения по номеру тега
+ */
+function readIfd(view, tiffStart, ifdOffset, littleEndian) {
+    const tags = new Map();
+    const start = tiffStart + ifdOffset;
+    if (ifdOffset === 0 || start + 2 > view.byteLength) return tags;
+
+    const count = view.getUint16(start, littleEndian);
+    for (let i = 0; i < count; i++) {
+        const entryOffset = start + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+        const tag = view.getUint16(entryOffset, littleEndian);
+        tags.set(tag, readIfdValue(view, tiffStart, entryOffset, littleEndian));
+    }
+    return tags;
+}
+
+/**
+ * Переводит координату из градусов, минут и секунд в десятичные градусы
+ * @param {number[]} dms - [градусы, минуты, секунды]
+ * @param {string} ref - полушарие ('N', 'S', 'E', 'W')
+ * @returns {number|null} - координата или null
+ */
+function dmsToDecimal(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    if (!Number.isFinite(value)) return null;
+    return ref === 'S' || ref === 'W' ? -value : value;
+}
+
+/**
+ * Приводит дату EXIF ("YYYY:MM:DD HH:MM:SS") к виду "YYYY-MM-DD HH:MM:SS"
+ * @param {string|null} value - дата EXIF
+ * @returns {string|null} - дата или null, если формат не распознан
+ */
+function normalizeExifDateTime(value) {
+    const match = (value || '').match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return null;
+    return `${match[1]}-${match[2]}-${match[3]} ${match[4]}:${match[5]}:${match[6]}`;
+}
+
+/**
+ * Извлекает EXIF из начала JPEG или PNG
+ * @param {ArrayBuffer} data - начало файла (для JPEG достаточно первых 64 КБ)
+ * @returns {Object|null} - дата съемки, GPS и камера или null, если EXIF нет
+ */
+function parseExif(data) {
+    try {
+        const view = new DataView(data);
+        const tiff = findExifTiff(view);
+        if (!tiff || tiff.length < 8) return null;
+
+        // Заголовок TIFF: порядок байт (II/MM), число 42, смещение IFD0
+        const byteOrder = view.getUint16(tiff.start);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+        const littleEndian = byteOrder === 0x4949;
+        if (view.getUint16(tiff.start + 2, littleEndian) !== 42) return null;
+
+        const ifd0 = readIfd(view, tiff.start, view.getUint32(tiff.start + 4, littleEndian), littleEndian);
+        const exifIfd = readIfd(view, tiff.start, ifd0.get(EXIF_TAGS.exifPointer) || 0, littleEndian);
+        const gpsIfd = readIfd(view, tiff.start, ifd0.get(EXIF_TAGS.gpsPointer) || 0, littleEndian);
+
+        let gps = null;
+        const latitude = dmsToDecimal(gpsIfd.get(GPS_TAGS.latitude), gpsIfd.get(GPS_TAGS.latitudeRef));
+        const longitude = dmsToDecimal(gpsIfd.get(GPS_TAGS.longitude), gpsIfd.get(GPS_TAGS.longitudeRef));
+        if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+            const altitude = gpsIfd.get(GPS_TAGS.altitude);
+            gps = {
+                latitude,
+                longitude,
+                altitude: Number.isFinite(altitude)
+                    ? (gpsIfd.get(GPS_TAGS.altitudeRef) === 1 ? -altitude : altitude)
+                    : null
+            };
+        }
+
+        const asText = value => typeof value === 'string' && value ? value : null;
+
+        return {
+            dateTime: normalizeExifDateTime(exifIfd.get(EXIF_TAGS.dateTimeOriginal)) ||
+                normalizeExifDateTime(ifd0.get(EXIF_TAGS.dateTime)),
+            offsetTime: asText(exifIfd.get(EXIF_TAGS.offsetTimeOriginal)),
+            gps,
+            make: asText(ifd0.get(EXIF_TAGS.make)),
+            model: asText(ifd0.get(EXIF_TAGS.model)),
+            lensModel: asText(exifIfd.get(EXIF_TAGS.lensModel)),
+            software: asText(ifd0.get(EXIF_TAGS.software))
+        };
+    } catch (error) {
+        // Поврежденный EXIF не должен мешать расшифровке
+        return null;
+    }
+}
+
+/**
+ * Сравнивает время съемки из EXIF со временем из имени файла
+ * Оба времени — местное время устройства без часового пояса
+ * @param {string|null} exifDateTime - время EXIF ("YYYY-MM-DD HH:MM:SS")
+ * @param {string|null} filenameDateTime - время из имени файла (YYYYMMDD_HHMMSS)
+ * @returns {Object|null} - { mismatch, differenceSeconds } или null, если сравнить нельзя
+ */
+function compareExifTime(exifDateTime, filenameDateTime) {
+    const exifMatch = (exifDateTime || '').match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+    const nameMatch = (filenameDateTime || '').match(/^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/);
+    if (!exifMatch || !nameMatch) return null;
+
+    const toSeconds = match => Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) / 1000;
+    const differenceSeconds = toSeconds(exifMatch) - toSeconds(nameMatch);
+
+    return {
+        mismatch: Math.abs(differenceSeconds) > EXIF_TIME_TOLERANCE_SECONDS,
+        differenceSeconds
+    };
+}
@@ -0,0 +1,147 @@
+// Экспорт сведений об обработанных файлах в CSV, JSON и GeoJSON.
+// Файл не обращается к DOM.
+
+// Колонки CSV и соответствующие поля записи
+const EXPORT_CSV_COLUMNS = [
+    ['original_name', 'originalName'],
+    ['relative_path', 'relativePath'],
+    ['date_time', 'dateTime'],
+    ['timestamp_utc', 'timestamp'],
+    ['link', 'link'],
+    ['filename_decoder', 'filenameDecoder'],
+    ['filename_key', 'filenameKey'],
+    ['encrypted', 'encrypted'],
+    ['key_name', 'keyName'],
+    ['file_type', 'fileType'],
+    ['type_confidence', 'typeConfidence'],
+    ['output_name', 'outputName'],
+    ['verification', 'verification'],
+    ['verification_reason', 'verificationReason'],
+    ['latitude', 'latitude'],
+    ['longitude', 'longitude'],
+    ['coordinates_source', 'coordinatesSource'],
+    ['exif_date_time', 'exifDateTime'],
+    ['exif_latitude', 'exifLatitude'],
+    ['exif_longitude', 'exifLongitude'],
+    ['exif_altitude', 'exifAltitude'],
+    ['camera_make', 'cameraMake'],
+    ['camera_model', 'cameraModel'],
+    ['lens_model', 'lensModel'],
+    ['exif_time_difference_s', 'exifTimeDifference'],
+    ['exif_time_mismatch', 'exifTimeMismatch'],
+    ['input_sha256', 'inputSha256'],
+    ['output_sha256', 'outputSha256'],
+    ['started_at', 'startedAt'],
+    ['finished_at', 'finishedAt'],
+    ['error', 'error']
+];
+
+/**
+ * Определяет координаты записи: из ссылки в имени файла, иначе из GPS в EXIF
+ * @param {Object} record - запись об обработанном файле
+ * @returns {Object|null} - координаты { latitude, longitude, zoom, provider } или null
+ */
+function resolveRecordCoordinates(record) {
+    const location = parseMapLink(record.link);
+    if (location) {
+        return location;
+    }
+    if (record.exifLatitude !== null && record.exifLatitude !== undefined) {
+        return { latitude: record.exifLatitude, longitude: record.exifLongitude, zoom: null, provider: 'exif' };
+    }
+    return null;
+}
+
+/**
+ * Дополняет записи координатами для экспорта
+ * @param {Object[]} records - записи об обработанных файлах
+ * @returns {Object[]} - записи с полями latitude и longitude
+ */
+function withCoordinates(records) {
+    return records.map(record => {
+        const coordinates = resolveRecordCoordinates(record);
+        return {
+            ...record,
+            latitude: coordinates ? coordinates.latitude : null,
+            longitude: coordinates ? coordinates.longitude : null,
+            coordinatesSource: coordinates ? (coordinates.provider === 'exif' ? 'exif' : 'link') : null
+        };
+    });
+}
+
+/**
+ * Экранирует значение для CSV (RFC 4180)
+ * Строки, которые табличный редактор принял бы за формулу, получают префикс ';
+ * числа (отрицательные координаты, высота) остаются числами
+ * @param {*} value - значение поля
+ * @returns {string} - экранированное поле
+ */
+function escapeCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Сериализует записи в CSV
+ * BOM в начале нужен, чтобы Excel правильно открыл кириллицу
+ * @param {Object[]} records - записи об обработанных файлах
+ * @returns {string} - содержимое CSV
+ */
+function buildRecordsCsv(records) {
+    const header = EXPORT_CSV_COLUMNS.map(([column]) => column).join(',');
+    const rows = withCoordinates(records).map(record =>
+        EXPORT_CSV_COLUMNS.map(([, field]) => escapeCsvField(record[field])).join(',')
+    );
+    return '\uFEFF' + [header, ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Сериализует записи в JSON
+ * @param {Object[]} records - записи об обработанных файлах
+ * @returns {string} - содержимое JSON
+ */
+function buildRecordsJson(records) {
+    return JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        files: withCoordinates(records)
+    }, null, 2);
+}
+
+/**
+ * Сериализует записи с известными координатами в GeoJSON (FeatureCollection)
+ * @param {Object[]} records - записи об обработанных файлах
+ * @returns {string} - содержимое GeoJSON
+ */
+function buildRecordsGeoJson(records) {
+    const features = withCoordinates(records)
+        .filter(record => record.latitude !== null)
+        .map(({ latitude, longitude, ...properties }) => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [longitude, latitude]
+            },
+            properties
+        }));
+    
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+/**
+ * Проверяет, есть ли среди записей файлы с координатами
+ * @param {Object[]} records - записи об обработанных файлах
+ * @returns {boolean}
+ */
+function hasRecordCoordinates(records) {
+    return records.some(record => resolveRecordCoordinates(record) !== null);
+}
@@ -0,0 +1,353 @@
+// Отбор, поиск и сортировка карточек файлов.
+// Сетка карточек и панель ссылок показывают один и тот же отобранный набор;
+// к нему же относятся массовые действия: удаление, повторная обработка и экспорт.
+
+// Условия отбора: status — статус карточки, encrypted — 'yes'/'no' по маркеру ENC_,
+// type — тип результата, dateFrom/dateTo — дни 'YYYY-MM-DD' по дате из имени,
+// domain — домен ссылки из имени, query — текст для поиска по пути и ссылке;
+// sort — 'default' (порядок из настроек имен), 'name', 'size', 'date' или 'status'
+const DEFAULT_FILE_FILTERS = {
+    status: 'all',
+    encrypted: 'all',
+    type: 'all',
+    dateFrom: '',
+    dateTo: '',
+    domain: 'all',
+    query: '',
+    sort: 'default'
+};
+
+let fileFilters = { ...DEFAULT_FILE_FILTERS };
+
+// Результаты проверки маркера ENC_: ID файла → зашифрован ли файл
+const encryptionMarkers = new Map();
+
+// Файлы, маркер которых читается сейчас
+const pendingEncryptionChecks = new Set();
+
+// Порядок статусов при сортировке: сначала то, что требует внимания
+const STATUS_SORT_ORDER = ['error', 'warning', 'skipped', 'processing', 'ready', 'success'];
+
+/**
+ * Возвращает домен ссылки без www.
+ * @param {string|null} link - ссылка
+ * @returns {string|null} - домен или null, если ссылки нет или она не разбирается
+ */
+function getLinkDomain(link) {
+    if (!link) {
+        return null;
+    }
+    try {
+        return new URL(link).hostname.replace(/^www\./, '') || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Собирает сведения о файле, по которым он отбирается и сортируется
+ * @param {File} file - файл
+ * @param {Object[]} candidates - пароли { name, password } для расшифровки имен
+ * @param {Map<string, Object>} records - записи processedRecords по ID файла
+ * @returns {Object}
+ */
+function describeFileForFilters(file, candidates, records) {
+    const fileId = generateFileId(file);
+    const filenameInfo = decryptFilenameWithKeys(file.name, candidates);
+    const record = records.get(fileId);
+    const status = fileStatuses.get(fileId);
+    if (fileFilters.encrypted !== 'all') {
+        // Карточки скрытых файлов не создаются, поэтому маркер проверяется здесь
+        checkEncryptionMarkerForFilters(file, fileId);
+    }
+    return {
+        file,
+        fileId,
+        path: getRelativePath(file),
+        size: file.size,
+        dateTime: filenameInfo.dateTime,
+        link: filenameInfo.link,
+        domain: getLinkDomain(filenameInfo.link),
+        status: status ? status.status : 'ready',
+        encrypted: encryptionMarkers.get(fileId),
+        fileType: record ? record.fileType : null
+    };
+}
+
+/**
+ * Проверяет, задано ли хотя бы одно условие отбора
+ * @returns {boolean}
+ */
+function hasActiveFileFilters() {
+    return Object.keys(DEFAULT_FILE_FILTERS)
+        .some(name => name !== 'sort' && fileFilters[name].trim() !== DEFAULT_FILE_FILTERS[name]);
+}
+
+/**
+ * Проверяет, подходит ли файл под условия отбора
+ * Пока маркер ENC_ не проверен, файл не подходит ни под «зашифрованные», ни под «обычные»
+ * @param {Object} info - сведения describeFileForFilters
+ * @returns {boolean}
+ */
+function matchesFileFilters(info) {
+    if (fileFilters.status !== 'all' && info.status !== fileFilters.status) {
+        return false;
+    }
+    if (fileFilters.encrypted !== 'all' && info.encrypted !== (fileFilters.encrypted === 'yes')) {
+        return false;
+    }
+    if (fileFilters.type !== 'all' && info.fileType !== fileFilters.type) {
+        return false;
+    }
+    if (fileFilters.dateFrom || fileFilters.dateTo) {
+        // Дни сравниваются по дате из имени, как она записана, без перевода часового пояса
+        const day = info.dateTime ? info.dateTime.slice(0, 8) : null;
+        if (!day ||
+            (fileFilters.dateFrom && day < fileFilters.dateFrom.replace(/-/g, '')) ||
+            (fileFilters.dateTo && day > fileFilters.dateTo.replace(/-/g, ''))) {
+            return false;
+        }
+    }
+    if (fileFilters.domain !== 'all' && info.domain !== fileFilters.domain) {
+        return false;
+    }
+    const query = fileFilters.query.trim().toLowerCase();
+    if (query && !info.path.toLowerCase().includes(query) && !(info.link || '').toLowerCase().includes(query)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Сравнивает файлы в выбранном порядке сортировки
+ * @param {Object} a - сведения describeFileForFilters
+ * @param {Object} b - сведения describeFileForFilters
+ * @returns {number}
+ */
+function compareFilesForSort(a, b) {
+    switch (fileFilters.sort) {
+        case 'name':
+            return a.path.localeCompare(b.path, undefined, { numeric: true });
+        case 'size':
+            return b.size - a.size;
+        case 'date':
+            return compareTimestamps(resolveFileTimestamp(a.dateTime), resolveFileTimestamp(b.dateTime));
+        case 'status':
+            return STATUS_SORT_ORDER.indexOf(a.status) - STATUS_SORT_ORDER.indexOf(b.status);
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Возвращает сведения о выбранных файлах, отобранных и упорядоченных для показа
+ * @returns {Object[]} - сведения describeFileForFilters
+ */
+function getFilteredFileInfos() {
+    const candidates = getPasswordCandidates();
+    const records = new Map(processedRecords.map(record => [record.fileId, record]));
+    // Сортировка устойчива: равные файлы остаются в порядке из настроек имен
+    return orderFilesForDisplay(selectedFiles)
+        .map(file => describeFileForFilters(file, candidates, records))
+        .filter(matchesFileFilters)
+        .sort(compareFilesForSort);
+}
+
+/**
+ * Возвращает выбранные файлы, отобранные и упорядоченные для показа
+ * @returns {File[]}
+ */
+function getVisibleFiles() {
+    return getFilteredFileInfos().map(info => info.file);
+}
+
+/**
+ * Оставляет элементы отобранных файлов в порядке показа
+ * Без условий отбора остаются и элементы файлов, которых нет в списке (например,
+ * результаты восстановленной сессии, файлы которой не выбраны заново)
+ * @param {Object[]} items - элементы с полем fileId
+ * @returns {Object[]} - новый массив
+ */
+function filterItemsForDisplay(items) {
+    const ordered = sortByFileOrder(items);
+    const filtered = hasActiveFileFilters();
+    if (!filtered && fileFilters.sort === 'default') {
+        return ordered;
+    }
+    const order = new Map(getVisibleFiles().map((file, index) => [generateFileId(file), index]));
+    return ordered
+        .filter(item => !filtered || order.has(item.fileId))
+        .sort((a, b) => (order.get(a.fileId) ?? order.size) - (order.get(b.fileId) ?? order.size));
+}
+
+/**
+ * Заполняет список вариантами, сохраняя выбранный, даже если его больше нет среди вариантов
+ * @param {HTMLSelectElement} select - список
+ * @param {string} allLabel - подпись варианта «все»
+ * @param {string[]} values - варианты
+ * @param {string} selected - выбранное значение
+ */
+function fillFilterOptions(select, allLabel, values, selected) {
+    const options = [['all', allLabel], ...values.map(value => [value, value])];
+    if (selected !== 'all' && !values.includes(selected)) {
+        options.push([selected, selected]);
+    }
+    select.replaceChildren(...options.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
+    select.value = selected;
+}
+
+/**
+ * Показывает панель отбора: варианты типов и доменов, значения условий и число показанных файлов
+ */
+function renderFileFilters() {
+    const visibleCount = document.querySelectorAll('#files-grid .file-card').length;
+    const toolbar = document.getElementById('file-toolbar');
+    toolbar.style.display = selectedFiles.length > 0 ? 'flex' : 'none';
+    if (selectedFiles.length === 0) {
+        return;
+    }
+
+    const candidates = getPasswordCandidates();
+    const types = new Set(processedRecords.map(record => record.fileType).filter(Boolean));
+    const domains = new Set(selectedFiles
+        .map(file => getLinkDomain(decryptFilenameWithKeys(file.name, candidates).link))
+        .filter(Boolean));
+    fillFilterOptions(document.getElementById('filter-type'), t('filters.allTypes'), [...types].sort(), fileFilters.type);
+    fillFilterOptions(document.getElementById('filter-domain'), t('filters.allDomains'), [...domains].sort(), fileFilters.domain);
+
+    // Поле поиска не перезаписывается во время ввода, чтобы не сбить курсор
+    const queryInput = document.getElementById('filter-query');
+    if (queryInput.value !== fileFilters.query) {
+        queryInput.value = fileFilters.query;
+    }
+    document.getElementById('filter-status').value = fileFilters.status;
+    document.getElementById('filter-encrypted').value = fileFilters.encrypted;
+    document.getElementById('filter-date-from').value = fileFilters.dateFrom;
+    document.getElementById('filter-date-to').value = fileFilters.dateTo;
+    document.getElementById('filter-sort').value = fileFilters.sort;
+
+    const filtered = hasActiveFileFilters();
+    document.getElementById('filter-count').textContent = filtered
+        ? t('filters.shown', { count: visibleCount, total: selectedFiles.length })
+        : '';
+    document.getElementById('filter-reset-btn').disabled = !filtered;
+    document.getElementById('filter-remove-btn').disabled = !filtered || visibleCount === 0;
+    document.getElementById('filter-rerun-btn').disabled = visibleCount === 0;
+}
+
+/**
+ * Применяет условия отбора к сетке и панели ссылок
+ */
+function applyFileFilters() {
+    updateFilesDisplay();
+    updateLinksPanel();
+}
+
+/**
+ * Обновляет отбор после обработки: статусы и типы файлов могли измениться
+ */
+function refreshFilteredView() {
+    if (hasActiveFileFilters() || fileFilters.sort !== 'default') {
+        applyFileFilters();
+    } else {
+        renderFileFilters();
+    }
+}
+
+// Обновление после проверки маркера ENC_ откладывается до следующего кадра,
+// чтобы пачка проверок перерисовывала сетку один раз
+let fileFiltersRefreshPending = false;
+
+/**
+ * Запоминает результат проверки маркера ENC_ и при отборе по нему обновляет сетку
+ * @param {string} fileId - ID файла
+ * @param {boolean} isEncrypted - файл зашифрован
+ */
+function rememberEncryptionMarker(fileId, isEncrypted) {
+    encryptionMarkers.set(fileId, isEncrypted);
+    if (fileFilters.encrypted === 'all' || fileFiltersRefreshPending) {
+        return;
+    }
+    fileFiltersRefreshPending = true;
+    requestAnimationFrame(() => {
+        fileFiltersRefreshPending = false;
+        applyFileFilters();
+    });
+}
+
+/**
+ * Читает маркер ENC_ файла, если он еще не проверен
+ * @param {File} file - файл
+ * @param {string} fileId - ID файла
+ */
+function checkEncryptionMarkerForFilters(file, fileId) {
+    if (encryptionMarkers.has(fileId) || pendingEncryptionChecks.has(fileId)) {
+        return;
+    }
+    pendingEncryptionChecks.add(fileId);
+    file.slice(0, 4).arrayBuffer()
+        .then(buffer => rememberEncryptionMarker(fileId, checkEncryptionMarker(buffer)))
+        .catch(error => console.log('Маркер не прочитан:', error.message))
+        .finally(() => pendingEncryptionChecks.delete(fileId));
+}
+
+/**
+ * Удаляет показанные файлы из списка
+ */
+function removeVisibleFiles() {
+    if (!hasActiveFileFilters()) {
+        return;
+    }
+    discardFiles(new Set(getVisibleFiles().map(generateFileId)));
+}
+
+/**
+ * Обрабатывает показанные файлы заново в выбранном режиме
+ */
+function rerunVisibleFiles() {
+    runSelectedMode(getVisibleFiles());
+}
+
+/**
+ * Сбрасывает условия отбора; порядок сортировки сохраняется
+ */
+function resetFileFilters() {
+    fileFilters = { ...DEFAULT_FILE_FILTERS, sort: fileFilters.sort };
+    applyFileFilters();
+}
+
+/**
+ * Подключает поля панели отбора
+ */
+function initializeFileFilters() {
+    const fields = {
+        'filter-status': 'status',
+        'filter-encrypted': 'encrypted',
+        'filter-type': 'type',
+        'filter-date-from': 'dateFrom',
+        'filter-date-to': 'dateTo',
+        'filter-domain': 'domain',
+        'filter-sort': 'sort'
+    };
+    for (const [id, filter] of Object.entries(fields)) {
+        document.getElementById(id).addEventListener('change', e => {
+            fileFilters[filter] = e.target.value;
+            applyFileFilters();
+        });
+    }
+
+    // Поиск обновляется по мере ввода; фокус остается в поле, которое не перерисовывается
+    document.getElementById('filter-query').addEventListener('input', e => {
+        fileFilters.query = e.target.value;
+        applyFileFilters();
+    });
+
+    document.getElementById('filter-reset-btn').addEventListener('click', resetFileFilters);
+    document.getElementById('filter-remove-btn').addEventListener('click', removeVisibleFiles);
+    document.getElementById('filter-rerun-btn').addEventListener('click', rerunVisibleFiles);
+}
@@ -0,0 +1,443 @@
+// Миниатюры расшифрованных изображений в карточках и полноэкранная галерея.
+// Миниатюры создаются, только когда карточка появляется на экране, и хранятся
+// уменьшенными, поэтому пакет из тысяч файлов не держит в памяти декодированные оригиналы.
+
+// Наибольшая сторона миниатюры в пикселях (с запасом для экранов высокой плотности)
+const THUMBNAIL_SIZE = 240;
+
+// Сколько изображений декодируется одновременно
+const THUMBNAIL_CONCURRENCY = 2;
+
+// Фон миниатюры: JPEG не хранит прозрачность, поэтому прозрачные области заливаются цветом карточки
+const THUMBNAIL_BACKGROUND = '#1a1a2e';
+
+// Пределы и шаг масштаба в галерее
+const GALLERY_MIN_ZOOM = 1;
+const GALLERY_MAX_ZOOM = 8;
+const GALLERY_ZOOM_STEP = 1.25;
+
+// Готовые миниатюры по ID файла: { url } или { url: null }, если изображение не декодируется
+let thumbnailCache = new Map();
+
+// Очередь миниатюр, ожидающих декодирования
+let thumbnailQueue = [];
+let activeThumbnailJobs = 0;
+
+// Номер поколения: миниатюры, начатые до очистки списка, отбрасываются
+let thumbnailGeneration = 0;
+
+// Наблюдатель, запускающий создание миниатюры при появлении карточки на экране
+let thumbnailObserver = null;
+
+// Состояние галереи
+const galleryState = {
+    items: [],
+    index: 0,
+    sortByDate: true,
+    zoom: 1,
+    panX: 0,
+    panY: 0,
+    returnFocus: null
+};
+
+/**
+ * Проверяет, можно ли показать результат как изображение
+ * @param {Object} entry - запись decryptedFiles
+ * @returns {boolean}
+ */
+function isPreviewableImage(entry) {
+    return Boolean(entry && entry.blob && entry.blob.type.startsWith('image/'));
+}
+
+/**
+ * Декодирует изображение через элемент img, если createImageBitmap недоступен
+ * @param {Blob} blob - изображение
+ * @returns {Promise<HTMLImageElement>} - загруженный элемент
+ */
+function loadImageElement(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(createCodedError('error.imageNotDecoded'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Создает уменьшенную копию изображения
+ * Оригинал декодируется один раз и сразу освобождается, хранится только JPEG миниатюры
+ * @param {Blob} blob - изображение
+ * @returns {Promise<Blob>} - миниатюра
+ */
+async function createThumbnailBlob(blob) {
+    const source = typeof createImageBitmap === 'function'
+        ? await createImageBitmap(blob)
+        : await loadImageElement(blob);
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const context = canvas.getContext('2d');
+    context.fillStyle = THUMBNAIL_BACKGROUND;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    if (source.close) {
+        source.close();
+    }
+
+    const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    // Освобождаем память холста, не дожидаясь сборщика мусора
+    canvas.width = 0;
+    canvas.height = 0;
+    if (!thumbnail) {
+        throw createCodedError('error.thumbnailFailed');
+    }
+    return thumbnail;
+}
+
+/**
+ * Показывает готовую миниатюру во всех карточках файла
+ * @param {string} fileId - ID файла
+ */
+function applyThumbnail(fileId) {
+    const cached = thumbnailCache.get(fileId);
+    if (!cached) return;
+
+    document.querySelectorAll(`.file-thumbnail[data-file-id="${CSS.escape(fileId)}"]`).forEach(button => {
+        button.classList.remove('loading');
+        const image = button.querySelector('img');
+        if (cached.url) {
+            image.src = cached.url;
+        } else {
+            button.classList.add('failed');
+            image.remove();
+        }
+    });
+}
+
+/**
+ * Берет из очереди следующие миниатюры, пока не занято THUMBNAIL_CONCURRENCY мест
+ */
+function processThumbnailQueue() {
+    while (activeThumbnailJobs < THUMBNAIL_CONCURRENCY && thumbnailQueue.length > 0) {
+        const { fileId, blob } = thumbnailQueue.shift();
+        if (thumbnailCache.has(fileId)) continue;
+
+        const generation = thumbnailGeneration;
+        activeThumbnailJobs++;
+        createThumbnailBlob(blob)
+            .then(thumbnail => ({ url: URL.createObjectURL(thumbnail) }))
+            .catch(() => ({ url: null }))
+            .then(result => {
+                if (generation !== thumbnailGeneration) {
+                    if (result.url) URL.revokeObjectURL(result.url);
+                    return;
+                }
+                activeThumbnailJobs--;
+                thumbnailCache.set(fileId, result);
+                applyThumbnail(fileId);
+                processThumbnailQueue();
+            });
+    }
+}
+
+/**
+ * Ставит миниатюру в очередь, когда ее карточка становится видимой
+ * @returns {IntersectionObserver|null} - наблюдатель или null, если API недоступен
+ */
+function getThumbnailObserver() {
+    if (!thumbnailObserver && typeof IntersectionObserver === 'function') {
+        thumbnailObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                thumbnailObserver.unobserve(entry.target);
+                requestThumbnail(entry.target.dataset.fileId);
+            });
+        }, { rootMargin: '200px' });
+    }
+    return thumbnailObserver;
+}
+
+/**
+ * Добавляет файл в очередь создания миниатюр
+ * @param {string} fileId - ID файла
+ */
+function requestThumbnail(fileId) {
+    if (thumbnailCache.has(fileId) || thumbnailQueue.some(task => task.fileId === fileId)) return;
+
+    const entry = decryptedFiles.find(item => item.fileId === fileId);
+    if (!isPreviewableImage(entry)) return;
+
+    thumbnailQueue.push({ fileId, blob: entry.blob });
+    processThumbnailQueue();
+}
+
+/**
+ * Добавляет в карточку миниатюру результата, открывающую галерею
+ * @param {HTMLElement} fileCard - карточка файла
+ * @param {Object} entry - запись decryptedFiles
+ */
+function renderFileThumbnail(fileCard, entry) {
+    if (!isPreviewableImage(entry) || fileCard.querySelector('.file-thumbnail')) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'file-thumbnail loading';
+    button.dataset.fileId = entry.fileId;
+    button.title = t('gallery.open');
+    button.addEventListener('click', () => openGallery(entry.fileId));
+
+    const image = document.createElement('img');
+    image.alt = entry.name;
+    image.decoding = 'async';
+    button.appendChild(image);
+
+    fileCard.querySelector('.file-card-header').after(button);
+
+    if (thumbnailCache.has(entry.fileId)) {
+        applyThumbnail(entry.fileId);
+        return;
+    }
+
+    const observer = getThumbnailObserver();
+    if (observer) {
+        observer.observe(button);
+    } else {
+        requestThumbnail(entry.fileId);
+    }
+}
+
+/**
+ * Удаляет миниатюры и освобождает их ссылки
+ * Вызывается, когда список результатов очищается
+ */
+function clearThumbnails() {
+    thumbnailGeneration++;
+    thumbnailQueue = [];
+    activeThumbnailJobs = 0;
+    thumbnailCache.forEach(cached => {
+        if (cached.url) URL.revokeObjectURL(cached.url);
+    });
+    thumbnailCache = new Map();
+    if (thumbnailObserver) {
+        thumbnailObserver.disconnect();
+    }
+    closeGallery();
+    updateGalleryButton();
+}
+
+/**
+ * Забывает миниатюры файлов, результаты которых сброшены
+ * @param {Set<string>} fileIds - ID файлов
+ */
+function forgetThumbnails(fileIds) {
+    fileIds.forEach(fileId => {
+        const cached = thumbnailCache.get(fileId);
+        if (cached && cached.url) URL.revokeObjectURL(cached.url);
+        thumbnailCache.delete(fileId);
+    });
+    thumbnailQueue = thumbnailQueue.filter(job => !fileIds.has(job.fileId));
+    closeGallery();
+    updateGalleryButton();
+}
+
+/**
+ * Показывает кнопку галереи, если среди результатов есть изображения
+ */
+function updateGalleryButton() {
+    const galleryBtn = document.getElementById('gallery-btn');
+    galleryBtn.style.display = decryptedFiles.some(isPreviewableImage) ? 'inline-block' : 'none';
+}
+
+/**
+ * Возвращает изображения для галереи в выбранном порядке
+ * @returns {Object[]} - записи decryptedFiles
+ */
+function getGalleryItems() {
+    const images = decryptedFiles.filter(isPreviewableImage);
+    return galleryState.sortByDate ? sortRecordsByDateTime(images) : sortBySelectionOrder(images);
+}
+
+/**
+ * Открывает галерею на изображении файла
+ * @param {string} [fileId] - ID файла; без него галерея открывается с первого изображения
+ */
+function openGallery(fileId) {
+    galleryState.items = getGalleryItems();
+    if (galleryState.items.length === 0) return;
+
+    const index = galleryState.items.findIndex(item => item.fileId === fileId);
+    galleryState.index = Math.max(0, index);
+    galleryState.returnFocus = document.activeElement;
+
+    const gallery = document.getElementById('gallery');
+    gallery.hidden = false;
+    document.body.classList.add('gallery-open');
+    showGalleryImage();
+    gallery.focus();
+}
+
+/**
+ * Закрывает галерею и возвращает фокус туда, откуда она была открыта
+ */
+function closeGallery() {
+    const gallery = document.getElementById('gallery');
+    if (!gallery || gallery.hidden) return;
+
+    gallery.hidden = true;
+    document.body.classList.remove('gallery-open');
+    document.getElementById('gallery-image').removeAttribute('src');
+    galleryState.items = [];
+    if (galleryState.returnFocus && galleryState.returnFocus.isConnected) {
+        galleryState.returnFocus.focus();
+    }
+}
+
+/**
+ * Показывает текущее изображение галереи с исходным масштабом
+ */
+function showGalleryImage() {
+    const item = galleryState.items[galleryState.index];
+    const image = document.getElementById('gallery-image');
+
+    image.src = item.url;
+    image.alt = item.name;
+    document.getElementById('gallery-counter').textContent =
+        `${galleryState.index + 1} / ${galleryState.items.length}`;
+    document.getElementById('gallery-caption').textContent =
+        `${item.path} · ${formatDateTimeLabel(item.dateTime)}`;
+    document.getElementById('gallery-sort').textContent =
+        t(galleryState.sortByDate ? 'gallery.byDate' : 'gallery.bySelection');
+
+    setGalleryZoom(1);
+}
+
+/**
+ * Переходит к изображению со смещением относительно текущего
+ * @param {number} step - смещение (-1 — предыдущее, 1 — следующее)
+ */
+function moveGallery(step) {
+    const count = galleryState.items.length;
+    if (count === 0) return;
+    galleryState.index = (galleryState.index + step + count) % count;
+    showGalleryImage();
+}
+
+/**
+ * Переключает порядок изображений: по дате из имени файла или по порядку выбора
+ */
+function toggleGallerySort() {
+    const current = galleryState.items[galleryState.index];
+    galleryState.sortByDate = !galleryState.sortByDate;
+    galleryState.items = getGalleryItems();
+    galleryState.index = Math.max(0, galleryState.items.indexOf(current));
+    showGalleryImage();
+}
+
+/**
+ * Устанавливает масштаб изображения; при исходном масштабе сдвиг сбрасывается
+ * @param {number} zoom - масштаб
+ */
+function setGalleryZoom(zoom) {
+    galleryState.zoom = Math.min(GALLERY_MAX_ZOOM, Math.max(GALLERY_MIN_ZOOM, zoom));
+    if (galleryState.zoom === GALLERY_MIN_ZOOM) {
+        galleryState.panX = 0;
+        galleryState.panY = 0;
+    }
+
+    const image = document.getElementById('gallery-image');
+    image.style.transform =
+        `translate(${galleryState.panX}px, ${galleryState.panY}px) scale(${galleryState.zoom})`;
+    image.classList.toggle('zoomed', galleryState.zoom > GALLERY_MIN_ZOOM);
+    document.getElementById('gallery-zoom').textContent = `${Math.round(galleryState.zoom * 100)}%`;
+}
+
+/**
+ * Изменяет масштаб на шаг
+ * @param {number} direction - 1 — увеличить, -1 — уменьшить
+ */
+function zoomGallery(direction) {
+    setGalleryZoom(galleryState.zoom * Math.pow(GALLERY_ZOOM_STEP, direction));
+}
+
+/**
+ * Подключает клавиатуру, колесо мыши и перетаскивание к галерее
+ */
+function initializeGallery() {
+    const gallery = document.getElementById('gallery');
+    const stage = document.getElementById('gallery-stage');
+    const image = document.getElementById('gallery-image');
+
+    document.getElementById('gallery-sort').addEventListener('click', toggleGallerySort);
+    document.getElementById('gallery-zoom-out').addEventListener('click', () => zoomGallery(-1));
+    document.getElementById('gallery-zoom').addEventListener('click', () => setGalleryZoom(1));
+    document.getElementById('gallery-zoom-in').addEventListener('click', () => zoomGallery(1));
+    document.getElementById('gallery-close').addEventListener('click', closeGallery);
+    document.getElementById('gallery-prev').addEventListener('click', () => moveGallery(-1));
+    document.getElementById('gallery-next').addEventListener('click', () => moveGallery(1));
+
+    gallery.addEventListener('keydown', e => {
+        const actions = {
+            'ArrowLeft': () => moveGallery(-1),
+            'ArrowRight': () => moveGallery(1),
+            'Home': () => moveGallery(-galleryState.index),
+            'End': () => moveGallery(galleryState.items.length - 1 - galleryState.index),
+            'Escape': () => closeGallery(),
+            '+': () => zoomGallery(1),
+            '=': () => zoomGallery(1),
+            '-': () => zoomGallery(-1),
+            '0': () => setGalleryZoom(1)
+        };
+        const action = actions[e.key];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    });
+
+    stage.addEventListener('wheel', e => {
+        e.preventDefault();
+        zoomGallery(e.deltaY < 0 ? 1 : -1);
+    }, { passive: false });
+
+    image.addEventListener('dblclick', () => {
+        setGalleryZoom(galleryState.zoom > GALLERY_MIN_ZOOM ? GALLERY_MIN_ZOOM : 2);
+    });
+
+    // Перетаскивание увеличенного изображения
+    let drag = null;
+    image.addEventListener('pointerdown', e => {
+        if (galleryState.zoom === GALLERY_MIN_ZOOM) return;
+        e.preventDefault();
+        drag = { x: e.clientX - galleryState.panX, y: e.clientY - galleryState.panY };
+        image.setPointerCapture(e.pointerId);
+    });
+    image.addEventListener('pointermove', e => {
+        if (!drag) return;
+        galleryState.panX = e.clientX - drag.x;
+        galleryState.panY = e.clientY - drag.y;
+        setGalleryZoom(galleryState.zoom);
+    });
+    ['pointerup', 'pointercancel'].forEach(eventName => {
+        image.addEventListener(eventName, () => {
+            drag = null;
+        });
+    });
+
+    // Щелчок по фону закрывает галерею
+    stage.addEventListener('click', e => {
+        if (e.target === stage) {
+            closeGallery();
+        }
+    });
+}
@@ -0,0 +1,203 @@
+// Разбор ссылок на карты: координаты, масштаб и сервис.
+// Файл не обращается к DOM.
+
+// Число с необязательной дробной частью, как оно встречается в ссылках на карты
+const COORDINATE_NUMBER = '(-?\\d{1,3}(?:\\.\\d+)?)';
+
+/**
+ * Проверяет, что координаты лежат в допустимых пределах
+ * @param {number} latitude - широта
+ * @param {number} longitude - долгота
+ * @returns {boolean}
+ */
+function isValidCoordinates(latitude, longitude) {
+    return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+/**
+ * Разбирает пару чисел из строки вида "55.7558,37.6173"
+ * Разделителем может быть запятая или пробел (в том числе "+" из адресной строки)
+ * @param {string|null} value - строка с парой чисел
+ * @param {boolean} [lonFirst=false] - порядок "долгота,широта" (Яндекс, 2ГИС)
+ * @returns {Object|null} - координаты { latitude, longitude } или null
+ */
+function parseCoordinatePair(value, lonFirst = false) {
+    if (!value) return null;
+
+    const pattern = new RegExp(`^\\s*${COORDINATE_NUMBER}\\s*(?:,|\\s|\\+)\\s*\\+?${COORDINATE_NUMBER}\\s*$`);
+    const match = value.match(pattern);
+    if (!match) return null;
+
+    const first = parseFloat(match[1]);
+    const second = parseFloat(match[2]);
+    const latitude = lonFirst ? second : first;
+    const longitude = lonFirst ? first : second;
+
+    return isValidCoordinates(latitude, longitude) ? { latitude, longitude } : null;
+}
+
+/**
+ * Разбирает масштаб карты ("15", "15z", "15.5")
+ * @param {string|null} value - значение масштаба
+ * @returns {number|null} - масштаб 0..22 или null
+ */
+function parseZoom(value) {
+    if (!value) return null;
+
+    const zoom = parseFloat(String(value).replace(/z$/i, ''));
+    return Number.isFinite(zoom) && zoom >= 0 && zoom <= 22 ? zoom : null;
+}
+
+/**
+ * Декодирует часть адреса, не падая на некорректных последовательностях %
+ * @param {string} value - часть адреса
+ * @returns {string} - декодированная строка
+ */
+function safeDecodeURIComponent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Определяет картографический сервис по имени хоста
+ * @param {string} host - имя хоста
+ * @returns {string} - 'google', 'yandex', 'osm', 'apple', '2gis' или 'other'
+ */
+function detectMapProvider(host) {
+    if (/(^|\.)google\.[a-z.]+$/.test(host) || host === 'goo.gl' || host === 'maps.app.goo.gl') return 'google';
+    if (/(^|\.)yandex\.[a-z.]+$/.test(host) || /(^|\.)ya\.ru$/.test(host)) return 'yandex';
+    if (/(^|\.)openstreetmap\.(org|ru)$/.test(host) || host === 'osm.org') return 'osm';
+    if (host === 'maps.apple.com') return 'apple';
+    if (/(^|\.)2gis\.[a-z.]+$/.test(host)) return '2gis';
+    return 'other';
+}
+
+/**
+ * Извлекает координаты и масштаб из ссылки на карту
+ * Поддерживаются ссылки Google Maps (q, query, @lat,lon,zoomz, !3d!4d, /place/),
+ * Яндекс Карт (pt, ll, whatshere — в порядке "долгота,широта", text),
+ * OpenStreetMap (mlat/mlon, #map=zoom/lat/lon), Apple Maps, 2ГИС (m=lon,lat/zoom),
+ * URI geo: и общие параметры lat/lon
+ * Метки (точка на карте) имеют приоритет над центром окна просмотра
+ * @param {string|null} link - ссылка
+ * @returns {Object|null} - { latitude, longitude, zoom, provider } или null
+ */
+function parseMapLink(link) {
+    if (!link) return null;
+
+    // URI geo:lat,lon[;u=...][?z=zoom]
+    const geoMatch = link.match(new RegExp(`^geo:${COORDINATE_NUMBER},${COORDINATE_NUMBER}[^?]*(?:\\?(.*))?$`, 'i'));
+    if (geoMatch) {
+        const coordinates = parseCoordinatePair(`${geoMatch[1]},${geoMatch[2]}`);
+        if (!coordinates) return null;
+        const zoom = parseZoom(new URLSearchParams(geoMatch[3] || '').get('z'));
+        return { ...coordinates, zoom, provider: 'geo' };
+    }
+
+    let url;
+    try {
+        url = new URL(link);
+    } catch (error) {
+        return null;
+    }
+
+    const provider = detectMapProvider(url.hostname.toLowerCase());
+    const params = url.searchParams;
+    const path = safeDecodeURIComponent(url.pathname);
+    const hash = safeDecodeURIComponent(url.hash);
+    const lonFirst = provider === 'yandex' || provider === '2gis';
+
+    // Окно просмотра: Google /@LAT,LON,ZOOMz, OpenStreetMap #map=ZOOM/LAT/LON, 2ГИС m=LON,LAT/ZOOM
+    const viewportMatch = path.match(new RegExp(`@${COORDINATE_NUMBER},${COORDINATE_NUMBER}(?:,(\\d+(?:\\.\\d+)?)z)?`));
+    const osmMatch = hash.match(new RegExp(`map=(\\d+(?:\\.\\d+)?)/${COORDINATE_NUMBER}/${COORDINATE_NUMBER}`));
+    const twoGisMatch = provider === '2gis'
+        ? (params.get('m') || '').match(new RegExp(`^${COORDINATE_NUMBER},${COORDINATE_NUMBER}(?:/(\\d+(?:\\.\\d+)?))?`))
+        : null;
+
+    // Масштаб окна просмотра применяется и тогда, когда координаты берутся из метки
+    const zoom = parseZoom(params.get('z') || params.get('zoom') || params.get('whatshere[zoom]')) ??
+        parseZoom(viewportMatch && viewportMatch[3]) ??
+        parseZoom(osmMatch && osmMatch[1]) ??
+        parseZoom(twoGisMatch && twoGisMatch[3]);
+    const result = coordinates => coordinates ? { ...coordinates, zoom, provider } : null;
+    let match;
+
+    // Google: точка места в параметре data (!3dLAT!4dLON)
+    match = safeDecodeURIComponent(link).match(new RegExp(`!3d${COORDINATE_NUMBER}!4d${COORDINATE_NUMBER}`));
+    if (match && isValidCoordinates(parseFloat(match[1]), parseFloat(match[2]))) {
+        return result({ latitude: parseFloat(match[1]), longitude: parseFloat(match[2]) });
+    }
+
+    // Яндекс: метка pt и "что здесь" — долгота первой
+    if (provider === 'yandex') {
+        for (const name of ['pt', 'whatshere[point]']) {
+            // В pt может быть несколько меток через ~ и стиль после второй запятой
+            const value = (params.get(name) || '').split('~')[0].split(',').slice(0, 2).join(',');
+            const coordinates = parseCoordinatePair(value, true);
+            if (coordinates) return result(coordinates);
+        }
+    }
+
+    // Метки в порядке "широта,долгота"
+    for (const name of ['q', 'query', 'text', 'destination', 'daddr', 'sll']) {
+        const coordinates = parseCoordinatePair(params.get(name));
+        if (coordinates) return result(coordinates);
+    }
+
+    // OpenStreetMap и общие параметры lat/lon
+    for (const [latName, lonName] of [['mlat', 'mlon'], ['lat', 'lon'], ['lat', 'lng']]) {
+        if (params.has(latName) && params.has(lonName)) {
+            const coordinates = parseCoordinatePair(`${params.get(latName)},${params.get(lonName)}`);
+            if (coordinates) return result(coordinates);
+        }
+    }
+
+    // Google: /maps/place/LAT,LON и /maps/search/LAT,LON
+    match = path.match(new RegExp(`/(?:place|search|dir)/${COORDINATE_NUMBER}\\s*,\\s*\\+?${COORDINATE_NUMBER}`));
+    if (match) {
+        const coordinates = parseCoordinatePair(`${match[1]},${match[2]}`);
+        if (coordinates) return result(coordinates);
+    }
+
+    // Центр окна просмотра Google, OpenStreetMap и 2ГИС
+    if (viewportMatch) {
+        const coordinates = parseCoordinatePair(`${viewportMatch[1]},${viewportMatch[2]}`);
+        if (coordinates) return result(coordinates);
+    }
+    if (osmMatch) {
+        const coordinates = parseCoordinatePair(`${osmMatch[2]},${osmMatch[3]}`);
+        if (coordinates) return result(coordinates);
+    }
+    if (twoGisMatch) {
+        const coordinates = parseCoordinatePair(`${twoGisMatch[1]},${twoGisMatch[2]}`, true);
+        if (coordinates) return result(coordinates);
+    }
+
+    // Центр карты: ll (у Яндекса долгота первой) и center
+    for (const name of ['ll', 'center']) {
+        const coordinates = parseCoordinatePair(params.get(name), lonFirst);
+        if (coordinates) return result(coordinates);
+    }
+
+    return null;
+}
+
+/**
+ * Проецирует координаты в Web Mercator (единичный квадрат, x и y от 0 до 1)
+ * @param {number} latitude - широта
+ * @param {number} longitude - долгота
+ * @returns {Object} - { x, y }, y растет к югу
+ */
+function projectMercator(latitude, longitude) {
+    // Ограничение широты, как в веб-картах, чтобы проекция не уходила в бесконечность
+    const clamped = Math.max(-85.0511, Math.min(85.0511, latitude));
+    const sin = Math.sin(clamped * Math.PI / 180);
+    return {
+        x: (longitude + 180) / 360,
+        y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+    };
+}
@@ -0,0 +1,1077 @@
+// Перевод интерфейса: каталоги сообщений ru и en, выбор языка и формы множественного числа.
+// Ядро (core.js, verify.js) текстов не содержит: ошибки и причины проверки несут
+// сообщение { key, params } (createMessage), а текст подставляется при показе через localize.
+// Разметка index.html переводится по атрибутам data-i18n, data-i18n-title,
+// data-i18n-placeholder и data-i18n-aria-label. Функции перевода не обращаются к DOM,
+// поэтому файл подключается и в Node.js (lib.js).
+
+// Ключ localStorage для выбранного языка
+const LOCALE_STORAGE_KEY = 'geolens-locale';
+
+// Язык по умолчанию; его каталог используется, если в выбранном нет сообщения
+const DEFAULT_LOCALE = 'ru';
+
+// Каталоги сообщений. Значение — строка с подстановками {name} или формы множественного
+// числа по категориям Intl.PluralRules ({ one, few, many, other }), выбираемые по params.count
+const I18N_MESSAGES = {
+    ru: {
+        'language.title': 'Язык интерфейса',
+
+        'app.subtitle': 'Загрузите зашифрованные файлы и введите пароль для расшифровки.',
+
+        'upload.label': 'Выберите зашифрованные файлы:',
+        'upload.dropTitle': 'Перетащите файлы или папки сюда',
+        'upload.or': 'или',
+        'upload.pickFiles': 'Выбрать файлы',
+        'upload.pickFolder': 'Выбрать папку',
+        'upload.hint': 'Вложенные папки обходятся, структура папок сохраняется в результатах и архиве',
+        'upload.folderReadFailed': '❌ Не удалось прочитать папку {name}: {error}',
+
+        'files.selected': 'Выбрано файлов: {count}',
+        'files.clearAll': 'Очистить все',
+
+        'card.remove': 'Удалить файл',
+        'card.inspect': 'Структура файла: заголовок, дампы и разбор имени',
+        'card.date': 'Дата:',
+        'card.link': 'Ссылка:',
+        'card.filenameFormat': 'Формат имени:',
+        'card.filenameConfidence': 'Уверенность: {confidence}',
+        'card.openLink': 'Открыть ссылку',
+        'card.checking': 'Проверка...',
+        'card.encrypted': '🔒 Зашифрован',
+        'card.notEncrypted': '📂 Не зашифрован',
+        'card.key': 'Ключ:',
+        'card.shotAt': 'Съемка:',
+        'card.gps': 'GPS:',
+        'card.altitude': '{value} м',
+        'card.camera': 'Камера:',
+        'card.lens': 'Объектив:',
+        'card.exifMismatch': '⚠️ Время EXIF расходится с именем файла на {difference}',
+
+        'filenameDecoder.base64': 'Base64 + XOR',
+        'filenameDecoder.base64url': 'Base64 URL-safe + XOR',
+        'filenameDecoder.legacy': 'Дата_время_ссылка (старый формат)',
+        'confidence.high': 'высокая',
+        'confidence.medium': 'средняя',
+        'confidence.low': 'низкая',
+
+        'time.days': '{count} д',
+        'time.hours': '{count} ч',
+        'time.minutes': '{count} мин',
+        'time.seconds': '{count} с',
+
+        'status.ready': 'Готов к обработке',
+        'status.processing': 'Обрабатывается...',
+        'status.success': 'Успешно обработан',
+        'status.warning': 'Обработан с предупреждением',
+        'status.skipped': 'Пропущен',
+        'status.error': 'Ошибка',
+        'status.cancelled': 'Отменено',
+        'status.keyError': 'Ошибка ключа',
+        'status.wrongPassword': '🔑 Неверный пароль',
+        'status.corrupted': '💔 Файл поврежден: {error}',
+        'status.damaged': '💔 Поврежден или обрезан ({reason}), сохранен как {name}',
+        'status.unknownType': '❔ Тип не распознан, сохранен как {name}',
+        'status.decrypted': '{type} файл: {name}',
+        'status.decryptedProbably': '{type} (вероятно) файл: {name}',
+        'status.encrypted': 'Зашифрован: {name}',
+        'status.skippedExisting': '⏭ Пропущен: {path} уже есть в папке',
+
+        'summary.noFilesToDecrypt': '❌ Выберите файлы для расшифровки.',
+        'summary.noFilesToEncrypt': '❌ Выберите файлы для шифрования.',
+        'summary.decrypting': {
+            one: '🔄 Обрабатываем {count} файл...',
+            few: '🔄 Обрабатываем {count} файла...',
+            many: '🔄 Обрабатываем {count} файлов...',
+            other: '🔄 Обрабатываем {count} файла...'
+        },
+        'summary.encrypting': {
+            one: '🔄 Шифруем {count} файл...',
+            few: '🔄 Шифруем {count} файла...',
+            many: '🔄 Шифруем {count} файлов...',
+            other: '🔄 Шифруем {count} файла...'
+        },
+        'summary.succeeded': {
+            one: '✅ Успешно обработан {count} файл',
+            few: '✅ Успешно обработано {count} файла',
+            many: '✅ Успешно обработано {count} файлов',
+            other: '✅ Успешно обработано {count} файла'
+        },
+        'summary.decrypted': {
+            one: '🔓 Расшифрован {count} файл',
+            few: '🔓 Расшифровано {count} файла',
+            many: '🔓 Расшифровано {count} файлов',
+            other: '🔓 Расшифровано {count} файла'
+        },
+        'summary.unencrypted': {
+            one: '📂 {count} обычный файл',
+            few: '📂 {count} обычных файла',
+            many: '📂 {count} обычных файлов',
+            other: '📂 {count} обычного файла'
+        },
+        'summary.links': {
+            one: '🔗 Извлечена {count} ссылка',
+            few: '🔗 Извлечено {count} ссылки',
+            many: '🔗 Извлечено {count} ссылок',
+            other: '🔗 Извлечено {count} ссылки'
+        },
+        'summary.failed': {
+            one: '⚠️ Ошибка в {count} файле',
+            few: '⚠️ Ошибки в {count} файлах',
+            many: '⚠️ Ошибки в {count} файлах',
+            other: '⚠️ Ошибки в {count} файла'
+        },
+        'summary.cancelled': {
+            one: '⏹ Отменен {count} файл',
+            few: '⏹ Отменено {count} файла',
+            many: '⏹ Отменено {count} файлов',
+            other: '⏹ Отменено {count} файла'
+        },
+        'summary.skipped': {
+            one: '⏭ Пропущен {count} файл (уже есть в папке)',
+            few: '⏭ Пропущено {count} файла (уже есть в папке)',
+            many: '⏭ Пропущено {count} файлов (уже есть в папке)',
+            other: '⏭ Пропущено {count} файла (уже есть в папке)'
+        },
+        'summary.resuming': {
+            one: '🔄 Продолжаем: {count} файл, уже обработано {done}...',
+            few: '🔄 Продолжаем: {count} файла, уже обработано {done}...',
+            many: '🔄 Продолжаем: {count} файлов, уже обработано {done}...',
+            other: '🔄 Продолжаем: {count} файла, уже обработано {done}...'
+        },
+        'summary.allResumed': {
+            one: '✅ Файл уже обработан в этой сессии',
+            few: '✅ Все {count} файла уже обработаны в этой сессии',
+            many: '✅ Все {count} файлов уже обработаны в этой сессии',
+            other: '✅ Все {count} файла уже обработаны в этой сессии'
+        },
+        'summary.allSkipped': {
+            one: '⏭ Результат уже есть в папке ({count} файл)',
+            few: '⏭ Все результаты уже есть в папке ({count} файла)',
+            many: '⏭ Все результаты уже есть в папке ({count} файлов)',
+            other: '⏭ Все результаты уже есть в папке ({count} файла)'
+        },
+        'summary.encrypted': {
+            one: '🔒 Зашифрован {count} файл',
+            few: '🔒 Зашифровано {count} файла',
+            many: '🔒 Зашифровано {count} файлов',
+            other: '🔒 Зашифровано {count} файла'
+        },
+        'summary.processingCancelled': '⏹ Обработка отменена.',
+        'summary.nothingDecrypted': '❌ Не удалось обработать ни одного файла. Проверьте пароль и файлы.',
+        'summary.nothingEncrypted': '❌ Не удалось зашифровать ни одного файла.',
+        'summary.generalError': '❌ Общая ошибка: {error}',
+        'summary.noOutputAccess': '❌ Нет разрешения на запись в папку результатов.',
+        'summary.archiveFailed': '❌ Не удалось создать архив: {error}',
+
+        'password.label': 'Пароль:',
+        'pwa.offlineReady': '✅ Работает без сети',
+        'pwa.offline': '📴 Нет сети: работа из кэша',
+        'pwa.offlineNotCached': '📴 Нет сети',
+        'secrets.show': '👁 Показать',
+        'secrets.hide': '🙈 Скрыть',
+        'secrets.idleLabel': 'Блокировка при бездействии:',
+        'secrets.idleOff': 'выключена',
+        'secrets.idle5': 'через 5 минут',
+        'secrets.idle15': 'через 15 минут',
+        'secrets.idle30': 'через 30 минут',
+        'secrets.idleLocked': 'Страница заблокирована после {minutes} мин бездействия: пароли, ключи и расшифрованные файлы стерты',
+        'secrets.panic': '🧯 Стереть все',
+        'secrets.panicTitle': 'Остановить обработку и стереть пароли, файлы, результаты и историю сессии',
+        'secrets.panicDone': 'Все стерто: пароли, ключи, файлы, результаты и история сессии',
+
+        'keyring.title': '🔑 Связка паролей',
+        'keyring.hint': 'Каждый файл проверяется паролем из поля выше и всеми паролями связки. На карточке показывается подошедший ключ. Пароли хранятся только в памяти вкладки, пока вы не сохраните связку под мастер-паролем.',
+        'keyring.namePlaceholder': 'Название, например «Устройство 2»',
+        'keyring.passwordPlaceholder': 'Пароль',
+        'keyring.add': '➕ Добавить',
+        'keyring.masterPlaceholder': 'Мастер-пароль связки',
+        'keyring.save': '💾 Сохранить',
+        'keyring.load': '📂 Загрузить',
+        'keyring.forgetTitle': 'Удалить сохраненную связку из браузера',
+        'keyring.removeTitle': 'Удалить пароль из связки',
+        'keyring.passwordField': 'Поле «Пароль»',
+        'keyring.defaultName': 'Ключ {number}',
+        'keyring.enterPassword': 'Введите пароль',
+        'keyring.duplicateName': 'Пароль с названием «{name}» уже есть',
+        'keyring.added': 'Добавлен «{name}»',
+        'keyring.enterMasterToSave': 'Введите мастер-пароль для сохранения',
+        'keyring.empty': 'Связка пуста',
+        'keyring.saved': {
+            one: 'Связка сохранена в зашифрованном виде: {count} пароль',
+            few: 'Связка сохранена в зашифрованном виде: {count} пароля',
+            many: 'Связка сохранена в зашифрованном виде: {count} паролей',
+            other: 'Связка сохранена в зашифрованном виде: {count} пароля'
+        },
+        'keyring.saveFailed': 'Не удалось сохранить связку: {error}',
+        'keyring.nothingSaved': 'Сохраненной связки нет',
+        'keyring.enterMaster': 'Введите мастер-пароль',
+        'keyring.wrongMaster': 'Неверный мастер-пароль или поврежденная связка',
+        'keyring.loaded': {
+            one: 'Загружен {count} пароль',
+            few: 'Загружено {count} пароля',
+            many: 'Загружено {count} паролей',
+            other: 'Загружено {count} пароля'
+        },
+        'keyring.forgotten': 'Сохраненная связка удалена',
+
+        'recovery.title': '🧩 Подбор забытого пароля',
+        'recovery.hint': 'Пароль восстанавливается по именам показанных файлов: дата и начало ссылки в имени предсказуемы. Кандидаты проверяются расшифровкой начала первого зашифрованного файла. Чем больше имен, тем точнее подбор; все вычисления идут на этом компьютере.',
+        'recovery.run': '🔎 Подобрать по показанным файлам',
+        'recovery.noNames': 'Среди показанных файлов нет имен, зашифрованных паролем',
+        'recovery.analyzing': {
+            one: 'Оценка пароля по {count} имени…',
+            few: 'Оценка пароля по {count} именам…',
+            many: 'Оценка пароля по {count} именам…',
+            other: 'Оценка пароля по {count} имени…'
+        },
+        'recovery.confirming': {
+            one: 'Проверка {count} кандидата…',
+            few: 'Проверка {count} кандидатов…',
+            many: 'Проверка {count} кандидатов…',
+            other: 'Проверка {count} кандидата…'
+        },
+        'recovery.confirmed': 'Пароль подтвержден: файл «{name}» расшифровывается',
+        'recovery.notConfirmed': 'Ни один кандидат не расшифровал файл «{name}». Добавьте больше имен и повторите; ниже — лучшие кандидаты по именам',
+        'recovery.noEncryptedFile': 'Среди показанных файлов нет зашифрованного (ENC_): кандидаты проверены только по именам',
+        'recovery.cancelled': 'Подбор отменен',
+        'recovery.failed': 'Подбор не удался: {error}',
+        'recovery.details': 'длина {period} байт · совпадение {score}% · имен расшифровано {decoded} из {total}',
+        'recovery.fileConfirmed': 'файл расшифрован: {type}',
+        'recovery.fileNotConfirmed': 'файлом не подтвержден',
+        'recovery.addToKeyring': '➕ В связку',
+        'recovery.keyName': 'Подобранный пароль {number}',
+        'recovery.alreadyInKeyring': 'Этот пароль уже есть в связке',
+        'naming.label': 'Даты и имена результатов:',
+        'naming.timeZoneLabel': 'Часовой пояс дат в именах:',
+        'naming.templateLabel': 'Шаблон имени:',
+        'naming.orderLabel': 'Порядок карточек, экспорта и архива:',
+        'naming.orderSelection': 'как выбраны',
+        'naming.orderDate': 'по дате из имени',
+        'naming.hint': 'Часовой пояс: local (как на этом компьютере), UTC, смещение (+03:00) или название (Europe/Moscow). В шаблоне: {date:YYYY-MM-DD_HH-mm-ss}, {utc:…}, {index} или {index:3} — номер по дате, {name} — исходное имя, {ext}.',
+        'naming.badTimeZone': 'Неизвестный часовой пояс: «{value}»',
+        'naming.badTemplate': 'Неизвестные подстановки в шаблоне имени: {tokens}',
+        'naming.utcTitle': 'UTC: {time}',
+
+        'output.label': 'Папка результатов:',
+        'output.pick': '📁 Выбрать',
+        'output.resetTitle': 'Скачивать результаты ссылками',
+        'output.notSelected': 'Не выбрана — результаты скачиваются ссылками',
+        'output.unsupported': 'Браузер не поддерживает запись в папку',
+        'output.conflictLabel': 'Если файл уже есть:',
+        'output.conflictRename': 'сохранить с суффиксом _2',
+        'output.conflictSkip': 'пропустить',
+        'output.conflictOverwrite': 'перезаписать',
+        'output.resume': 'Продолжить: не расшифровывать файлы, результат которых уже есть',
+        'output.hint': 'Расшифрованные файлы записываются прямо в папку, повторяя структуру исходных папок, и не занимают память вкладки.',
+
+        'filters.searchPlaceholder': 'Поиск по имени и ссылке',
+        'filters.statusTitle': 'Статус',
+        'filters.allStatuses': 'все статусы',
+        'filters.statusReady': 'не обработаны',
+        'filters.statusSuccess': 'обработаны',
+        'filters.statusWarning': 'с предупреждением',
+        'filters.statusSkipped': 'пропущены',
+        'filters.statusError': 'с ошибкой',
+        'filters.encryptedTitle': 'Шифрование',
+        'filters.allFiles': 'все файлы',
+        'filters.encrypted': 'зашифрованные',
+        'filters.plain': 'обычные',
+        'filters.typeTitle': 'Тип результата',
+        'filters.allTypes': 'все типы',
+        'filters.domainTitle': 'Домен ссылки',
+        'filters.allDomains': 'все домены',
+        'filters.dateFrom': 'с',
+        'filters.dateTo': 'по',
+        'filters.sortTitle': 'Сортировка',
+        'filters.sortDefault': 'порядок из настроек',
+        'filters.sortName': 'по имени',
+        'filters.sortSize': 'по размеру',
+        'filters.sortDate': 'по дате',
+        'filters.sortStatus': 'по статусу',
+        'filters.reset': 'Сбросить',
+        'filters.rerun': '🔁 Обработать показанные',
+        'filters.rerunTitle': 'Обработать показанные файлы заново; результаты остальных сохраняются',
+        'filters.remove': '🗑 Удалить показанные',
+        'filters.shown': 'Показано {count} из {total}; удаление, обработка и экспорт относятся к показанным',
+        'filters.nothing': 'Нет файлов, подходящих под условия отбора',
+
+        'inspector.title': '🔬 Структура файла',
+        'inspector.close': 'Закрыть инспектор',
+        'inspector.loading': 'Чтение файла…',
+        'inspector.header': 'Заголовок',
+        'inspector.fileSize': 'Размер файла',
+        'inspector.bytes': {
+            one: '{count} байт',
+            few: '{count} байта',
+            many: '{count} байт',
+            other: '{count} байта'
+        },
+        'inspector.marker': 'Маркер (байты 0–3)',
+        'inspector.markerFound': '{bytes} — ENC_, файл зашифрован',
+        'inspector.markerMissing': '{bytes} — не ENC_, файл не зашифрован',
+        'inspector.iv': 'IV (байты 4–19)',
+        'inspector.ivPrefix': 'Префикс IV (байты 4–11)',
+        'inspector.counter': 'Начальный 64-битный счетчик (байты 12–19)',
+        'inspector.payload': 'Содержимое (с байта 20)',
+        'inspector.payloadValue': '{count} байт: {blocks} блоков AES, в последнем блоке {partial} байт (0 — блок полный)',
+        'inspector.key': 'Ключ',
+        'inspector.keyMatched': '{name} — подошел',
+        'inspector.keyNotMatched': '{name} — не подошел, показан результат этого ключа',
+        'inspector.error': 'Ошибка',
+        'inspector.filename': 'Имя файла',
+        'inspector.filenameChosen': 'Выбран декодер: {decoder}, уверенность {confidence}',
+        'inspector.filenameNone': 'Ни один декодер не разобрал имя',
+        'inspector.xorKey': 'XOR с паролем «{name}»',
+        'inspector.xorNoKey': 'Пароля нет: шаг XOR пропущен',
+        'inspector.detect': 'Вид имени',
+        'inspector.notDetected': 'не подходит',
+        'inspector.base64Bytes': 'Байты после base64',
+        'inspector.xorBytes': 'Байты после XOR',
+        'inspector.xorText': 'Текст после XOR',
+        'inspector.parts': 'Части по «|»',
+        'inspector.noSeparator': 'разделителя «|» нет',
+        'inspector.result': 'Дата · ссылка',
+        'inspector.dateInvalid': 'дата не распознана',
+        'inspector.type': 'Тип',
+        'inspector.typeFile': 'Сигнатура файла',
+        'inspector.typeRaw': 'Сигнатура до расшифровки',
+        'inspector.typeDecrypted': 'Сигнатура после расшифровки',
+        'inspector.signatureMatched': '{signature} → {type}, уверенность {confidence}',
+        'inspector.signatureMissed': 'не подошла ни одна проверка: {checked}',
+        'inspector.verification': 'Проверка начала',
+        'inspector.outcome.valid': 'корректно',
+        'inspector.outcome.corrupted': 'поврежден',
+        'inspector.outcome.plausible': 'тип не распознан, но данные похожи на файл',
+        'inspector.outcome.wrong-password': 'похоже на случайные данные — неверный пароль',
+        'inspector.dumps': 'Дампы',
+        'inspector.rawHead': 'Первые {size} байт файла',
+        'inspector.rawTail': 'Последние {size} байт файла',
+        'inspector.decryptedHead': 'Первые {size} байт после расшифровки',
+        'inspector.decryptedTail': 'Последние {size} байт после расшифровки',
+
+        'report.label': 'Отчет по делу:',
+        'report.operatorPlaceholder': 'Оператор',
+        'report.htmlTitle': 'Страница для печати',
+        'report.title': 'Отчет по делу GeoLens',
+        'report.field': 'Поле',
+        'report.value': 'Значение',
+        'report.generatedAt': 'Составлен',
+        'report.operator': 'Оператор',
+        'report.toolVersion': 'Версия GeoLens',
+        'report.userAgent': 'Браузер',
+        'report.total': 'Файлов в отчете',
+        'report.succeeded': 'Обработано',
+        'report.failed': 'С ошибками',
+        'report.warnings': 'С предупреждениями проверки',
+        'report.runs': 'Запуски',
+        'report.mode': 'Режим',
+        'report.modeDecrypt': 'расшифровка',
+        'report.modeEncrypt': 'шифрование',
+        'report.startedAt': 'Начало',
+        'report.finishedAt': 'Окончание',
+        'report.fileCount': 'Файлов',
+        'report.keys': 'Ключи',
+        'report.settings': 'Настройки',
+        'report.files': 'Файлы',
+        'report.path': 'Путь',
+        'report.encrypted': 'Зашифрован',
+        'report.inputSha256': 'SHA-256 исходного',
+        'report.output': 'Результат',
+        'report.outputSha256': 'SHA-256 результата',
+        'report.fileType': 'Тип',
+        'report.filenameDecoder': 'Декодер имени',
+        'report.key': 'Ключ',
+        'report.dateTime': 'Дата',
+        'report.verification': 'Проверка',
+        'report.error': 'Ошибка',
+        'report.failures': 'Неудачи',
+        'report.noFailures': 'Неудач нет',
+        'report.yes': 'да',
+        'report.no': 'нет',
+
+        'session.available': {
+            one: '💾 Сохранена сессия от {date}: {count} файл, обработано {done}.',
+            few: '💾 Сохранена сессия от {date}: {count} файла, обработано {done}.',
+            many: '💾 Сохранена сессия от {date}: {count} файлов, обработано {done}.',
+            other: '💾 Сохранена сессия от {date}: {count} файла, обработано {done}.'
+        },
+        'session.active': '💾 Файлы, статусы и сведения сохраняются в браузере. Расшифрованные файлы и пароли не сохраняются.',
+        'session.activeWithOutputs': '💾 Файлы, статусы, сведения и расшифрованные файлы сохраняются в браузере. Пароли не сохраняются.',
+        'session.outputsNotSaved': '⚠️ Расшифрованный файл не сохранен в браузере: {error}. После перезагрузки такие файлы будут обработаны заново.',
+        'session.storeOutputs': 'Хранить расшифрованные файлы в истории сессии браузера',
+        'session.storeOutputsHint': 'Без папки результаты хранятся только во вкладке. Если включить хранение, они записываются в браузер без шифрования и остаются после закрытия вкладки — до очистки истории, блокировки или «Стереть все».',
+        'session.restore': '↩ Продолжить',
+        'session.clear': '🗑 Очистить историю',
+        'session.restored': {
+            one: '↩ Сессия восстановлена: {count} файл, уже обработано {done}.',
+            few: '↩ Сессия восстановлена: {count} файла, уже обработано {done}.',
+            many: '↩ Сессия восстановлена: {count} файлов, уже обработано {done}.',
+            other: '↩ Сессия восстановлена: {count} файла, уже обработано {done}.'
+        },
+        'session.missing': {
+            one: '📂 {count} файл нужно выбрать заново: {names}',
+            few: '📂 {count} файла нужно выбрать заново: {names}',
+            many: '📂 {count} файлов нужно выбрать заново: {names}',
+            other: '📂 {count} файла нужно выбрать заново: {names}'
+        },
+        'session.enterPassword': '🔑 Введите пароль: он не сохраняется вместе с сессией.',
+
+        'encrypt.linkLabel': 'Ссылка для имени файла (необязательно):',
+        'encrypt.hint': 'Дата в имени берется из времени изменения исходного файла.',
+
+        'mode.decryptTitle': 'Режим расшифровки',
+        'mode.encryptTitle': 'Режим шифрования',
+        'mode.runDecrypt': 'Расшифровать все',
+        'mode.runEncrypt': 'Зашифровать все',
+
+        'actions.cancel': '⏹ Отменить',
+        'actions.downloadAll': '📦 Скачать все (ZIP)',
+        'actions.archiveProgress': '📦 Архив: {percent}%',
+        'actions.gallery': '🖼️ Галерея',
+        'actions.exportLabel': 'Экспорт сведений:',
+        'actions.geoJsonTitle': 'Файлы с координатами',
+        'actions.noCoordinates': 'Координаты не найдены',
+
+        'links.title': '🔗 Извлеченные ссылки',
+        'links.copyAll': '📋 Скопировать все ссылки',
+        'links.copy': 'Скопировать ссылку',
+        'links.zoom': 'масштаб {zoom}',
+        'links.unsafe': 'Ссылка не открывается: разрешены только адреса http и https',
+        'links.noDate': 'Без даты',
+        'links.copied': 'Ссылка скопирована!',
+        'links.copiedAll': {
+            one: 'Скопирована {count} ссылка!',
+            few: 'Скопировано {count} ссылки!',
+            many: 'Скопировано {count} ссылок!',
+            other: 'Скопировано {count} ссылки!'
+        },
+
+        'date.notFound': 'Дата не найдена',
+
+        'map.title': '🗺️ Карта и хронология',
+        'map.ariaLabel': 'Точки файлов на карте',
+        'map.hint': 'Точки показаны в проекции Меркатора без подложки. Нажмите на точку или строку хронологии, чтобы перейти к карточке файла.',
+        'map.noCoordinates': 'нет координат',
+
+        'gallery.ariaLabel': 'Галерея изображений',
+        'gallery.open': 'Открыть в галерее',
+        'gallery.sortTitle': 'Порядок изображений',
+        'gallery.byDate': '📅 По дате',
+        'gallery.bySelection': '🔢 По порядку выбора',
+        'gallery.zoomOut': 'Уменьшить (−)',
+        'gallery.zoomReset': 'Исходный масштаб (0)',
+        'gallery.zoomIn': 'Увеличить (+)',
+        'gallery.close': 'Закрыть (Esc)',
+        'gallery.previous': 'Предыдущее (←)',
+        'gallery.next': 'Следующее (→)',
+
+        'info.title': '⚠️ Информация о дешифровке',
+        'info.algorithm': 'Алгоритм:',
+        'info.hashing': 'Хеширование пароля:',
+        'info.marker': 'Маркер шифрования:',
+        'info.markerValue': 'ENC_ (первые 4 байта)',
+        'info.iv': 'Вектор инициализации:',
+        'info.ivValue': '16 байт после маркера',
+        'info.text': 'Инструмент расшифровывает файлы, зашифрованные в приложении GeoLens. Файлы без маркера ENC_ обрабатываются как незашифрованные. Из имен файлов автоматически извлекаются даты и ссылки, а из фотографий JPEG и PNG — время съемки, GPS и модель камеры из EXIF; расхождение времени EXIF с именем файла отмечается на карточке. В режиме шифрования (🔒) создаются совместимые файлы ENC_ с зашифрованными именами.',
+
+        'error.fileTooSmall': 'Файл слишком мал',
+        'error.badMarker': 'Неверный маркер шифрования',
+        'error.noContent': 'Нет зашифрованного содержимого',
+        'error.emptyFile': 'Файл пуст',
+        'error.noMatchingKey': 'Неверный пароль: не подошел ни один пароль связки',
+        'error.noPassword': 'Пароль не задан: введите пароль или добавьте его в связку',
+        'error.wrongPassword': 'Неверный пароль: {reason}',
+        'error.writeAborted': 'Запись прервана',
+        'error.cancelled': 'Обработка отменена',
+        'error.worker': 'Ошибка воркера',
+        'error.alreadyEncrypted': 'Файл уже зашифрован',
+        'error.linkTooLong': 'Ссылка слишком длинная для имени файла',
+        'error.imageNotDecoded': 'Изображение не декодируется',
+        'error.thumbnailFailed': 'Не удалось создать миниатюру',
+
+        'verify.jpegSegmentGap': 'разрыв цепочки сегментов JPEG на смещении {offset}',
+        'verify.jpegBadSegment': 'неверный сегмент JPEG на смещении {offset}',
+        'verify.jpegTruncated': 'файл JPEG обрывается до начала данных изображения',
+        'verify.pngTruncated': 'файл PNG обрывается в заголовке IHDR',
+        'verify.pngNoIhdr': 'первый чанк PNG — не IHDR',
+        'verify.pngBadCrc': 'неверная контрольная сумма IHDR',
+        'verify.pngZeroSize': 'нулевой размер изображения PNG',
+        'verify.ftypTruncated': 'файл обрывается после блока ftyp',
+        'verify.ftypNoBox': 'после блока ftyp нет корректного блока',
+        'verify.riffTruncated': 'в заголовке RIFF указано {declaredSize} байт, в файле {fileSize}',
+        'verify.gifZeroSize': 'нулевой размер изображения GIF',
+        'verify.bmpBadHeader': 'неизвестный заголовок BMP',
+        'verify.bmpTruncated': 'файл BMP короче размера в заголовке',
+        'verify.pdfBadVersion': 'неверная версия PDF',
+        'verify.zipBadHeader': 'неверный локальный заголовок ZIP',
+        'verify.gzipReservedFlags': 'зарезервированные флаги GZIP не равны нулю',
+        'verify.sevenZipBadCrc': 'неверная контрольная сумма начального заголовка 7z',
+        'verify.oggBadVersion': 'неизвестная версия OGG',
+        'verify.id3BadSize': 'неверный размер тега ID3',
+        'verify.jpegNoEnd': 'нет маркера конца JPEG (FFD9)',
+        'verify.pngNoEnd': 'нет завершающего чанка PNG (IEND)',
+        'verify.pdfNoEnd': 'нет маркера конца PDF (%%EOF)',
+        'verify.zipNoEnd': 'нет центрального каталога ZIP',
+        'verify.randomData': 'данные похожи на случайные (энтропия {entropy} бит/байт)',
+        'verify.unknownTooShort': 'тип не распознан, данных слишком мало для проверки',
+        'verify.unknownNotRandom': 'тип не распознан, но данные не похожи на случайные'
+    },
+
+    en: {
+        'language.title': 'Interface language',
+
+        'app.subtitle': 'Upload encrypted files and enter the password to decrypt them.',
+
+        'upload.label': 'Choose encrypted files:',
+        'upload.dropTitle': 'Drop files or folders here',
+        'upload.or': 'or',
+        'upload.pickFiles': 'Choose files',
+        'upload.pickFolder': 'Choose folder',
+        'upload.hint': 'Nested folders are included; the folder structure is kept in the results and the archive',
+        'upload.folderReadFailed': '❌ Could not read folder {name}: {error}',
+
+        'files.selected': 'Files selected: {count}',
+        'files.clearAll': 'Clear all',
+
+        'card.remove': 'Remove file',
+        'card.inspect': 'File structure: header, dumps and name decoding',
+        'card.date': 'Date:',
+        'card.link': 'Link:',
+        'card.filenameFormat': 'Name format:',
+        'card.filenameConfidence': 'Confidence: {confidence}',
+        'card.openLink': 'Open link',
+        'card.checking': 'Checking...',
+        'card.encrypted': '🔒 Encrypted',
+        'card.notEncrypted': '📂 Not encrypted',
+        'card.key': 'Key:',
+        'card.shotAt': 'Taken:',
+        'card.gps': 'GPS:',
+        'card.altitude': '{value} m',
+        'card.camera': 'Camera:',
+        'card.lens': 'Lens:',
+        'card.exifMismatch': '⚠️ EXIF time differs from the file name by {difference}',
+
+        'filenameDecoder.base64': 'Base64 + XOR',
+        'filenameDecoder.base64url': 'URL-safe Base64 + XOR',
+        'filenameDecoder.legacy': 'Date_time_link (legacy format)',
+        'confidence.high': 'high',
+        'confidence.medium': 'medium',
+        'confidence.low': 'low',
+
+        'time.days': '{count} d',
+        'time.hours': '{count} h',
+        'time.minutes': '{count} min',
+        'time.seconds': '{count} s',
+
+        'status.ready': 'Ready',
+        'status.processing': 'Processing...',
+        'status.success': 'Processed',
+        'status.warning': 'Processed with a warning',
+        'status.skipped': 'Skipped',
+        'status.error': 'Error',
+        'status.cancelled': 'Cancelled',
+        'status.keyError': 'Key error',
+        'status.wrongPassword': '🔑 Wrong password',
+        'status.corrupted': '💔 File is damaged: {error}',
+        'status.damaged': '💔 Damaged or truncated ({reason}), saved as {name}',
+        'status.unknownType': '❔ Unknown type, saved as {name}',
+        'status.decrypted': '{type} file: {name}',
+        'status.decryptedProbably': '{type} file (probably): {name}',
+        'status.encrypted': 'Encrypted: {name}',
+        'status.skippedExisting': '⏭ Skipped: {path} is already in the folder',
+
+        'summary.noFilesToDecrypt': '❌ Choose files to decrypt.',
+        'summary.noFilesToEncrypt': '❌ Choose files to encrypt.',
+        'summary.decrypting': {
+            one: '🔄 Processing {count} file...',
+            other: '🔄 Processing {count} files...'
+        },
+        'summary.encrypting': {
+            one: '🔄 Encrypting {count} file...',
+            other: '🔄 Encrypting {count} files...'
+        },
+        'summary.succeeded': {
+            one: '✅ Processed {count} file',
+            other: '✅ Processed {count} files'
+        },
+        'summary.decrypted': {
+            one: '🔓 Decrypted {count} file',
+            other: '🔓 Decrypted {count} files'
+        },
+        'summary.unencrypted': {
+            one: '📂 {count} unencrypted file',
+            other: '📂 {count} unencrypted files'
+        },
+        'summary.links': {
+            one: '🔗 Extracted {count} link',
+            other: '🔗 Extracted {count} links'
+        },
+        'summary.failed': {
+            one: '⚠️ Failed: {count} file',
+            other: '⚠️ Failed: {count} files'
+        },
+        'summary.cancelled': {
+            one: '⏹ Cancelled: {count} file',
+            other: '⏹ Cancelled: {count} files'
+        },
+        'summary.skipped': {
+            one: '⏭ Skipped {count} file (already in the folder)',
+            other: '⏭ Skipped {count} files (already in the folder)'
+        },
+        'summary.resuming': {
+            one: '🔄 Resuming: {count} file, {done} already processed...',
+            other: '🔄 Resuming: {count} files, {done} already processed...'
+        },
+        'summary.allResumed': {
+            one: '✅ The file is already processed in this session',
+            other: '✅ All {count} files are already processed in this session'
+        },
+        'summary.allSkipped': {
+            one: '⏭ The result is already in the folder ({count} file)',
+            other: '⏭ All results are already in the folder ({count} files)'
+        },
+        'summary.encrypted': {
+            one: '🔒 Encrypted {count} file',
+            other: '🔒 Encrypted {count} files'
+        },
+        'summary.processingCancelled': '⏹ Processing cancelled.',
+        'summary.nothingDecrypted': '❌ No files could be processed. Check the password and the files.',
+        'summary.nothingEncrypted': '❌ No files could be encrypted.',
+        'summary.generalError': '❌ Error: {error}',
+        'summary.noOutputAccess': '❌ No permission to write to the output folder.',
+        'summary.archiveFailed': '❌ Could not create the archive: {error}',
+
+        'password.label': 'Password:',
+        'pwa.offlineReady': '✅ Works offline',
+        'pwa.offline': '📴 Offline: running from cache',
+        'pwa.offlineNotCached': '📴 Offline',
+        'secrets.show': '👁 Show',
+        'secrets.hide': '🙈 Hide',
+        'secrets.idleLabel': 'Lock when idle:',
+        'secrets.idleOff': 'off',
+        'secrets.idle5': 'after 5 minutes',
+        'secrets.idle15': 'after 15 minutes',
+        'secrets.idle30': 'after 30 minutes',
+        'secrets.idleLocked': 'Locked after {minutes} min of inactivity: passwords, keys and decrypted files were wiped',
+        'secrets.panic': '🧯 Wipe everything',
+        'secrets.panicTitle': 'Stop processing and wipe passwords, files, results and session history',
+        'secrets.panicDone': 'Everything wiped: passwords, keys, files, results and session history',
+
+        'keyring.title': '🔑 Keyring',
+        'keyring.hint': 'Each file is tried with the password above and every password in the keyring. The card shows which key matched. Passwords are kept only in this tab\'s memory until you save the keyring under a master password.',
+        'keyring.namePlaceholder': 'Name, e.g. "Device 2"',
+        'keyring.passwordPlaceholder': 'Password',
+        'keyring.add': '➕ Add',
+        'keyring.masterPlaceholder': 'Keyring master password',
+        'keyring.save': '💾 Save',
+        'keyring.load': '📂 Load',
+        'keyring.forgetTitle': 'Delete the saved keyring from the browser',
+        'keyring.removeTitle': 'Remove password from the keyring',
+        'keyring.passwordField': 'Password field',
+        'keyring.defaultName': 'Key {number}',
+        'keyring.enterPassword': 'Enter a password',
+        'keyring.duplicateName': 'A password named "{name}" already exists',
+        'keyring.added': 'Added "{name}"',
+        'keyring.enterMasterToSave': 'Enter a master password to save',
+        'keyring.empty': 'The keyring is empty',
+        'keyring.saved': {
+            one: 'Keyring saved encrypted: {count} password',
+            other: 'Keyring saved encrypted: {count} passwords'
+        },
+        'keyring.saveFailed': 'Could not save the keyring: {error}',
+        'keyring.nothingSaved': 'No saved keyring',
+        'keyring.enterMaster': 'Enter the master password',
+        'keyring.wrongMaster': 'Wrong master password or damaged keyring',
+        'keyring.loaded': {
+            one: 'Loaded {count} password',
+            other: 'Loaded {count} passwords'
+        },
+        'keyring.forgotten': 'Saved keyring deleted',
+
+        'recovery.title': '🧩 Recover a forgotten password',
+        'recovery.hint': 'The password is recovered from the names of the shown files: the date and the start of the link in a name are predictable. Candidates are checked by decrypting the start of the first encrypted file. More names give a more accurate result; everything runs on this computer.',
+        'recovery.run': '🔎 Recover from shown files',
+        'recovery.noNames': 'None of the shown files has a password-encrypted name',
+        'recovery.analyzing': {
+            one: 'Analyzing the password from {count} name…',
+            other: 'Analyzing the password from {count} names…'
+        },
+        'recovery.confirming': {
+            one: 'Checking {count} candidate…',
+            other: 'Checking {count} candidates…'
+        },
+        'recovery.confirmed': 'Password confirmed: "{name}" decrypts',
+        'recovery.notConfirmed': 'No candidate decrypted "{name}". Add more names and try again; the best candidates by name are below',
+        'recovery.noEncryptedFile': 'None of the shown files is encrypted (ENC_): candidates were checked by name only',
+        'recovery.cancelled': 'Recovery cancelled',
+        'recovery.failed': 'Recovery failed: {error}',
+        'recovery.details': 'length {period} bytes · match {score}% · {decoded} of {total} names decrypted',
+        'recovery.fileConfirmed': 'file decrypted: {type}',
+        'recovery.fileNotConfirmed': 'not confirmed by a file',
+        'recovery.addToKeyring': '➕ Add to keyring',
+        'recovery.keyName': 'Recovered password {number}',
+        'recovery.alreadyInKeyring': 'This password is already in the keyring',
+        'naming.label': 'Dates and output names:',
+        'naming.timeZoneLabel': 'Time zone of dates in names:',
+        'naming.templateLabel': 'Name template:',
+        'naming.orderLabel': 'Order of cards, exports and archive:',
+        'naming.orderSelection': 'as selected',
+        'naming.orderDate': 'by date from name',
+        'naming.hint': 'Time zone: local (as on this computer), UTC, an offset (+03:00) or a name (Europe/Moscow). Template fields: {date:YYYY-MM-DD_HH-mm-ss}, {utc:…}, {index} or {index:3} — number by date, {name} — original name, {ext}.',
+        'naming.badTimeZone': 'Unknown time zone: "{value}"',
+        'naming.badTemplate': 'Unknown fields in the name template: {tokens}',
+        'naming.utcTitle': 'UTC: {time}',
+
+        'output.label': 'Output folder:',
+        'output.pick': '📁 Choose',
+        'output.resetTitle': 'Download results as links',
+        'output.notSelected': 'Not selected — results are downloaded as links',
+        'output.unsupported': 'This browser cannot write to a folder',
+        'output.conflictLabel': 'If the file exists:',
+        'output.conflictRename': 'save with a _2 suffix',
+        'output.conflictSkip': 'skip',
+        'output.conflictOverwrite': 'overwrite',
+        'output.resume': 'Resume: do not decrypt files whose result already exists',
+        'output.hint': 'Decrypted files are written straight to the folder, mirroring the source folders, and do not use the tab\'s memory.',
+
+        'filters.searchPlaceholder': 'Search by name and link',
+        'filters.statusTitle': 'Status',
+        'filters.allStatuses': 'all statuses',
+        'filters.statusReady': 'not processed',
+        'filters.statusSuccess': 'processed',
+        'filters.statusWarning': 'with a warning',
+        'filters.statusSkipped': 'skipped',
+        'filters.statusError': 'failed',
+        'filters.encryptedTitle': 'Encryption',
+        'filters.allFiles': 'all files',
+        'filters.encrypted': 'encrypted',
+        'filters.plain': 'plain',
+        'filters.typeTitle': 'Result type',
+        'filters.allTypes': 'all types',
+        'filters.domainTitle': 'Link domain',
+        'filters.allDomains': 'all domains',
+        'filters.dateFrom': 'from',
+        'filters.dateTo': 'to',
+        'filters.sortTitle': 'Sorting',
+        'filters.sortDefault': 'order from settings',
+        'filters.sortName': 'by name',
+        'filters.sortSize': 'by size',
+        'filters.sortDate': 'by date',
+        'filters.sortStatus': 'by status',
+        'filters.reset': 'Reset',
+        'filters.rerun': '🔁 Process shown',
+        'filters.rerunTitle': 'Process the shown files again; results of the other files are kept',
+        'filters.remove': '🗑 Remove shown',
+        'filters.shown': 'Showing {count} of {total}; removal, processing and export apply to the shown files',
+        'filters.nothing': 'No files match the filters',
+
+        'inspector.title': '🔬 File structure',
+        'inspector.close': 'Close inspector',
+        'inspector.loading': 'Reading file…',
+        'inspector.header': 'Header',
+        'inspector.fileSize': 'File size',
+        'inspector.bytes': {
+            one: '{count} byte',
+            other: '{count} bytes'
+        },
+        'inspector.marker': 'Marker (bytes 0–3)',
+        'inspector.markerFound': '{bytes} — ENC_, file is encrypted',
+        'inspector.markerMissing': '{bytes} — not ENC_, file is not encrypted',
+        'inspector.iv': 'IV (bytes 4–19)',
+        'inspector.ivPrefix': 'IV prefix (bytes 4–11)',
+        'inspector.counter': 'Initial 64-bit counter (bytes 12–19)',
+        'inspector.payload': 'Payload (from byte 20)',
+        'inspector.payloadValue': '{count} bytes: {blocks} AES blocks, {partial} bytes in the last block (0 — full block)',
+        'inspector.key': 'Key',
+        'inspector.keyMatched': '{name} — matched',
+        'inspector.keyNotMatched': '{name} — did not match, showing this key\'s output',
+        'inspector.error': 'Error',
+        'inspector.filename': 'File name',
+        'inspector.filenameChosen': 'Chosen decoder: {decoder}, confidence {confidence}',
+        'inspector.filenameNone': 'No decoder could parse the name',
+        'inspector.xorKey': 'XOR with password “{name}”',
+        'inspector.xorNoKey': 'No password: XOR step skipped',
+        'inspector.detect': 'Name shape',
+        'inspector.notDetected': 'does not match',
+        'inspector.base64Bytes': 'Bytes after base64',
+        'inspector.xorBytes': 'Bytes after XOR',
+        'inspector.xorText': 'Text after XOR',
+        'inspector.parts': 'Parts split on “|”',
+        'inspector.noSeparator': 'no “|” separator',
+        'inspector.result': 'Date · link',
+        'inspector.dateInvalid': 'date not recognized',
+        'inspector.type': 'Type',
+        'inspector.typeFile': 'File signature',
+        'inspector.typeRaw': 'Signature before decryption',
+        'inspector.typeDecrypted': 'Signature after decryption',
+        'inspector.signatureMatched': '{signature} → {type}, confidence {confidence}',
+        'inspector.signatureMissed': 'no check matched: {checked}',
+        'inspector.verification': 'Head check',
+        'inspector.outcome.valid': 'valid',
+        'inspector.outcome.corrupted': 'corrupted',
+        'inspector.outcome.plausible': 'type not recognized, but the data looks like a file',
+        'inspector.outcome.wrong-password': 'looks like random data — wrong password',
+        'inspector.dumps': 'Dumps',
+        'inspector.rawHead': 'First {size} bytes of the file',
+        'inspector.rawTail': 'Last {size} bytes of the file',
+        'inspector.decryptedHead': 'First {size} bytes after decryption',
+        'inspector.decryptedTail': 'Last {size} bytes after decryption',
+
+        'report.label': 'Case report:',
+        'report.operatorPlaceholder': 'Operator',
+        'report.htmlTitle': 'Printable page',
+        'report.title': 'GeoLens case report',
+        'report.field': 'Field',
+        'report.value': 'Value',
+        'report.generatedAt': 'Generated',
+        'report.operator': 'Operator',
+        'report.toolVersion': 'GeoLens version',
+        'report.userAgent': 'Browser',
+        'report.total': 'Files in report',
+        'report.succeeded': 'Processed',
+        'report.failed': 'Failed',
+        'report.warnings': 'With verification warnings',
+        'report.runs': 'Runs',
+        'report.mode': 'Mode',
+        'report.modeDecrypt': 'decryption',
+        'report.modeEncrypt': 'encryption',
+        'report.startedAt': 'Started',
+        'report.finishedAt': 'Finished',
+        'report.fileCount': 'Files',
+        'report.keys': 'Keys',
+        'report.settings': 'Settings',
+        'report.files': 'Files',
+        'report.path': 'Path',
+        'report.encrypted': 'Encrypted',
+        'report.inputSha256': 'Input SHA-256',
+        'report.output': 'Output',
+        'report.outputSha256': 'Output SHA-256',
+        'report.fileType': 'Type',
+        'report.filenameDecoder': 'Name decoder',
+        'report.key': 'Key',
+        'report.dateTime': 'Date',
+        'report.verification': 'Verification',
+        'report.error': 'Error',
+        'report.failures': 'Failures',
+        'report.noFailures': 'No failures',
+        'report.yes': 'yes',
+        'report.no': 'no',
+
+        'session.available': {
+            one: '💾 Saved session from {date}: {count} file, {done} processed.',
+            other: '💾 Saved session from {date}: {count} files, {done} processed.'
+        },
+        'session.active': '💾 Files, statuses and file details are saved in the browser. Decrypted files and passwords are not saved.',
+        'session.activeWithOutputs': '💾 Files, statuses, file details and decrypted files are saved in the browser. Passwords are not saved.',
+        'session.outputsNotSaved': '⚠️ A decrypted file was not saved in the browser: {error}. After a reload such files will be processed again.',
+        'session.storeOutputs': 'Keep decrypted files in the browser session history',
+        'session.storeOutputsHint': 'Without a folder, results live only in this tab. If you enable this, they are written to the browser unencrypted and stay after the tab closes — until you clear the history, the idle lock fires or you use “Wipe everything”.',
+        'session.restore': '↩ Resume',
+        'session.clear': '🗑 Clear history',
+        'session.restored': {
+            one: '↩ Session restored: {count} file, {done} already processed.',
+            other: '↩ Session restored: {count} files, {done} already processed.'
+        },
+        'session.missing': {
+            one: '📂 {count} file needs to be selected again: {names}',
+            other: '📂 {count} files need to be selected again: {names}'
+        },
+        'session.enterPassword': '🔑 Enter the password: it is not saved with the session.',
+
+        'encrypt.linkLabel': 'Link for the file name (optional):',
+        'encrypt.hint': 'The date in the name is taken from the source file\'s modification time.',
+
+        'mode.decryptTitle': 'Decrypt mode',
+        'mode.encryptTitle': 'Encrypt mode',
+        'mode.runDecrypt': 'Decrypt all',
+        'mode.runEncrypt': 'Encrypt all',
+
+        'actions.cancel': '⏹ Cancel',
+        'actions.downloadAll': '📦 Download all (ZIP)',
+        'actions.archiveProgress': '📦 Archive: {percent}%',
+        'actions.gallery': '🖼️ Gallery',
+        'actions.exportLabel': 'Export details:',
+        'actions.geoJsonTitle': 'Files with coordinates',
+        'actions.noCoordinates': 'No coordinates found',
+
+        'links.title': '🔗 Extracted links',
+        'links.copyAll': '📋 Copy all links',
+        'links.copy': 'Copy link',
+        'links.zoom': 'zoom {zoom}',
+        'links.unsafe': 'Link not opened: only http and https addresses are allowed',
+        'links.noDate': 'No date',
+        'links.copied': 'Link copied!',
+        'links.copiedAll': {
+            one: 'Copied {count} link!',
+            other: 'Copied {count} links!'
+        },
+
+        'date.notFound': 'Date not found',
+
+        'map.title': '🗺️ Map and timeline',
+        'map.ariaLabel': 'File locations on the map',
+        'map.hint': 'Points are shown in the Mercator projection without a base map. Click a point or a timeline row to jump to the file card.',
+        'map.noCoordinates': 'no coordinates',
+
+        'gallery.ariaLabel': 'Image gallery',
+        'gallery.open': 'Open in gallery',
+        'gallery.sortTitle': 'Image order',
+        'gallery.byDate': '📅 By date',
+        'gallery.bySelection': '🔢 In selection order',
+        'gallery.zoomOut': 'Zoom out (−)',
+        'gallery.zoomReset': 'Actual size (0)',
+        'gallery.zoomIn': 'Zoom in (+)',
+        'gallery.close': 'Close (Esc)',
+        'gallery.previous': 'Previous (←)',
+        'gallery.next': 'Next (→)',
+
+        'info.title': '⚠️ About decryption',
+        'info.algorithm': 'Algorithm:',
+        'info.hashing': 'Password hashing:',
+        'info.marker': 'Encryption marker:',
+        'info.markerValue': 'ENC_ (first 4 bytes)',
+        'info.iv': 'Initialization vector:',
+        'info.ivValue': '16 bytes after the marker',
+        'info.text': 'The tool decrypts files encrypted by the GeoLens app. Files without the ENC_ marker are treated as unencrypted. Dates and links are extracted from file names automatically, and the capture time, GPS and camera model are read from EXIF in JPEG and PNG photos; an EXIF time that differs from the file name is flagged on the card. Encrypt mode (🔒) creates compatible ENC_ files with encrypted names.',
+
+        'error.fileTooSmall': 'File is too small',
+        'error.badMarker': 'Invalid encryption marker',
+        'error.noContent': 'No encrypted content',
+        'error.emptyFile': 'File is empty',
+        'error.noMatchingKey': 'Wrong password: no keyring password matched',
+        'error.noPassword': 'No password set: enter a password or add one to the keyring',
+        'error.wrongPassword': 'Wrong password: {reason}',
+        'error.writeAborted': 'Writing was aborted',
+        'error.cancelled': 'Processing cancelled',
+        'error.worker': 'Worker error',
+        'error.alreadyEncrypted': 'File is already encrypted',
+        'error.linkTooLong': 'The link is too long for a file name',
+        'error.imageNotDecoded': 'The image cannot be decoded',
+        'error.thumbnailFailed': 'Could not create a thumbnail',
+
+        'verify.jpegSegmentGap': 'JPEG segment chain breaks at offset {offset}',
+        'verify.jpegBadSegment': 'invalid JPEG segment at offset {offset}',
+        'verify.jpegTruncated': 'JPEG file ends before the image data',
+        'verify.pngTruncated': 'PNG file ends inside the IHDR header',
+        'verify.pngNoIhdr': 'the first PNG chunk is not IHDR',
+        'verify.pngBadCrc': 'invalid IHDR checksum',
+        'verify.pngZeroSize': 'PNG image has zero size',
+        'verify.ftypTruncated': 'file ends after the ftyp box',
+        'verify.ftypNoBox': 'no valid box after the ftyp box',
+        'verify.riffTruncated': 'RIFF header declares {declaredSize} bytes, the file has {fileSize}',
+        'verify.gifZeroSize': 'GIF image has zero size',
+        'verify.bmpBadHeader': 'unknown BMP header',
+        'verify.bmpTruncated': 'BMP file is shorter than its header states',
+        'verify.pdfBadVersion': 'invalid PDF version',
+        'verify.zipBadHeader': 'invalid ZIP local header',
+        'verify.gzipReservedFlags': 'reserved GZIP flags are not zero',
+        'verify.sevenZipBadCrc': 'bad checksum in the 7z start header',
+        'verify.oggBadVersion': 'unknown OGG version',
+        'verify.id3BadSize': 'invalid ID3 tag size',
+        'verify.jpegNoEnd': 'no JPEG end marker (FFD9)',
+        'verify.pngNoEnd': 'no final PNG chunk (IEND)',
+        'verify.pdfNoEnd': 'no PDF end marker (%%EOF)',
+        'verify.zipNoEnd': 'no ZIP central directory',
+        'verify.randomData': 'data looks random (entropy {entropy} bits/byte)',
+        'verify.unknownTooShort': 'unknown type, too little data to check',
+        'verify.unknownNotRandom': 'unknown type, but the data does not look random'
+    }
+};
+
+// Текущий язык интерфейса
+let currentLocale = DEFAULT_LOCALE;
+
+// Правила множественного числа текущего языка
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+
+/**
+ * Возвращает текст сообщения на текущем языке
+ * @param {string} key - ключ сообщения
+ * @param {Object} [params] - значения подстановок {name}; count выбирает форму множественного числа
+ * @returns {string} - текст; ключ, если сообщения нет ни в одном каталоге
+ */
+function t(key, params = {}) {
+    let message = I18N_MESSAGES[currentLocale][key] ?? I18N_MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        return key;
+    }
+    if (typeof message === 'object') {
+        message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+        name in params ? localize(params[name]) : match);
+}
+
+/**
+ * Переводит значение для показа: сообщение createMessage, текст или число
+ * @param {Object|string|number|null} value - значение
+ * @returns {string}
+ */
+function localize(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object' && typeof value.key === 'string') {
+        return t(value.key, value.params);
+    }
+    return String(value);
+}
+
+/**
+ * Возвращает текст ошибки на текущем языке
+ * @param {Error} error - ошибка
+ * @returns {string}
+ */
+function localizeError(error) {
+    return localize(getErrorMessage(error));
+}
+
+/**
+ * Определяет язык: сохраненный выбор, иначе язык браузера
+ * @returns {string} - 'ru' или 'en'
+ */
+function detectLocale() {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (saved in I18N_MESSAGES) {
+        return saved;
+    }
+    const languages = navigator.languages || [navigator.language];
+    const preferred = languages.find(language => language.split('-')[0] in I18N_MESSAGES);
+    return preferred ? preferred.split('-')[0] : 'en';
+}
+
+/**
+ * Выбирает язык сообщений
+ * @param {string} locale - 'ru' или 'en'
+ */
+function setLocale(locale) {
+    currentLocale = locale in I18N_MESSAGES ? locale : DEFAULT_LOCALE;
+    pluralRules = new Intl.PluralRules(currentLocale);
+}
+
+/**
+ * Переводит разметку по атрибутам data-i18n*
+ * @param {ParentNode} [root=document] - корень поиска
+ */
+function applyTranslations(root = document) {
+    const attributes = {
+        'data-i18n-title': 'title',
+        'data-i18n-placeholder': 'placeholder',
+        'data-i18n-aria-label': 'aria-label'
+    };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    Object.entries(attributes).forEach(([source, target]) => {
+        root.querySelectorAll(`[${source}]`).forEach(element => {
+            element.setAttribute(target, t(element.getAttribute(source)));
+        });
+    });
+
+    document.documentElement.lang = currentLocale;
+    document.querySelectorAll('.language-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.locale === currentLocale);
+    });
+}
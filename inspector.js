@@ -0,0 +1,266 @@
+// Инспектор структуры файла: помогает понять, почему файл не расшифровался или не распознался.
+// Показывает заголовок ENC_, IV с префиксом и 64-битным счетчиком, размер содержимого,
+// дампы первого и последнего килобайта до и после расшифровки, сигнатуру типа
+// и шаги расшифровки имени. Читаются только заголовок и участки дампов (inspectFile в core.js).
+// Расшифрованные дампы — данные файла, поэтому блокировка закрывает инспектор.
+
+// Показанный файл и собранные сведения:
+// { fileId, file, filenameInfo, trace, traceKeyName, inspection, error } или null
+let inspectorState = null;
+
+/**
+ * Открывает инспектор для файла и собирает сведения
+ * @param {string} fileId - ID файла
+ */
+async function openInspector(fileId) {
+    const file = selectedFiles.find(item => generateFileId(item) === fileId);
+    if (!file) return;
+
+    // Пароль, подошедший к имени, первым проверяется и для содержимого, как в processFile
+    const candidates = getPasswordCandidates();
+    const filenameInfo = decryptFilenameWithKeys(file.name, candidates);
+    candidates.sort((a, b) => (b.name === filenameInfo.keyName) - (a.name === filenameInfo.keyName));
+    const traceCandidate = candidates[0] || null;
+
+    const state = {
+        fileId,
+        file,
+        filenameInfo,
+        trace: traceFilenameDecode(file.name, traceCandidate ? traceCandidate.password : ''),
+        traceKeyName: traceCandidate ? traceCandidate.name : null,
+        inspection: null,
+        error: null
+    };
+    inspectorState = state;
+    renderInspector();
+    document.getElementById('inspector-panel').scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    let keys = [];
+    try {
+        keys = await deriveRunKeys(candidates);
+        state.inspection = await inspectFile(file, keys.map(({ name, key }) => ({ name, key })));
+    } catch (error) {
+        state.error = getErrorMessage(error);
+    } finally {
+        releaseRunKeys(keys);
+    }
+    // Пока собирались сведения, инспектор могли закрыть или открыть для другого файла
+    if (inspectorState === state) {
+        renderInspector();
+    }
+}
+
+/**
+ * Закрывает инспектор и забывает собранные сведения
+ */
+function closeInspector() {
+    inspectorState = null;
+    renderInspector();
+}
+
+/**
+ * Закрывает инспектор, если показанный файл убран из списка
+ * @param {Set<string>} fileIds - ID убранных файлов
+ */
+function forgetInspectedFile(fileIds) {
+    if (inspectorState && fileIds.has(inspectorState.fileId)) {
+        closeInspector();
+    }
+}
+
+/**
+ * Создает таблицу «подпись — значение»
+ * @param {Array[]} rows - строки [подпись, значение]; значение — текст или элемент, пустые строки пропускаются
+ * @returns {HTMLElement}
+ */
+function createInspectorTable(rows) {
+    const table = createElement('table', 'inspector-table');
+    rows.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        row.appendChild(createElement('th', '', label));
+        const cell = document.createElement('td');
+        if (value instanceof Node) {
+            cell.appendChild(value);
+        } else {
+            cell.textContent = String(value);
+        }
+        row.appendChild(cell);
+        table.appendChild(row);
+    });
+    return table;
+}
+
+/**
+ * Создает раздел инспектора с заголовком
+ * @param {string} title - заголовок
+ * @param {...HTMLElement} children - содержимое
+ * @returns {HTMLElement}
+ */
+function createInspectorSection(title, ...children) {
+    const section = createElement('section', 'inspector-section');
+    section.appendChild(createElement('h4', '', title));
+    section.append(...children);
+    return section;
+}
+
+/**
+ * Описывает определение типа: подошедшую сигнатуру или проверенные
+ * @param {Object} fileType - результат explainFileType
+ * @returns {string}
+ */
+function describeInspectedType(fileType) {
+    return fileType.signature
+        ? t('inspector.signatureMatched', {
+            signature: fileType.signature,
+            type: fileType.type,
+            confidence: t(`confidence.${fileType.confidence}`)
+        })
+        : t('inspector.signatureMissed', { checked: fileType.checked.join(', ') });
+}
+
+/**
+ * Создает раздел с заголовком файла: маркер, IV, счетчик, размер содержимого и ключ
+ * @param {Object} inspection - результат inspectFile
+ * @returns {HTMLElement}
+ */
+function renderInspectorHeader(inspection) {
+    const { header } = inspection;
+    const marker = t(header.hasMarker ? 'inspector.markerFound' : 'inspector.markerMissing', { bytes: header.marker });
+    const encrypted = header.hasMarker;
+    const key = encrypted && inspection.keyName
+        ? t(inspection.keyMatched ? 'inspector.keyMatched' : 'inspector.keyNotMatched', { name: inspection.keyName })
+        : null;
+
+    return createInspectorSection(t('inspector.header'), createInspectorTable([
+        [t('inspector.fileSize'), t('inspector.bytes', { count: inspection.size })],
+        [t('inspector.marker'), marker],
+        [t('inspector.iv'), encrypted ? header.iv : null],
+        [t('inspector.ivPrefix'), encrypted ? header.ivPrefix : null],
+        [t('inspector.counter'), encrypted ? header.counter : null],
+        [t('inspector.payload'), encrypted
+            ? t('inspector.payloadValue', { count: header.payloadLength, blocks: header.blocks, partial: header.partialBlock })
+            : null],
+        [t('inspector.key'), key],
+        [t('inspector.error'), inspection.error ? localize(inspection.error) : null]
+    ]));
+}
+
+/**
+ * Создает раздел с шагами расшифровки имени каждым декодером
+ * @returns {HTMLElement}
+ */
+function renderInspectorFilename() {
+    const { filenameInfo, trace, traceKeyName } = inspectorState;
+    const summary = filenameInfo.decoder
+        ? t('inspector.filenameChosen', {
+            decoder: t(`filenameDecoder.${filenameInfo.decoder}`),
+            confidence: t(`confidence.${filenameInfo.confidence}`)
+        })
+        : t('inspector.filenameNone');
+
+    const steps = trace.map(step => {
+        const rows = [
+            [t('inspector.detect'), step.confidence ? t(`confidence.${step.confidence}`) : t('inspector.notDetected')],
+            [t('inspector.base64Bytes'), step.encoded ? bytesToHex(step.encoded) : null],
+            [t('inspector.xorBytes'), step.xored ? bytesToHex(step.xored) : null],
+            [t('inspector.xorText'), step.text],
+            [t('inspector.parts'), step.text !== null ? (step.parts ? step.parts.join('  |  ') : t('inspector.noSeparator')) : null],
+            [t('inspector.result'), step.result
+                ? `${step.result.dateTime || '—'} · ${step.result.link || '—'}${step.dateValid ? '' : ` · ${t('inspector.dateInvalid')}`}`
+                : null],
+            [t('inspector.error'), step.error]
+        ];
+        const stepSection = createElement('div', 'inspector-step');
+        stepSection.appendChild(createElement('div', 'inspector-step-title', t(`filenameDecoder.${step.decoder}`)));
+        stepSection.appendChild(createInspectorTable(rows));
+        return stepSection;
+    });
+
+    return createInspectorSection(t('inspector.filename'),
+        createElement('p', 'inspector-note', summary),
+        createElement('p', 'inspector-note', traceKeyName ? t('inspector.xorKey', { name: traceKeyName }) : t('inspector.xorNoKey')),
+        ...steps);
+}
+
+/**
+ * Создает раздел с определением типа до и после расшифровки
+ * @param {Object} inspection - результат inspectFile
+ * @returns {HTMLElement}
+ */
+function renderInspectorType(inspection) {
+    const { decrypted } = inspection;
+    return createInspectorSection(t('inspector.type'), createInspectorTable([
+        [t(decrypted || inspection.header.hasMarker ? 'inspector.typeRaw' : 'inspector.typeFile'), describeInspectedType(inspection.raw.fileType)],
+        [t('inspector.typeDecrypted'), decrypted ? describeInspectedType(decrypted.fileType) : null],
+        [t('inspector.verification'), decrypted
+            ? [t(`inspector.outcome.${decrypted.verification.outcome}`), decrypted.verification.reason && localize(decrypted.verification.reason)]
+                .filter(Boolean).join(': ')
+            : null]
+    ]));
+}
+
+/**
+ * Создает дампы начала и конца; конец не показывается, если совпадает с началом
+ * @param {Object} dump - { head, tail, tailOffset }
+ * @param {string} headTitle - подпись начала
+ * @param {string} tailTitle - подпись конца
+ * @returns {HTMLElement[]}
+ */
+function createInspectorDumps(dump, headTitle, tailTitle) {
+    const elements = [
+        createElement('div', 'inspector-step-title', headTitle),
+        createElement('pre', 'hex-dump', formatHexDump(dump.head, 0))
+    ];
+    if (dump.tailOffset > 0) {
+        elements.push(
+            createElement('div', 'inspector-step-title', tailTitle),
+            createElement('pre', 'hex-dump', formatHexDump(dump.tail, dump.tailOffset))
+        );
+    }
+    return elements;
+}
+
+/**
+ * Создает раздел с дампами до и после расшифровки
+ * @param {Object} inspection - результат inspectFile
+ * @returns {HTMLElement}
+ */
+function renderInspectorDumps(inspection) {
+    const size = INSPECTOR_DUMP_SIZE;
+    const elements = createInspectorDumps(inspection.raw,
+        t('inspector.rawHead', { size }), t('inspector.rawTail', { size }));
+    if (inspection.decrypted) {
+        elements.push(...createInspectorDumps(inspection.decrypted,
+            t('inspector.decryptedHead', { size }), t('inspector.decryptedTail', { size })));
+    }
+    return createInspectorSection(t('inspector.dumps'), ...elements);
+}
+
+/**
+ * Перерисовывает инспектор на текущем языке
+ */
+function renderInspector() {
+    const panel = document.getElementById('inspector-panel');
+    const content = document.getElementById('inspector-content');
+    if (!inspectorState) {
+        panel.style.display = 'none';
+        content.replaceChildren();
+        return;
+    }
+
+    const { file, inspection, error } = inspectorState;
+    panel.style.display = 'block';
+    document.getElementById('inspector-file').textContent = getRelativePath(file);
+
+    const sections = [];
+    if (inspection) {
+        sections.push(renderInspectorHeader(inspection));
+    } else {
+        sections.push(createElement('p', 'inspector-note', error ? localize(error) : t('inspector.loading')));
+    }
+    sections.push(renderInspectorFilename());
+    if (inspection) {
+        sections.push(renderInspectorType(inspection), renderInspectorDumps(inspection));
+    }
+    content.replaceChildren(...sections);
+}
@@ -0,0 +1,220 @@
+// Подбор забытого пароля по именам показанных файлов (алгоритм в recovery.js).
+// Оценка длин пароля и проверка кандидатов идут в пуле веб-воркеров с ходом работы и отменой.
+// Подобранные пароли — секреты: блокировка и экстренная очистка их стирают.
+
+// Пул воркеров идущего подбора или null
+let recoveryPool = null;
+
+// Ход и итог подбора: { running, progress, status: { message, isError }, results, totalNames }
+let recoveryState = { running: false, progress: 0, status: null, results: [], totalNames: 0 };
+
+// Номер подбора: очистка его увеличивает, и прерванный подбор не показывает итог
+let recoveryGeneration = 0;
+
+/**
+ * Раскладывает элементы по заданиям по кругу, чтобы у каждого задания были и первые элементы
+ * @param {Array} items - элементы
+ * @param {number} count - число заданий
+ * @returns {Array[]} - непустые группы
+ */
+function splitRoundRobin(items, count) {
+    const groups = Array.from({ length: count }, () => []);
+    items.forEach((item, index) => groups[index % count].push(item));
+    return groups.filter(group => group.length > 0);
+}
+
+/**
+ * Выполняет задания подбора в пуле и собирает их результаты
+ * Ход работы этапа занимает долю от offset до offset + share общего хода
+ * @param {Object[]} jobs - задания runRecoveryJob
+ * @param {number} offset - начало доли этапа
+ * @param {number} share - размер доли этапа
+ * @returns {Promise<Object[]>} - результаты заданий в порядке jobs
+ */
+function runRecoveryStage(jobs, offset, share) {
+    const fractions = new Array(jobs.length).fill(0);
+    return Promise.all(jobs.map((job, index) => recoveryPool.run(job, {
+        onProgress: fraction => {
+            fractions[index] = fraction;
+            const stageFraction = fractions.reduce((sum, value) => sum + value, 0) / jobs.length;
+            recoveryState.progress = offset + share * stageFraction;
+            renderKeyRecoveryProgress();
+        }
+    })));
+}
+
+/**
+ * Находит среди файлов первый зашифрованный (с маркером ENC_) для проверки кандидатов
+ * @param {File[]} files - файлы
+ * @returns {Promise<File|null>}
+ */
+async function findRecoverySampleFile(files) {
+    for (const file of files) {
+        if (await hasEncryptionMarker(file)) {
+            return file;
+        }
+    }
+    return null;
+}
+
+/**
+ * Подбирает пароль по именам показанных файлов
+ * Сначала воркеры оценивают длины пароля, затем проверяют лучших кандидатов расшифровкой
+ * начала зашифрованного файла; без такого файла кандидаты проверяются только по именам
+ */
+async function runKeyRecovery() {
+    if (recoveryState.running) return;
+    const generation = ++recoveryGeneration;
+
+    const filenames = getVisibleFiles().map(file => file.name)
+        .filter(filename => collectRecoverySamples([filename]).length > 0);
+    const samples = collectRecoverySamples(filenames);
+    recoveryState = { running: false, progress: 0, status: null, results: [], totalNames: filenames.length };
+    if (samples.length === 0) {
+        setKeyRecoveryStatus(createMessage('recovery.noNames'), true);
+        return;
+    }
+
+    recoveryState.running = true;
+    renderKeyRecovery();
+    const sampleFile = await findRecoverySampleFile(getVisibleFiles());
+    if (generation !== recoveryGeneration) return;
+
+    const longestSample = Math.max(...samples.map(sample => sample.length));
+    const periods = Array.from({ length: Math.min(RECOVERY_MAX_PERIOD, longestSample) }, (_, index) => index + 1);
+    const poolSize = Math.min(navigator.hardwareConcurrency || 2, periods.length);
+    recoveryPool = createWorkerPool(poolSize);
+    setKeyRecoveryStatus(createMessage('recovery.analyzing', { count: filenames.length }));
+
+    try {
+        const analyses = await runRecoveryStage(splitRoundRobin(periods, poolSize).map(group => ({
+            kind: 'recovery', stage: 'analyze', filenames, periods: group
+        })), 0, 0.5);
+        const candidates = rankKeyCandidates(analyses.flatMap(result => result.candidates));
+
+        setKeyRecoveryStatus(createMessage('recovery.confirming', { count: candidates.length }));
+        const confirmations = await runRecoveryStage(splitRoundRobin(candidates, poolSize).map(group => ({
+            kind: 'recovery', stage: 'confirm', filenames, candidates: group, file: sampleFile
+        })), 0.5, 0.5);
+
+        const results = confirmations.flatMap(result => result.results).sort((a, b) =>
+            Boolean(b.fileType) - Boolean(a.fileType) || b.decodedNames - a.decodedNames ||
+            b.score - a.score || a.period - b.period);
+        const confirmed = results.filter(result => result.fileType);
+        recoveryState.results = (confirmed.length > 0 ? confirmed : results).slice(0, RECOVERY_RESULT_LIMIT);
+
+        if (confirmed.length > 0) {
+            setKeyRecoveryStatus(createMessage('recovery.confirmed', { name: getRelativePath(sampleFile) }));
+        } else if (sampleFile) {
+            setKeyRecoveryStatus(createMessage('recovery.notConfirmed', { name: getRelativePath(sampleFile) }), true);
+        } else {
+            setKeyRecoveryStatus(createMessage('recovery.noEncryptedFile'));
+        }
+    } catch (error) {
+        if (generation !== recoveryGeneration) return;
+        recoveryState.results = [];
+        if (error.cancelled) {
+            setKeyRecoveryStatus(createMessage('recovery.cancelled'));
+        } else {
+            setKeyRecoveryStatus(createMessage('recovery.failed', { error: getErrorMessage(error) }), true);
+        }
+    } finally {
+        if (generation === recoveryGeneration) {
+            recoveryPool.terminate();
+            recoveryPool = null;
+            recoveryState.running = false;
+            recoveryState.progress = 0;
+            renderKeyRecovery();
+        }
+    }
+}
+
+/**
+ * Отменяет идущий подбор
+ */
+function cancelKeyRecovery() {
+    if (recoveryPool) {
+        recoveryPool.cancel();
+    }
+}
+
+/**
+ * Останавливает подбор и забывает подобранные пароли
+ */
+function clearKeyRecovery() {
+    cancelKeyRecovery();
+    recoveryPool = null;
+    recoveryGeneration++;
+    recoveryState = { running: false, progress: 0, status: null, results: [], totalNames: 0 };
+    renderKeyRecovery();
+}
+
+/**
+ * Добавляет подобранный пароль в связку
+ * @param {Object} result - кандидат из recoveryState.results
+ */
+function addRecoveredPassword(result) {
+    if (keyring.some(entry => entry.password === result.password)) {
+        setKeyRecoveryStatus(createMessage('recovery.alreadyInKeyring'));
+        return;
+    }
+    let number = 1;
+    while (keyring.some(entry => entry.name === t('recovery.keyName', { number }))) {
+        number++;
+    }
+    const name = t('recovery.keyName', { number });
+    keyring.push({ id: crypto.randomUUID(), name, password: result.password });
+    setKeyRecoveryStatus(createMessage('keyring.added', { name }));
+    renderKeyring();
+}
+
+/**
+ * Показывает сообщение под подбором
+ * @param {Object|string} message - сообщение createMessage или текст
+ * @param {boolean} [isError=false] - сообщение об ошибке
+ */
+function setKeyRecoveryStatus(message, isError = false) {
+    recoveryState.status = { message, isError };
+    renderKeyRecovery();
+}
+
+/**
+ * Обновляет полосу хода подбора
+ */
+function renderKeyRecoveryProgress() {
+    const progress = document.getElementById('recovery-progress');
+    progress.classList.toggle('show', recoveryState.running);
+    document.getElementById('recovery-progress-bar').style.width = `${Math.round(recoveryState.progress * 100)}%`;
+}
+
+/**
+ * Перерисовывает подбор на текущем языке: кнопки, ход, сообщение и кандидатов
+ */
+function renderKeyRecovery() {
+    document.getElementById('recovery-run-btn').disabled = recoveryState.running;
+    document.getElementById('recovery-cancel-btn').style.display = recoveryPool ? 'inline-block' : 'none';
+    renderKeyRecoveryProgress();
+
+    const status = document.getElementById('recovery-status');
+    status.textContent = recoveryState.status ? localize(recoveryState.status.message) : '';
+    status.classList.toggle('error', Boolean(recoveryState.status && recoveryState.status.isError));
+
+    const list = document.getElementById('recovery-results');
+    list.replaceChildren(...recoveryState.results.map(result => {
+        const item = createElement('li', 'keyring-item recovery-item');
+        const password = createElement('code', 'recovery-password', result.password);
+        const details = createElement('span', 'recovery-details', [
+            t('recovery.details', {
+                period: result.period,
+                score: Math.round(result.score * 100),
+                decoded: result.decodedNames,
+                total: recoveryState.totalNames
+            }),
+            result.fileType ? t('recovery.fileConfirmed', { type: result.fileType }) : t('recovery.fileNotConfirmed')
+        ].join(' · '));
+        const add = createElement('button', 'keyring-btn', t('recovery.addToKeyring'));
+        add.addEventListener('click', () => addRecoveredPassword(result));
+        item.append(password, details, add);
+        return item;
+    }));
+}
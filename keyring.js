@@ -0,0 +1,271 @@
+// Связка именованных паролей.
+// Пароли хранятся в памяти вкладки; по желанию связка сохраняется в localStorage
+// только в зашифрованном виде (AES-GCM, ключ из мастер-пароля через PBKDF2).
+
+// Ключ localStorage для зашифрованной связки
+const KEYRING_STORAGE_KEY = 'geolens-keyring';
+
+// Число итераций PBKDF2 для ключа из мастер-пароля при сохранении связки;
+// сохраненная связка расшифровывается с числом итераций из своей записи
+const KEYRING_PBKDF2_ITERATIONS = 310000;
+
+// Пароли связки: { id, name, password }
+let keyring = [];
+
+// Последнее сообщение под связкой: { message, isError }
+let keyringStatus = { message: '', isError: false };
+
+/**
+ * Возвращает пароли для расшифровки в порядке проверки:
+ * сначала поле «Пароль», затем связка; одинаковые пароли проверяются один раз.
+ * Пароля по умолчанию нет: без паролей список пуст
+ * @returns {Object[]} - кандидаты { name, password }
+ */
+function getPasswordCandidates() {
+    const candidates = [];
+    const fieldPassword = getFieldPassword();
+    if (fieldPassword) {
+        candidates.push({ name: t('keyring.passwordField'), password: fieldPassword });
+    }
+    keyring.forEach(entry => {
+        if (!candidates.some(candidate => candidate.password === entry.password)) {
+            candidates.push({ name: entry.name, password: entry.password });
+        }
+    });
+    return candidates;
+}
+
+/**
+ * Показывает сообщение под связкой
+ * @param {Object|string} message - сообщение createMessage или текст
+ * @param {boolean} [isError=false] - сообщение об ошибке
+ */
+function showKeyringStatus(message, isError = false) {
+    keyringStatus = { message, isError };
+    renderKeyringStatus();
+}
+
+/**
+ * Перерисовывает сообщение под связкой на текущем языке
+ */
+function renderKeyringStatus() {
+    const status = document.getElementById('keyring-status');
+    status.textContent = localize(keyringStatus.message);
+    status.className = `keyring-status${keyringStatus.isError ? ' error' : ''}`;
+}
+
+/**
+ * Перерисовывает список паролей связки
+ */
+function renderKeyring() {
+    const list = document.getElementById('keyring-list');
+    list.replaceChildren();
+
+    keyring.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'keyring-item';
+
+        const name = document.createElement('span');
+        name.className = 'keyring-name';
+        name.textContent = entry.name;
+
+        const mask = document.createElement('span');
+        mask.className = 'keyring-mask';
+        mask.textContent = '•'.repeat(Math.min(entry.password.length, 12));
+
+        const remove = document.createElement('button');
+        remove.className = 'keyring-remove';
+        remove.title = t('keyring.removeTitle');
+        remove.textContent = '×';
+        remove.addEventListener('click', () => removeKeyringEntry(entry.id));
+
+        item.append(name, mask, remove);
+        list.appendChild(item);
+    });
+
+    document.getElementById('keyring-count').textContent = keyring.length ? `(${keyring.length})` : '';
+    document.getElementById('keyring-load-btn').disabled = !localStorage.getItem(KEYRING_STORAGE_KEY);
+
+    // Имена файлов зависят от паролей, поэтому карточки перерисовываются
+    if (selectedFiles.length > 0) {
+        updateFilesDisplay();
+    }
+}
+
+/**
+ * Добавляет пароль из полей формы в связку
+ */
+function addKeyringEntry() {
+    const nameInput = document.getElementById('keyring-name');
+    const passwordInput = document.getElementById('keyring-password');
+    const password = passwordInput.value;
+    const name = nameInput.value.trim() || t('keyring.defaultName', { number: keyring.length + 1 });
+
+    if (!password) {
+        showKeyringStatus(createMessage('keyring.enterPassword'), true);
+        return;
+    }
+    if (keyring.some(entry => entry.name === name)) {
+        showKeyringStatus(createMessage('keyring.duplicateName', { name }), true);
+        return;
+    }
+
+    keyring.push({ id: crypto.randomUUID(), name, password });
+    nameInput.value = '';
+    passwordInput.value = '';
+    showKeyringStatus(createMessage('keyring.added', { name }));
+    renderKeyring();
+}
+
+/**
+ * Удаляет пароль из связки
+ * @param {string} id - ID записи
+ */
+function removeKeyringEntry(id) {
+    keyring = keyring.filter(entry => entry.id !== id);
+    showKeyringStatus('');
+    renderKeyring();
+}
+
+/**
+ * Забывает пароли связки в памяти и очищает поля паролей связки
+ * Связка, сохраненная в браузере, остается и загружается мастер-паролем
+ */
+function clearKeyring() {
+    keyring = [];
+    document.getElementById('keyring-password').value = '';
+    document.getElementById('keyring-master').value = '';
+    showKeyringStatus('');
+    renderKeyring();
+}
+
+/**
+ * Кодирует байты в base64
+ * @param {ArrayBuffer|Uint8Array} buffer - данные
+ * @returns {string}
+ */
+function bytesToBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+/**
+ * Декодирует base64 в байты
+ * @param {string} value - строка base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Получает ключ AES-GCM из мастер-пароля
+ * @param {string} masterPassword - мастер-пароль
+ * @param {Uint8Array} salt - соль
+ * @param {number} iterations - число итераций PBKDF2
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKeyringKey(masterPassword, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(masterPassword), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Шифрует связку мастер-паролем и сохраняет в localStorage
+ */
+async function saveKeyring() {
+    const masterPassword = document.getElementById('keyring-master').value;
+    if (!masterPassword) {
+        showKeyringStatus(createMessage('keyring.enterMasterToSave'), true);
+        return;
+    }
+    if (keyring.length === 0) {
+        showKeyringStatus(createMessage('keyring.empty'), true);
+        return;
+    }
+
+    try {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await deriveKeyringKey(masterPassword, salt, KEYRING_PBKDF2_ITERATIONS);
+        const entries = keyring.map(({ name, password }) => ({ name, password }));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(entries))
+        );
+
+        localStorage.setItem(KEYRING_STORAGE_KEY, JSON.stringify({
+            version: 1,
+            iterations: KEYRING_PBKDF2_ITERATIONS,
+            salt: bytesToBase64(salt),
+            iv: bytesToBase64(iv),
+            data: bytesToBase64(data)
+        }));
+        document.getElementById('keyring-master').value = '';
+        showKeyringStatus(createMessage('keyring.saved', { count: keyring.length }));
+        renderKeyring();
+    } catch (error) {
+        showKeyringStatus(createMessage('keyring.saveFailed', { error: getErrorMessage(error) }), true);
+    }
+}
+
+/**
+ * Загружает сохраненную связку, расшифровывая ее мастер-паролем
+ * Загруженные пароли добавляются к текущим
+ */
+async function loadKeyring() {
+    const stored = localStorage.getItem(KEYRING_STORAGE_KEY);
+    const masterPassword = document.getElementById('keyring-master').value;
+    if (!stored) {
+        showKeyringStatus(createMessage('keyring.nothingSaved'), true);
+        return;
+    }
+    if (!masterPassword) {
+        showKeyringStatus(createMessage('keyring.enterMaster'), true);
+        return;
+    }
+
+    let entries;
+    try {
+        const record = JSON.parse(stored);
+        const key = await deriveKeyringKey(masterPassword, base64ToBytes(record.salt), record.iterations);
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(record.iv) },
+            key,
+            base64ToBytes(record.data)
+        );
+        entries = JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+        // AES-GCM не расшифровывает данные с неверным ключом
+        showKeyringStatus(createMessage('keyring.wrongMaster'), true);
+        return;
+    }
+
+    let added = 0;
+    entries.forEach(({ name, password }) => {
+        if (!keyring.some(entry => entry.name === name && entry.password === password)) {
+            keyring.push({ id: crypto.randomUUID(), name, password });
+            added++;
+        }
+    });
+    document.getElementById('keyring-master').value = '';
+    showKeyringStatus(createMessage('keyring.loaded', { count: added }));
+    renderKeyring();
+}
+
+/**
+ * Удаляет сохраненную связку из localStorage; пароли в памяти остаются
+ */
+function forgetKeyring() {
+    localStorage.removeItem(KEYRING_STORAGE_KEY);
+    showKeyringStatus(createMessage('keyring.forgotten'));
+    renderKeyring();
+}
@@ -0,0 +1,59 @@
+// Подключение ядра GeoLens в Node.js (нужен Node.js 20 или новее).
+// i18n.js, core.js, exif.js и verify.js — обычные скрипты, общие для страницы и веб-воркера,
+// и обращаются друг к другу через глобальную область. Поэтому здесь они выполняются
+// в глобальном контексте Node, как importScripts в worker.js, а наружу отдаются
+// функции ядра. Web Crypto, Blob, TextEncoder и atob в Node 20 уже глобальные.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+for (const name of ['i18n.js', 'core.js', 'exif.js', 'verify.js']) {
+    const filename = path.join(__dirname, name);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+}
+
+module.exports = {
+    DECRYPT_CHUNK_SIZE,
+    TOOL_VERSION,
+    decryptFilename,
+    decryptFilenameWithKeys,
+    registerFilenameDecoder,
+    encryptFilename,
+    formatFilenameDateTime,
+    buildOutputFileName,
+    DEFAULT_OUTPUT_TEMPLATE,
+    findUnknownTemplateTokens,
+    parseFilenameDateTime,
+    normalizeTimeZone,
+    resolveFilenameTimestamp,
+    assignChronologicalIndexes,
+    checkEncryptionMarker,
+    generateKey,
+    decryptFileData,
+    encryptFileData,
+    detectFileType,
+    findMatchingKey,
+    runDecryptJob,
+    verifyDecryptedHead,
+    verifyDecryptedTail,
+    parseExif,
+    compareExifTime,
+    crc32,
+    createSha256,
+    hashBlob,
+    t,
+    localize,
+    localizeError,
+    setLocale,
+
+    /**
+     * Открывает файл на диске как Blob, который читается фрагментами по требованию
+     * @param {string} filePath - путь к файлу
+     * @returns {Promise<Blob>}
+     */
+    openFileAsBlob(filePath) {
+        return fs.openAsBlob(filePath);
+    }
+};
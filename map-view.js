@@ -0,0 +1,232 @@
+// Карта результатов и хронология.
+// Точки рисуются в SVG в проекции Меркатора без картографической подложки,
+// поэтому карта работает без сети и без сервера тайлов.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Размеры области карты в единицах viewBox
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 400;
+const MAP_PADDING = 40;
+
+// Минимальный охват карты в долях мировой проекции (около 800 м),
+// чтобы одна точка или точки в одном месте не растягивались на весь экран
+const MAP_MIN_SPAN = 0.00002;
+
+/**
+ * Создает SVG-элемент с атрибутами
+ * @param {string} name - имя элемента
+ * @param {Object} attributes - атрибуты
+ * @returns {SVGElement} - элемент
+ */
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+/**
+ * Форматирует дату из имени файла (YYYYMMDD_HHMMSS) для отображения
+ * @param {string|null} dateTime - дата из имени файла
+ * @returns {string} - дата в виде "YYYY-MM-DD HH:MM:SS"
+ */
+function formatDateTimeLabel(dateTime) {
+    const match = (dateTime || '').match(/^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})$/);
+    if (!match) {
+        return dateTime || t('date.notFound');
+    }
+    return `${match[1]}-${match[2]}-${match[3]} ${match[4]}:${match[5]}:${match[6]}`;
+}
+
+/**
+ * Подбирает шаг сетки координат, чтобы на карте было не больше шести линий
+ * @param {number} spanDegrees - охват в градусах
+ * @returns {number} - шаг в градусах
+ */
+function chooseGridStep(spanDegrees) {
+    const steps = [0.0001, 0.0002, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05,
+        0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 30, 45, 90];
+    return steps.find(step => spanDegrees / step <= 6) || 90;
+}
+
+/**
+ * Упорядочивает записи по дате из имени файла; записи без даты — в конце
+ * Даты сравниваются как моменты времени в выбранном часовом поясе (см. naming.js),
+ * при равной дате сохраняется прежний порядок
+ * @param {Object[]} records - записи об обработанных файлах
+ * @returns {Object[]} - новый упорядоченный массив
+ */
+function sortRecordsByDateTime(records) {
+    const timestamps = new Map(records.map(record => [record, resolveFileTimestamp(record.dateTime)]));
+    return [...records].sort((a, b) => compareTimestamps(timestamps.get(a), timestamps.get(b)));
+}
+
+/**
+ * Рисует точки на карте
+ * @param {SVGElement} svg - элемент карты
+ * @param {Object[]} points - точки { record, coordinates, number } в хронологическом порядке
+ */
+function renderMap(svg, points) {
+    svg.replaceChildren();
+    svg.appendChild(createSvgElement('rect', { class: 'map-bg', width: MAP_WIDTH, height: MAP_HEIGHT }));
+
+    const projected = points.map(point => projectMercator(point.coordinates.latitude, point.coordinates.longitude));
+
+    // Подгоняем охват точек под область карты с одинаковым масштабом по осям
+    const minX = Math.min(...projected.map(p => p.x));
+    const maxX = Math.max(...projected.map(p => p.x));
+    const minY = Math.min(...projected.map(p => p.y));
+    const maxY = Math.max(...projected.map(p => p.y));
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const scale = Math.min(
+        (MAP_WIDTH - 2 * MAP_PADDING) / Math.max(maxX - minX, MAP_MIN_SPAN),
+        (MAP_HEIGHT - 2 * MAP_PADDING) / Math.max(maxY - minY, MAP_MIN_SPAN)
+    );
+
+    const toScreen = p => ({
+        x: MAP_WIDTH / 2 + (p.x - centerX) * scale,
+        y: MAP_HEIGHT / 2 + (p.y - centerY) * scale
+    });
+    const toLongitude = x => (centerX + (x - MAP_WIDTH / 2) / scale) * 360 - 180;
+    const toLatitude = y => {
+        const mercatorY = centerY + (y - MAP_HEIGHT / 2) / scale;
+        return Math.atan(Math.sinh(Math.PI * (1 - 2 * mercatorY))) * 180 / Math.PI;
+    };
+
+    // Сетка координат
+    const west = toLongitude(0);
+    const east = toLongitude(MAP_WIDTH);
+    const north = toLatitude(0);
+    const south = toLatitude(MAP_HEIGHT);
+    const lonStep = chooseGridStep(east - west);
+    const latStep = chooseGridStep(north - south);
+    const decimals = step => Math.max(0, -Math.floor(Math.log10(step)));
+
+    for (let lon = Math.ceil(west / lonStep) * lonStep; lon <= east; lon += lonStep) {
+        const x = toScreen(projectMercator(0, lon)).x;
+        svg.appendChild(createSvgElement('line', { class: 'map-grid', x1: x, y1: 0, x2: x, y2: MAP_HEIGHT }));
+        const label = createSvgElement('text', { class: 'map-grid-label', x: x + 3, y: MAP_HEIGHT - 4 });
+        label.textContent = `${lon.toFixed(decimals(lonStep))}°`;
+        svg.appendChild(label);
+    }
+    for (let lat = Math.ceil(south / latStep) * latStep; lat <= north; lat += latStep) {
+        const y = toScreen(projectMercator(lat, 0)).y;
+        svg.appendChild(createSvgElement('line', { class: 'map-grid', x1: 0, y1: y, x2: MAP_WIDTH, y2: y }));
+        const label = createSvgElement('text', { class: 'map-grid-label', x: 4, y: y - 3 });
+        label.textContent = `${lat.toFixed(decimals(latStep))}°`;
+        svg.appendChild(label);
+    }
+
+    // Маршрут в хронологическом порядке
+    const screenPoints = projected.map(toScreen);
+    if (screenPoints.length > 1) {
+        svg.appendChild(createSvgElement('polyline', {
+            class: 'map-track',
+            points: screenPoints.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')
+        }));
+    }
+
+    points.forEach((point, index) => {
+        const { x, y } = screenPoints[index];
+        const group = createSvgElement('g', { class: 'map-point', 'data-file-id': point.record.fileId });
+
+        const title = createSvgElement('title');
+        title.textContent = `${point.number}. ${point.record.originalName}\n` +
+            `${formatDateTimeLabel(point.record.dateTime)}\n` +
+            `${point.coordinates.latitude.toFixed(5)}, ${point.coordinates.longitude.toFixed(5)}`;
+        group.appendChild(title);
+        group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: 7 }));
+
+        const label = createSvgElement('text', { x, y: y + 3.5, 'text-anchor': 'middle' });
+        label.textContent = point.number;
+        group.appendChild(label);
+
+        group.addEventListener('click', () => selectMapRecord(point.record.fileId));
+        svg.appendChild(group);
+    });
+}
+
+/**
+ * Заполняет хронологию
+ * @param {HTMLElement} list - элемент списка
+ * @param {Object[]} records - записи в хронологическом порядке
+ * @param {Map<string, Object>} pointsByFileId - точки карты по ID файла
+ */
+function renderTimeline(list, records, pointsByFileId) {
+    list.replaceChildren();
+
+    records.forEach(record => {
+        const point = pointsByFileId.get(record.fileId);
+        const item = document.createElement('li');
+        item.className = `timeline-item${point ? '' : ' no-coordinates'}`;
+        item.dataset.fileId = record.fileId;
+
+        const number = document.createElement('span');
+        number.className = 'timeline-number';
+        number.textContent = point ? point.number : '–';
+
+        const date = document.createElement('span');
+        date.className = 'timeline-date';
+        date.textContent = formatDateTimeLabel(record.dateTime);
+
+        const name = document.createElement('span');
+        name.className = 'timeline-name';
+        name.textContent = record.originalName;
+
+        const coordinates = document.createElement('span');
+        coordinates.className = 'timeline-coordinates';
+        coordinates.textContent = point
+            ? `${point.coordinates.latitude.toFixed(5)}, ${point.coordinates.longitude.toFixed(5)}`
+            : t('map.noCoordinates');
+
+        item.append(number, date, name, coordinates);
+        item.addEventListener('click', () => selectMapRecord(record.fileId));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Выделяет файл на карте и в хронологии и переходит к его карточке
+ * @param {string} fileId - ID файла
+ */
+function selectMapRecord(fileId) {
+    document.querySelectorAll('#map-view .map-point, #map-timeline .timeline-item').forEach(element => {
+        element.classList.toggle('active', element.dataset.fileId === fileId);
+    });
+    focusFileCard(fileId);
+}
+
+/**
+ * Обновляет карту и хронологию по результатам обработки
+ */
+function updateMapPanel() {
+    const mapPanel = document.getElementById('map-panel');
+    const svg = document.getElementById('map-view');
+    const timeline = document.getElementById('map-timeline');
+
+    const records = sortRecordsByDateTime(
+        processedRecords.filter(record => record.dateTime || resolveRecordCoordinates(record))
+    );
+
+    if (records.length === 0) {
+        mapPanel.style.display = 'none';
+        return;
+    }
+
+    const points = [];
+    records.forEach(record => {
+        const coordinates = resolveRecordCoordinates(record);
+        if (coordinates) {
+            points.push({ record, coordinates, number: points.length + 1 });
+        }
+    });
+
+    svg.style.display = points.length > 0 ? 'block' : 'none';
+    if (points.length > 0) {
+        renderMap(svg, points);
+    }
+    renderTimeline(timeline, records, new Map(points.map(point => [point.record.fileId, point])));
+
+    mapPanel.style.display = 'block';
+}
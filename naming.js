@@ -0,0 +1,192 @@
+// Даты из имен файлов и имена результатов: часовой пояс, в котором приложение
+// записало дату, шаблон имени результата и порядок карточек, экспорта и архива.
+// Разбор дат и шаблонов — в core.js, здесь только настройки и их применение на странице.
+
+// Ключ localStorage для настроек имен
+const NAMING_STORAGE_KEY = 'geolens-naming';
+
+// Настройки: timeZone — как ввел пользователь, template — пустая строка для шаблона
+// по умолчанию, order — 'selection' (как выбраны) или 'date' (по дате из имени)
+let namingSettings = { timeZone: 'local', template: '', order: 'selection' };
+
+/**
+ * Загружает сохраненные настройки имен
+ */
+function loadNamingSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(NAMING_STORAGE_KEY));
+        if (saved) {
+            namingSettings = { ...namingSettings, ...saved };
+        }
+    } catch (error) {
+        // Поврежденные настройки заменяются значениями по умолчанию
+        console.log('Настройки имен не загружены:', error.message);
+    }
+}
+
+/**
+ * Сохраняет настройки имен
+ */
+function saveNamingSettings() {
+    localStorage.setItem(NAMING_STORAGE_KEY, JSON.stringify(namingSettings));
+}
+
+/**
+ * Возвращает часовой пояс дат в именах файлов
+ * @returns {string} - часовой пояс (см. normalizeTimeZone); 'local', если введенный не распознан
+ */
+function getSourceTimeZone() {
+    return normalizeTimeZone(namingSettings.timeZone) || 'local';
+}
+
+/**
+ * Возвращает параметры имени результата для buildOutputFileName
+ * @param {number} [index] - номер файла в хронологическом порядке
+ * @returns {Object} - { template, timeZone, index }
+ */
+function getOutputNameOptions(index) {
+    return {
+        template: namingSettings.template || DEFAULT_OUTPUT_TEMPLATE,
+        timeZone: getSourceTimeZone(),
+        index
+    };
+}
+
+/**
+ * Проверяет настройки имен
+ * @returns {Object|null} - сообщение createMessage об ошибке или null
+ */
+function validateNamingSettings() {
+    if (!normalizeTimeZone(namingSettings.timeZone)) {
+        return createMessage('naming.badTimeZone', { value: namingSettings.timeZone });
+    }
+    const unknownTokens = findUnknownTemplateTokens(namingSettings.template);
+    if (unknownTokens.length > 0) {
+        return createMessage('naming.badTemplate', { tokens: unknownTokens.join(', ') });
+    }
+    return null;
+}
+
+/**
+ * Переводит дату из имени файла в момент времени в выбранном часовом поясе
+ * @param {string|null} dateTime - дата из имени файла
+ * @returns {number|null} - момент времени (мс UTC) или null
+ */
+function resolveFileTimestamp(dateTime) {
+    return resolveFilenameTimestamp(dateTime, getSourceTimeZone());
+}
+
+/**
+ * Форматирует дату из имени файла для карточки: местное время источника и часовой пояс
+ * @param {string} dateTime - дата из имени файла
+ * @returns {string}
+ */
+function formatFileDateLabel(dateTime) {
+    const zone = getSourceTimeZone();
+    return zone === 'local' ? formatDateTimeLabel(dateTime) : `${formatDateTimeLabel(dateTime)} (${zone})`;
+}
+
+/**
+ * Возвращает подсказку с моментом времени в UTC
+ * @param {string} dateTime - дата из имени файла
+ * @returns {string}
+ */
+function formatFileDateTitle(dateTime) {
+    const timestamp = resolveFileTimestamp(dateTime);
+    return timestamp === null ? '' : t('naming.utcTitle', { time: new Date(timestamp).toISOString() });
+}
+
+/**
+ * Форматирует момент времени для экспорта
+ * @param {number|null} timestamp - момент времени (мс UTC)
+ * @returns {string|null} - время в UTC в формате ISO 8601 или null
+ */
+function formatTimestamp(timestamp) {
+    return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * Номера выбранных файлов в хронологическом порядке для подстановки {index}
+ * @param {File[]} files - файлы
+ * @param {Object[]} candidates - пароли { name, password } для расшифровки имен
+ * @returns {Map<File, number>} - номер каждого файла, начиная с 1; порядок ключей хронологический
+ */
+function getChronologicalIndexes(files, candidates) {
+    const items = files.map(file => ({
+        file,
+        timestamp: resolveFileTimestamp(decryptFilenameWithKeys(file.name, candidates).dateTime)
+    }));
+    const indexes = assignChronologicalIndexes(items);
+    return new Map([...indexes].map(([item, index]) => [item.file, index]));
+}
+
+/**
+ * Упорядочивает выбранные файлы для показа карточек
+ * @param {File[]} files - файлы в порядке выбора
+ * @returns {File[]}
+ */
+function orderFilesForDisplay(files) {
+    if (namingSettings.order !== 'date') {
+        return files;
+    }
+    return [...getChronologicalIndexes(files, getPasswordCandidates()).keys()];
+}
+
+/**
+ * Упорядочивает записи и результаты для экспорта и архива
+ * @param {Object[]} items - элементы с полями fileId и dateTime
+ * @returns {Object[]} - новый упорядоченный массив
+ */
+function sortByFileOrder(items) {
+    const bySelection = sortBySelectionOrder(items);
+    return namingSettings.order === 'date' ? sortRecordsByDateTime(bySelection) : bySelection;
+}
+
+/**
+ * Показывает настройки имен и ошибку в них
+ */
+function renderNamingOptions() {
+    document.getElementById('source-timezone').value = namingSettings.timeZone;
+    document.getElementById('output-template').value = namingSettings.template;
+    document.getElementById('output-template').placeholder = DEFAULT_OUTPUT_TEMPLATE;
+    document.getElementById('file-order').value = namingSettings.order;
+
+    const error = validateNamingSettings();
+    document.getElementById('naming-error').textContent = error ? localize(error) : '';
+    document.getElementById('source-timezone').classList.toggle('invalid', !normalizeTimeZone(namingSettings.timeZone));
+}
+
+/**
+ * Подключает поля настроек имен
+ */
+function initializeNamingOptions() {
+    loadNamingSettings();
+
+    // Подсказки часовых поясов IANA, если браузер умеет их перечислить
+    const timeZoneList = document.getElementById('timezone-list');
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    ['local', 'UTC', ...zones].forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        timeZoneList.appendChild(option);
+    });
+
+    const fields = {
+        'source-timezone': 'timeZone',
+        'output-template': 'template',
+        'file-order': 'order'
+    };
+    for (const [id, setting] of Object.entries(fields)) {
+        document.getElementById(id).addEventListener('change', e => {
+            namingSettings[setting] = e.target.value.trim();
+            saveNamingSettings();
+            renderNamingOptions();
+            // Даты в карточках, порядок и хронология зависят от настроек
+            updateFilesDisplay();
+            updateLinksPanel();
+            updateMapPanel();
+        });
+    }
+
+    renderNamingOptions();
+}
@@ -0,0 +1,282 @@
+// Папка результатов: расшифрованные файлы записываются прямо в выбранную папку
+// через File System Access API — без Blob в памяти вкладки и без загрузок.
+// Файл, записываемый через createWritable, появляется в папке только после close(),
+// поэтому прерванная обработка не оставляет недописанных результатов.
+
+// Выбранная папка результатов (null — результаты скачиваются ссылками)
+let outputFolder = null;
+
+// Пути, уже выданные файлам текущего запуска: воркеры пишут параллельно,
+// и два файла с одинаковой датой не должны получить одно имя
+let outputReservedPaths = new Set();
+
+// Пути результатов, записанных в папку, по ID исходного файла (сохраняются в сессии):
+// по ним продолжение находит именно свой результат, а не результат файла с той же датой
+let outputWrittenPaths = new Map();
+
+// Содержимое вложенных папок результатов в текущем запуске: путь папки → Promise<{ names, stems, handles }>
+// Папка читается один раз на запуск, а не для каждого файла
+let outputDirectoryListings = new Map();
+
+// Пути, записанные до текущего запуска (в нижнем регистре): их не получает файл без своего пути
+let outputPreviousPaths = new Set();
+
+/**
+ * Проверяет, поддерживает ли браузер запись в папку
+ * @returns {boolean}
+ */
+function isOutputFolderSupported() {
+    return 'showDirectoryPicker' in window;
+}
+
+/**
+ * Показывает выбранную папку и настройки записи
+ */
+function renderOutputFolder() {
+    const supported = isOutputFolderSupported();
+    document.getElementById('output-folder-pick-btn').disabled = !supported;
+    document.getElementById('output-folder-name').textContent = outputFolder
+        ? `📁 ${outputFolder.name}`
+        : t(supported ? 'output.notSelected' : 'output.unsupported');
+    document.getElementById('output-folder-reset-btn').style.display = outputFolder ? 'inline-block' : 'none';
+    document.getElementById('output-folder-settings').style.display = outputFolder ? 'flex' : 'none';
+}
+
+/**
+ * Предлагает выбрать папку результатов
+ */
+async function pickOutputFolder() {
+    try {
+        outputFolder = await window.showDirectoryPicker({ id: 'geolens-output', mode: 'readwrite' });
+    } catch (error) {
+        // Пользователь закрыл диалог — прежний выбор сохраняется
+        console.log('Папка результатов не выбрана:', error.message);
+    }
+    renderOutputFolder();
+    saveSessionSettings();
+}
+
+/**
+ * Отказывается от папки результатов: результаты снова скачиваются ссылками
+ */
+function resetOutputFolder() {
+    outputFolder = null;
+    renderOutputFolder();
+    saveSessionSettings();
+}
+
+/**
+ * Проверяет разрешение на запись в папку результатов и при необходимости запрашивает его
+ * Вызывается до первого await в обработчике клика, пока действует жест пользователя
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - папка или null, если записи в нее нет
+ */
+async function requestOutputFolderAccess() {
+    if (!outputFolder) {
+        return null;
+    }
+    const options = { mode: 'readwrite' };
+    if (await outputFolder.queryPermission(options) === 'granted' ||
+        await outputFolder.requestPermission(options) === 'granted') {
+        return outputFolder;
+    }
+    return null;
+}
+
+/**
+ * Возвращает политику для уже существующих файлов
+ * @returns {string} - 'rename', 'skip' или 'overwrite'
+ */
+function getOutputConflictPolicy() {
+    return document.getElementById('output-conflict').value;
+}
+
+/**
+ * Проверяет, включено ли продолжение прерванной обработки
+ * @returns {boolean}
+ */
+function isOutputResumeEnabled() {
+    return document.getElementById('output-resume').checked;
+}
+
+/**
+ * Начинает новый запуск: пути прошлого запуска больше не заняты, содержимое папок читается заново
+ */
+function resetOutputReservations() {
+    outputReservedPaths = new Set();
+    outputDirectoryListings = new Map();
+    outputPreviousPaths = new Set([...outputWrittenPaths.values()].map(path => path.toLowerCase()));
+}
+
+/**
+ * Запоминает путь результата, записанного в папку
+ * @param {string} fileId - ID исходного файла
+ * @param {string} outputPath - путь результата относительно папки
+ */
+function rememberOutputPath(fileId, outputPath) {
+    outputWrittenPaths.set(fileId, outputPath);
+}
+
+/**
+ * Возвращает имена файлов вложенной папки результатов, читая папку один раз за запуск
+ * @param {FileSystemDirectoryHandle} directory - папка результатов
+ * @param {string[]} parts - имена вложенных папок
+ * @returns {Promise<Object>} - { names: Set<string>, stems: Map<string, string[]>, handles: Map } — имена
+ *     файлов, они же по имени без расширения и дескрипторы файлов по имени; пустые, если папки нет
+ */
+function listOutputDirectory(directory, parts) {
+    const key = parts.join('/');
+    if (!outputDirectoryListings.has(key)) {
+        outputDirectoryListings.set(key, (async () => {
+            const names = new Set();
+            const stems = new Map();
+            const handles = new Map();
+            const parent = await findOutputSubdirectory(directory, parts);
+            if (parent) {
+                for await (const handle of parent.values()) {
+                    if (handle.kind === 'file') {
+                        const stem = handle.name.replace(/\.[^.]+$/, '');
+                        names.add(handle.name);
+                        stems.set(stem, [...(stems.get(stem) || []), handle.name]);
+                        handles.set(handle.name, handle);
+                    }
+                }
+            }
+            return { names, stems, handles };
+        })());
+    }
+    return outputDirectoryListings.get(key);
+}
+
+/**
+ * Находит вложенную папку по пути
+ * @param {FileSystemDirectoryHandle} directory - корневая папка
+ * @param {string[]} parts - имена вложенных папок
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - папка или null, если ее нет
+ */
+async function findOutputSubdirectory(directory, parts) {
+    try {
+        for (const part of parts) {
+            directory = await directory.getDirectoryHandle(part);
+        }
+        return directory;
+    } catch (error) {
+        if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Проверяет, есть ли файл в папке
+ * @param {FileSystemDirectoryHandle} directory - корневая папка
+ * @param {string} filePath - путь файла относительно папки
+ * @returns {Promise<boolean>}
+ */
+async function outputFileExists(directory, filePath) {
+    const parts = filePath.split('/');
+    const fileName = parts.pop();
+    const parent = await findOutputSubdirectory(directory, parts);
+    if (!parent) {
+        return false;
+    }
+    try {
+        await parent.getFileHandle(fileName);
+        return true;
+    } catch (error) {
+        if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Выбирает путь для записи результата с учетом политики для существующих файлов
+ * Политика относится к файлам, которые уже были в папке; совпавшие имена внутри
+ * одного запуска всегда получают суффикс
+ * @param {FileSystemDirectoryHandle} directory - папка результатов
+ * @param {string} filePath - желаемый путь относительно папки
+ * @param {string} policy - 'rename', 'skip' или 'overwrite'
+ * @returns {Promise<string|null>} - путь для записи или null, если файл нужно пропустить
+ */
+async function claimOutputPath(directory, filePath, policy) {
+    // Суффикс _2, _3 и т.д. перед расширением, как в архиве
+    const dotIndex = filePath.lastIndexOf('.');
+    const hasExtension = dotIndex > filePath.lastIndexOf('/') + 1;
+    const base = hasExtension ? filePath.slice(0, dotIndex) : filePath;
+    const extension = hasExtension ? filePath.slice(dotIndex) : '';
+
+    let candidate = filePath;
+    for (let n = 2; ; n++) {
+        const key = candidate.toLowerCase();
+        if (!outputReservedPaths.has(key)) {
+            // Путь занимается до проверки на диске, пока другой файл не успел его выбрать
+            outputReservedPaths.add(key);
+            if (policy === 'overwrite' || !await outputFileExists(directory, candidate)) {
+                return candidate;
+            }
+            if (policy === 'skip') {
+                return null;
+            }
+        }
+        candidate = `${base}_${n}${extension}`;
+    }
+}
+
+/**
+ * Ищет результат файла, записанный прошлым запуском
+ * Если путь результата файла запомнен, проверяется именно он. Иначе расширение результата
+ * неизвестно до расшифровки, и подходит только единственный файл с тем же именем без расширения,
+ * еще не занятый другим файлом и совпадающий по размеру с результатом. Если в папке есть и имя
+ * с суффиксом _2, результат принадлежит одному из файлов с одинаковой датой, и файл
+ * расшифровывается заново
+ * @param {FileSystemDirectoryHandle} directory - папка результатов
+ * @param {string} fileId - ID исходного файла
+ * @param {string} outputPath - путь результата с любым расширением (см. buildOutputPath)
+ * @param {number} outputSize - размер расшифрованных данных
+ * @returns {Promise<string|null>} - путь найденного файла или null
+ */
+async function findExistingOutput(directory, fileId, outputPath, outputSize) {
+    const writtenPath = outputWrittenPaths.get(fileId);
+    const parts = (writtenPath || outputPath).split('/');
+    const fileName = parts.pop();
+    const { names, stems, handles } = await listOutputDirectory(directory, parts);
+
+    if (writtenPath) {
+        return names.has(fileName) ? writtenPath : null;
+    }
+
+    const stem = fileName.replace(/\.[^.]+$/, '');
+    const candidates = stems.get(stem) || [];
+    if (candidates.length !== 1 || stems.has(`${stem}_2`)) {
+        return null;
+    }
+
+    const path = [...parts, candidates[0]].join('/');
+    const key = path.toLowerCase();
+    if (outputPreviousPaths.has(key) || outputReservedPaths.has(key)) {
+        return null;
+    }
+    // Путь занимается до чтения размера, пока другой файл с той же датой не успел его выбрать
+    outputReservedPaths.add(key);
+    const existing = await handles.get(candidates[0]).getFile();
+    if (existing.size !== outputSize) {
+        outputReservedPaths.delete(key);
+        return null;
+    }
+    rememberOutputPath(fileId, path);
+    return path;
+}
+
+/**
+ * Создает ошибку пропуска файла, результат которого уже есть в папке
+ * @param {string} outputPath - путь существующего результата
+ * @returns {Error}
+ */
+function createOutputSkipError(outputPath) {
+    const error = createCodedError('status.skippedExisting', null, { path: outputPath });
+    error.skipped = true;
+    error.outputPath = outputPath;
+    return error;
+}
@@ -0,0 +1,100 @@
+// Установка приложения и работа без сети: регистрация сервис-воркера (sw.js),
+// индикатор сети и файлы, открытые через систему — «Открыть с помощью» (file_handlers)
+// и «Поделиться» (share_target).
+
+// Файлы приложения сохранены в кэше сервис-воркера и страница откроется без сети
+let offlineReady = false;
+
+/**
+ * Проверяет, может ли страница зарегистрировать сервис-воркер
+ * Сервис-воркеры работают только по https и на localhost, но не из file://
+ * @returns {boolean}
+ */
+function isServiceWorkerSupported() {
+    return 'serviceWorker' in navigator && window.isSecureContext;
+}
+
+/**
+ * Перерисовывает индикатор сети
+ * Без сети индикатор виден всегда; при сети — только когда приложение готово к работе без нее
+ */
+function renderOfflineIndicator() {
+    const indicator = document.getElementById('offline-indicator');
+    const offline = !navigator.onLine;
+    const messageKey = offline
+        ? (offlineReady ? 'pwa.offline' : 'pwa.offlineNotCached')
+        : 'pwa.offlineReady';
+
+    indicator.dataset.i18n = messageKey;
+    indicator.textContent = t(messageKey);
+    indicator.classList.toggle('offline', offline);
+    indicator.style.display = offline || offlineReady ? 'inline-flex' : 'none';
+}
+
+/**
+ * Регистрирует сервис-воркер и отмечает готовность к работе без сети
+ */
+async function registerServiceWorker() {
+    try {
+        await navigator.serviceWorker.register('sw.js');
+        await navigator.serviceWorker.ready;
+        offlineReady = true;
+    } catch (error) {
+        console.log('Сервис-воркер не зарегистрирован:', error.message);
+    }
+    renderOfflineIndicator();
+}
+
+/**
+ * Добавляет файлы, которые система открыла в приложении («Открыть с помощью»)
+ * Дескрипторы запоминаются, как у перетащенных файлов, поэтому сессия откроет их снова
+ */
+function initializeLaunchQueue() {
+    if (!('launchQueue' in window)) {
+        return;
+    }
+    window.launchQueue.setConsumer(params => {
+        if (params.files && params.files.length > 0) {
+            addDroppedHandles(params.files);
+        }
+    });
+}
+
+/**
+ * Забирает у сервис-воркера файлы, присланные через «Поделиться»
+ * Сервис-воркер открывает страницу с параметром ?shared=1 и держит файлы до запроса
+ */
+async function receiveSharedFiles() {
+    if (!new URLSearchParams(location.search).has('shared')) {
+        return;
+    }
+    // Повторная загрузка страницы не должна снова ждать файлы
+    history.replaceState(null, '', location.pathname);
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'shared-files' && event.data.files.length > 0) {
+            addFiles(sortFilesByPath(event.data.files));
+        }
+    });
+    navigator.serviceWorker.startMessages();
+    const registration = await navigator.serviceWorker.ready;
+    registration.active.postMessage({ type: 'shared-files' });
+}
+
+/**
+ * Подключает индикатор сети, сервис-воркер и прием файлов от системы
+ */
+function initializePwa() {
+    window.addEventListener('online', renderOfflineIndicator);
+    window.addEventListener('offline', renderOfflineIndicator);
+    renderOfflineIndicator();
+    initializeLaunchQueue();
+
+    if (!isServiceWorkerSupported()) {
+        return;
+    }
+    registerServiceWorker();
+    receiveSharedFiles().catch(error => {
+        console.log('Присланные файлы не получены:', error.message);
+    });
+}
@@ -0,0 +1,307 @@
+// Восстановление забытого пароля по именам файлов (атака по известному открытому тексту).
+// Имя — base64 от XOR пароля с повторением над строкой "YYYYMMDD_HHMMSS|ссылка", и большая часть
+// этой строки предсказуема: цифры даты в известных пределах, «_», «|», начало ссылки «http» или «null».
+// Для каждой длины пароля (периода) каждый байт пароля выбирается так, чтобы во всех именах
+// пакета на его позициях получался ожидаемый текст; кандидаты ранжируются по совпадению,
+// а затем подтверждаются расшифровкой начала файла ENC_ (generateKey, decryptFileData, detectFileType).
+// Файл не обращается к DOM: задания выполняются в веб-воркере (worker.js) или в основном потоке.
+// Пароли кандидатов передаются в воркер, так как ключ из них создается там же.
+
+// Наибольшая длина пароля в байтах, которую проверяет подбор
+const RECOVERY_MAX_PERIOD = 64;
+
+// Сколько вариантов пароля одной длины оставлять, если байт определен неоднозначно:
+// при нескольких именах цифры даты не различают соседние байты, и выбор делает расшифровка файла
+const RECOVERY_PERIOD_VARIANTS = 1024;
+
+// Сколько лучших вариантов байта рассматривать на каждой позиции пароля
+const RECOVERY_BYTE_ALTERNATIVES = 8;
+
+// Сколько имен учитывать при оценке байтов пароля
+const RECOVERY_MAX_SAMPLES = 512;
+
+// Сколько кандидатов из всех длин проверять расшифровкой файла
+const RECOVERY_CONFIRM_LIMIT = 4096;
+
+// Сколько неподтвержденных кандидатов каждого задания проверки возвращать для показа
+const RECOVERY_RESULT_LIMIT = 10;
+
+const RECOVERY_DIGITS = '0123456789';
+
+// Символы ссылки: печатные ASCII без пробела
+const RECOVERY_LINK_CHARS = Array.from({ length: 0x7e - 0x20 }, (_, i) => String.fromCharCode(0x21 + i)).join('');
+
+// Ожидаемые символы даты "YYYYMMDD_HHMMSS|" по позициям (годы 1970–2099, см. FILENAME_YEAR_RANGE)
+const RECOVERY_DATE_LAYOUT = [
+    '12', '09', RECOVERY_DIGITS, RECOVERY_DIGITS,
+    '01', RECOVERY_DIGITS, '0123', RECOVERY_DIGITS,
+    '_',
+    '012', RECOVERY_DIGITS, '012345', RECOVERY_DIGITS, '012345', RECOVERY_DIGITS,
+    '|'
+];
+
+// Начало ссылки после «|»: "https://" или "http://"; имя без ссылки заканчивается на "null"
+const RECOVERY_LINK_LAYOUT = ['h', 't', 't', 'p', 's:', ':/', '/', RECOVERY_LINK_CHARS];
+const RECOVERY_NO_LINK = 'null';
+
+/**
+ * Возвращает ожидаемые байты открытого текста на позиции и вес совпадения
+ * Чем уже набор, тем больше вес: «|» на месте говорит о пароле больше, чем любой символ ссылки
+ * @param {number} position - позиция в строке "дата|ссылка"
+ * @param {number} length - длина строки (равна длине байтов имени)
+ * @returns {Object} - { allowed: string, weight }
+ */
+function getExpectedPlaintext(position, length) {
+    const dateLength = RECOVERY_DATE_LAYOUT.length;
+    let allowed;
+    if (position < dateLength) {
+        allowed = RECOVERY_DATE_LAYOUT[position];
+    } else if (length === dateLength + RECOVERY_NO_LINK.length) {
+        allowed = RECOVERY_NO_LINK[position - dateLength];
+    } else {
+        allowed = RECOVERY_LINK_LAYOUT[position - dateLength] || RECOVERY_LINK_CHARS;
+    }
+    const weight = allowed.length === 1 ? 4 : allowed.length <= 6 ? 3 : allowed.length <= 10 ? 2 : 1;
+    return { allowed, weight };
+}
+
+/**
+ * Оценивает, насколько байт похож на байт пароля, набранного на клавиатуре
+ * Нужна только при равных очках: буквы и цифры вероятнее знаков, знаки — управляющих байтов;
+ * байты от 0x80 — UTF-8 паролей на других алфавитах
+ * @param {number} byte - байт пароля
+ * @returns {number} - 0–3, больше — вероятнее
+ */
+function getKeyBytePrior(byte) {
+    if (/[A-Za-z0-9]/.test(String.fromCharCode(byte))) return 3;
+    if (byte >= 0x20 && byte <= 0x7e) return 2;
+    return byte >= 0x80 ? 1 : 0;
+}
+
+/**
+ * Извлекает из имен файлов байты после base64, к которым применен XOR с паролем
+ * Подходят имена, которые декодер с паролем (base64, base64url) распознает уверенно;
+ * одинаковые имена учитываются один раз
+ * @param {string[]} filenames - имена файлов
+ * @returns {Uint8Array[]} - байты имен
+ */
+function collectRecoverySamples(filenames) {
+    const samples = new Map();
+    for (const filename of filenames) {
+        const baseName = filename.replace(/\.[^/.]+$/, "");
+        const decoder = FILENAME_DECODERS.find(entry =>
+            entry.usesPassword && entry.unwrap && entry.detect(baseName) === 'high' && entry.unwrap(baseName));
+        if (!decoder || samples.has(baseName)) continue;
+        const data = decoder.unwrap(baseName);
+        samples.set(baseName, Uint8Array.from(data, char => char.charCodeAt(0)));
+    }
+    return [...samples.values()];
+}
+
+/**
+ * Оценивает байты пароля одной длины
+ * Для каждой позиции пароля каждый из 256 байтов получает очки за каждое имя:
+ * +вес, если XOR дает ожидаемый символ, и −вес, если нет. Учитываются не больше
+ * RECOVERY_MAX_SAMPLES имен: больше имен точности не добавляют
+ * @param {Uint8Array[]} samples - байты имен (collectRecoverySamples)
+ * @param {number} period - длина пароля в байтах
+ * @returns {Object|null} - { period, positions: [{ byte, score }][], maxScores, score }; score — доля
+ *     от наибольших возможных очков (1 — все имена дают ожидаемый текст); null, если у какой-то
+ *     позиции пароля нет ни одного имени
+ */
+function analyzeKeyPeriod(samples, period) {
+    const positions = [];
+    const maxScores = [];
+    let totalScore = 0;
+    let totalMax = 0;
+    const used = samples.slice(0, RECOVERY_MAX_SAMPLES);
+
+    for (let index = 0; index < period; index++) {
+        // Имена сводятся в гистограммы байтов по набору ожидаемых символов: очки байта пароля
+        // зависят только от того, сколько раз каждый байт имени встретился с каждым набором
+        const histograms = new Map();
+        let maxScore = 0;
+        for (const sample of used) {
+            for (let position = index; position < sample.length; position += period) {
+                const { allowed, weight } = getExpectedPlaintext(position, sample.length);
+                if (!histograms.has(allowed)) {
+                    histograms.set(allowed, { weight, counts: new Uint32Array(256) });
+                }
+                histograms.get(allowed).counts[sample[position]]++;
+                maxScore += weight;
+            }
+        }
+        if (maxScore === 0) {
+            return null;
+        }
+        // matched[k] — вес имен, у которых байт пароля k дает ожидаемый символ
+        const matched = new Float64Array(256);
+        histograms.forEach(({ weight, counts }, allowed) => {
+            counts.forEach((count, byte) => {
+                if (count === 0) return;
+                for (let i = 0; i < allowed.length; i++) {
+                    matched[byte ^ allowed.charCodeAt(i)] += count * weight;
+                }
+            });
+        });
+        const scores = matched.map(value => 2 * value - maxScore);
+
+        const ranked = Array.from(scores, (score, byte) => ({ byte, score }))
+            .sort((a, b) => b.score - a.score || getKeyBytePrior(b.byte) - getKeyBytePrior(a.byte) || a.byte - b.byte)
+            .slice(0, RECOVERY_BYTE_ALTERNATIVES);
+        positions.push(ranked);
+        maxScores.push(maxScore);
+        totalScore += ranked[0].score;
+        totalMax += maxScore;
+    }
+
+    return { period, positions, maxScores, score: Math.max(0, totalScore) / totalMax };
+}
+
+/**
+ * Собирает пароли из оценок байтов одной длины: лучший и варианты с другими байтами
+ * на неоднозначных позициях, не больше RECOVERY_PERIOD_VARIANTS. При равных очках первыми идут
+ * варианты с меньшим числом отступлений от лучшего байта, поэтому неоднозначные позиции
+ * перебираются равномерно по всему паролю.
+ * Байты пароля должны быть корректным UTF-8: так пароль записывает TextEncoder
+ * @param {Object} analysis - результат analyzeKeyPeriod
+ * @returns {Object[]} - { password, period, score } по убыванию score
+ */
+function buildKeyCandidates(analysis) {
+    const totalMax = analysis.maxScores.reduce((sum, value) => sum + value, 0);
+    // Вариант хранит последний байт и ссылку на вариант без него, чтобы не копировать байты
+    let variants = [{ previous: null, byte: null, score: 0, deviations: 0 }];
+
+    analysis.positions.forEach((ranked, index) => {
+        // Вариант байта рассматривается, только если он почти так же хорош, как лучший
+        const threshold = ranked[0].score - analysis.maxScores[index] * 0.1;
+        const options = ranked.filter(option => option.score >= threshold);
+        variants = variants
+            .flatMap(variant => options.map((option, rank) => ({
+                previous: variant,
+                byte: option.byte,
+                score: variant.score + option.score,
+                deviations: variant.deviations + (rank > 0 ? 1 : 0)
+            })))
+            .sort((a, b) => b.score - a.score || a.deviations - b.deviations)
+            .slice(0, RECOVERY_PERIOD_VARIANTS);
+    });
+
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+    return variants.flatMap(variant => {
+        const bytes = new Uint8Array(analysis.period);
+        for (let node = variant, index = analysis.period - 1; node.previous; node = node.previous, index--) {
+            bytes[index] = node.byte;
+        }
+        try {
+            const password = decoder.decode(bytes);
+            return [{ password, period: analysis.period, score: Math.max(0, variant.score) / totalMax }];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+/**
+ * Проверяет, не повторяет ли пароль более короткий: такой пароль дает те же имена
+ * @param {string} password - пароль
+ * @returns {boolean}
+ */
+function isRepeatedPassword(password) {
+    return (password + password).indexOf(password, 1) < password.length;
+}
+
+/**
+ * Упорядочивает кандидатов: по доле совпадения, при почти равной — более короткие
+ * Пароли, повторяющие более короткий, и одинаковые пароли отбрасываются
+ * @param {Object[]} candidates - кандидаты { password, period, score }
+ * @param {number} [limit=RECOVERY_CONFIRM_LIMIT] - сколько кандидатов оставить
+ * @returns {Object[]}
+ */
+function rankKeyCandidates(candidates, limit = RECOVERY_CONFIRM_LIMIT) {
+    const seen = new Set();
+    return candidates
+        .filter(candidate => !isRepeatedPassword(candidate.password))
+        .sort((a, b) => (Math.abs(b.score - a.score) > 0.02 ? b.score - a.score : 0) || a.period - b.period || b.score - a.score)
+        .filter(candidate => !seen.has(candidate.password) && seen.add(candidate.password))
+        .slice(0, limit);
+}
+
+/**
+ * Считает имена, которые пароль расшифровывает с уверенностью 'high' и существующей датой
+ * @param {string[]} filenames - имена файлов
+ * @param {string} password - пароль
+ * @returns {number}
+ */
+function countDecodedFilenames(filenames, password) {
+    return filenames.filter(filename => {
+        const result = decryptFilename(filename, password);
+        return result.success && result.usedPassword && result.confidence === 'high';
+    }).length;
+}
+
+/**
+ * Проверяет пароль расшифровкой начала файла ENC_
+ * @param {Blob} file - зашифрованный файл
+ * @param {string} password - пароль
+ * @returns {Promise<Object|null>} - тип файла detectFileType или null, если тип не распознан
+ */
+async function confirmKeyCandidate(file, password) {
+    const key = await generateKey(password);
+    let head = null;
+    await decryptFileData(file.slice(0, 20 + FILE_TYPE_SCAN_SIZE), key, {
+        onChunk: async chunk => {
+            head = chunk;
+        }
+    });
+    const fileType = detectFileType(head);
+    return fileType.isValid ? fileType : null;
+}
+
+/**
+ * Выполняет задание подбора пароля
+ * Этап 'analyze' оценивает длины пароля job.periods и возвращает { candidates };
+ * этап 'confirm' проверяет job.candidates по порядку расшифровкой файла job.file (если есть)
+ * и останавливается на первом подтвержденном. Возвращает { results }: подтвержденный кандидат
+ * и первые RECOVERY_RESULT_LIMIT кандидатов с числом расшифрованных имен decodedNames
+ * и типом файла fileType (null, если файл не подтвердил пароль)
+ * @param {Object} job - задание { kind: 'recovery', stage, filenames, periods, candidates, file }
+ * @param {function(Object): void} post - отправляет сообщение о ходе работы
+ * @returns {Promise<Object>}
+ */
+async function runRecoveryJob(job, post) {
+    if (job.stage === 'analyze') {
+        const samples = collectRecoverySamples(job.filenames);
+        const candidates = [];
+        job.periods.forEach((period, index) => {
+            const analysis = analyzeKeyPeriod(samples, period);
+            if (analysis) {
+                candidates.push(...buildKeyCandidates(analysis));
+            }
+            post({ type: 'progress', fraction: (index + 1) / job.periods.length });
+        });
+        return { candidates: rankKeyCandidates(candidates) };
+    }
+
+    const results = [];
+    for (const [index, candidate] of job.candidates.entries()) {
+        let fileType = null;
+        if (job.file) {
+            try {
+                fileType = await confirmKeyCandidate(job.file, candidate.password);
+            } catch (error) {
+                console.log('Кандидат не проверен расшифровкой:', error.message);
+            }
+        }
+        if (fileType || index < RECOVERY_RESULT_LIMIT) {
+            results.push({
+                ...candidate,
+                decodedNames: countDecodedFilenames(job.filenames, candidate.password),
+                fileType: fileType && fileType.type
+            });
+        }
+        post({ type: 'progress', fraction: (index + 1) / job.candidates.length });
+        if (fileType) break;
+    }
+    return { results };
+}
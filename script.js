@@ -3,6 +3,30 @@ let selectedFiles = [];
 let decryptedFiles = [];
 let extractedLinks = [];
 
+// Сведения о каждом обработанном файле (включая ошибки) для экспорта
+let processedRecords = [];
+
+// Относительные пути файлов из перетащенных папок (у File из записи папки путь не заполнен)
+const fileRelativePaths = new WeakMap();
+
+// Дескрипторы File System Access API, по которым файл можно открыть снова после перезагрузки
+const fileHandles = new WeakMap();
+
+// Файлы крупнее этого размера предлагается записывать прямо в папку на диске
+const LARGE_FILE_THRESHOLD = 256 * 1024 * 1024;
+
+// Текущий режим работы: 'decrypt' или 'encrypt'
+let currentMode = 'decrypt';
+
+// Пул воркеров текущей расшифровки (null, если обработка не идет)
+let activePool = null;
+
+// Статусы карточек по ID файла: { status, message }; сохраняются при перерисовке карточек
+let fileStatuses = new Map();
+
+// Общее сообщение о результате: { type, messages } или null; перерисовывается при смене языка
+let currentStatus = null;
+
 /**
  * Форматирует размер файла в читаемый вид
  * @param {number} bytes - размер файла в байтах
@@ -25,218 +49,118 @@ function getFileIcon(fileName) {
     const extension = fileName.split('.').pop()?.toLowerCase();
     const iconMap = {
         'jpg': '🖼️', 'jpeg': '🖼️', 'png': '🖼️', 'gif': '🖼️', 'bmp': '🖼️', 'webp': '🖼️',
-        'pdf': '📄', 'doc': '📄', 'docx': '📄', 'txt': '📄',
-        'zip': '📦', 'rar': '📦', '7z': '📦',
-        'mp4': '🎥', 'avi': '🎥', 'mov': '🎥',
-        'mp3': '🎵', 'wav': '🎵', 'flac': '🎵'
+        'heic': '🖼️', 'avif': '🖼️',
+        'pdf': '📄', 'doc': '📄', 'docx': '📄', 'txt': '📄', 'json': '📄',
+        'zip': '📦', 'rar': '📦', '7z': '📦', 'gz': '📦',
+        'mp4': '🎥', 'avi': '🎥', 'mov': '🎥', '3gp': '🎥',
+        'mp3': '🎵', 'wav': '🎵', 'flac': '🎵', 'ogg': '🎵', 'm4a': '🎵'
     };
     return iconMap[extension] || '📁';
 }
 
 /**
- * Создает уникальный ID для файла
+ * Возвращает путь файла относительно выбранной папки
+ * Для отдельных файлов путь совпадает с именем
  * @param {File} file - файл
- * @returns {string} - уникальный ID
+ * @returns {string} - путь через «/», например "export/2024/photo.jpg"
  */
-function generateFileId(file) {
-    return `${file.name}_${file.size}_${file.lastModified}`;
+function getRelativePath(file) {
+    return fileRelativePaths.get(file) || file.webkitRelativePath || file.name;
 }
 
 /**
- * Расшифровывает имя файла для извлечения даты и ссылки
- * @param {string} filename - имя файла
- * @param {string} password - пароль для расшифровки
- * @returns {Object} - объект с датой и ссылкой
+ * Возвращает папку файла относительно выбранной папки
+ * @param {File} file - файл
+ * @returns {string} - путь папки или пустая строка
  */
-function decryptFilename(filename, password) {
-    try {
-        // Убираем расширение
-        const baseName = filename.replace(/\.[^/.]+$/, "");
-        
-        try {
-            // Декодируем из base64
-            const encryptedData = atob(baseName);
-            
-            // XOR расшифровка
-            const passwordBytes = new TextEncoder().encode(password || 'default_password');
-            const decryptedBytes = new Uint8Array(encryptedData.length);
-            
-            for (let i = 0; i < encryptedData.length; i++) {
-                decryptedBytes[i] = encryptedData.charCodeAt(i) ^ passwordBytes[i % passwordBytes.length];
-            }
-            
-            const decryptedString = new TextDecoder().decode(decryptedBytes);
-            
-            // Разделяем по разделителю |
-            if (decryptedString.includes('|')) {
-                const [dateTime, link] = decryptedString.split('|', 2);
-                return {
-                    dateTime: dateTime,
-                    link: link !== 'null' ? link : null,
-                    success: true
-                };
-            }
-        } catch (decryptError) {
-            console.log('Ошибка расшифровки base64, проверяем формат с датой:', decryptError.message);
-        }
-
-        // Если расшифровка не удалась, проверяем формат YYYYMMDD_HHMMSS_link
-        if (baseName.length >= 15 && baseName[8] === '_' && baseName[15] === '_') {
-            const datePart = baseName.substring(0, 8);
-            const timePart = baseName.substring(9, 15);
-            
-            if (/^\d{8}$/.test(datePart) && /^\d{6}$/.test(timePart)) {
-                const linkPart = baseName.substring(16);
-                
-                if (linkPart) {
-                    // Восстанавливаем ссылку
-                    let restoredLink = linkPart.replace(/_/g, '/');
-                    
-                    if (!restoredLink.startsWith('http://') && !restoredLink.startsWith('https://')) {
-                        restoredLink = 'https://' + restoredLink;
-                    }
-                    
-                    return {
-                        dateTime: `${datePart}_${timePart}`,
-                        link: restoredLink,
-                        success: true
-                    };
-                } else {
-                    return {
-                        dateTime: `${datePart}_${timePart}`,
-                        link: null,
-                        success: true
-                    };
-                }
-            }
-        }
-        
-        return { dateTime: null, link: null, success: false };
-        
-    } catch (error) {
-        console.log('Общая ошибка расшифровки имени файла:', error);
-        return { dateTime: null, link: null, success: false };
-    }
+function getRelativeDirectory(file) {
+    const path = getRelativePath(file);
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
 }
 
 /**
- * Проверяет наличие маркера шифрования ENC_ в файле
- * @param {ArrayBuffer} fileData - данные файла
- * @returns {boolean} - true если файл зашифрован
+ * Добавляет к имени выходного файла папку исходного, чтобы повторить структуру папок
+ * @param {File} file - исходный файл
+ * @param {string} outputFileName - имя выходного файла
+ * @returns {string} - путь выходного файла
  */
-function checkEncryptionMarker(fileData) {
-    const header = new Uint8Array(fileData.slice(0, 4));
-    const marker = [0x45, 0x4E, 0x43, 0x5F]; // "ENC_"
-    return header.every((byte, index) => byte === marker[index]);
+function buildOutputPath(file, outputFileName) {
+    const directory = getRelativeDirectory(file);
+    return directory ? `${directory}/${outputFileName}` : outputFileName;
 }
 
 /**
- * Создает ключ шифрования из пароля
- * @param {string} password - пароль
- * @returns {Promise<ArrayBuffer>} - ключ SHA-256
+ * Создает уникальный ID для файла
+ * Путь входит в ID, чтобы одинаковые файлы из разных папок не склеивались
+ * @param {File} file - файл
+ * @returns {string} - уникальный ID
  */
-async function generateKey(password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password);
-    return await crypto.subtle.digest('SHA-256', data);
+function generateFileId(file) {
+    return `${getRelativePath(file)}_${file.size}_${file.lastModified}`;
 }
 
 /**
- * Расшифровывает файл используя AES-CTR
- * @param {ArrayBuffer} encryptedData - зашифрованные данные
- * @param {ArrayBuffer} key - ключ шифрования
- * @returns {Promise<ArrayBuffer>} - расшифрованные данные
+ * Создает элемент с классом и текстом
+ * Текст задается через textContent и никогда не разбирается как разметка
+ * @param {string} tagName - имя тега
+ * @param {string} [className] - классы элемента
+ * @param {string} [text] - текст элемента
+ * @returns {HTMLElement}
  */
-async function decryptFileData(encryptedData, key) {
-    if (encryptedData.byteLength < 20) {
-        throw new Error('Файл слишком мал');
-    }
-
-    // Проверяем маркер ENC_
-    if (!checkEncryptionMarker(encryptedData)) {
-        throw new Error('Неверный маркер шифрования');
-    }
-
-    // Извлекаем IV (16 байт после маркера)
-    const iv = encryptedData.slice(4, 20);
-    const encryptedContent = encryptedData.slice(20);
-
-    if (encryptedContent.byteLength === 0) {
-        throw new Error('Нет зашифрованного содержимого');
-    }
-
-    // Импортируем ключ
-    const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        key,
-        { name: 'AES-CTR' },
-        false,
-        ['decrypt']
-    );
+function createElement(tagName, className = '', text = '') {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
 
-    // Создаем IV для AES-CTR
-    const ivArray = new Uint8Array(iv);
-    const ivPrefix = ivArray.slice(0, 8);
-    const ivCounterBytes = ivArray.slice(8, 16);
-    
-    // Читаем counter как big-endian 64-bit число
-    let counterValue = 0;
-    for (let i = 0; i < 8; i++) {
-        counterValue = (counterValue * 256) + ivCounterBytes[i];
-    }
+/**
+ * Создает строку сведений карточки: подпись и значение
+ * @param {string} label - подпись
+ * @param {HTMLElement} value - элемент значения
+ * @returns {HTMLElement}
+ */
+function createFileDetailItem(label, value) {
+    const item = createElement('div', 'file-detail-item');
+    item.appendChild(createElement('span', 'file-detail-label', label));
+    item.appendChild(value);
+    return item;
+}
 
-    // Создаем 128-битный IV для AES-CTR
-    const fullIV = new Uint8Array(16);
-    fullIV.set(ivPrefix, 0);
-    
-    // Записываем counter как big-endian 64-bit число в младшие 8 байт
-    for (let i = 7; i >= 0; i--) {
-        fullIV[8 + i] = counterValue & 0xFF;
-        counterValue = Math.floor(counterValue / 256);
+/**
+ * Проверяет, что ссылку можно открыть: разрешены только http и https
+ * Ссылка расшифровывается из имени файла, и javascript:, data: и прочие схемы
+ * в ней означают подделанное имя, а не ссылку на карту
+ * @param {string} link - ссылка
+ * @returns {boolean}
+ */
+function isSafeLink(link) {
+    try {
+        const url = new URL(link);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
     }
-
-    // Расшифровываем
-    const decrypted = await crypto.subtle.decrypt(
-        {
-            name: 'AES-CTR',
-            counter: fullIV,
-            length: 128
-        },
-        cryptoKey,
-        encryptedContent
-    );
-
-    return decrypted;
 }
 
 /**
- * Определяет тип файла по заголовку
- * @param {ArrayBuffer} data - данные файла
- * @returns {Object} - информация о типе файла
+ * Создает элемент ссылки: открываемой, если схема разрешена, иначе просто текста
+ * @param {string} link - ссылка
+ * @param {string} className - классы элемента
+ * @returns {HTMLElement}
  */
-function detectFileType(data) {
-    const header = new Uint8Array(data.slice(0, 16));
-    
-    const fileTypes = [
-        { signature: [0xFF, 0xD8], ext: 'jpg', mime: 'image/jpeg', type: 'JPEG' },
-        { signature: [0x89, 0x50, 0x4E, 0x47], ext: 'png', mime: 'image/png', type: 'PNG' },
-        { signature: [0x42, 0x4D], ext: 'bmp', mime: 'image/bmp', type: 'BMP' },
-        { signature: [0x52, 0x49, 0x46, 0x46], ext: 'webp', mime: 'image/webp', type: 'WEBP' },
-        { signature: [0x47, 0x49, 0x46, 0x38], ext: 'gif', mime: 'image/gif', type: 'GIF' }
-    ];
-
-    for (const fileType of fileTypes) {
-        if (header.slice(0, fileType.signature.length).every((byte, i) => byte === fileType.signature[i])) {
-            return {
-                ext: fileType.ext,
-                mime: fileType.mime,
-                type: fileType.type,
-                isValid: true
-            };
-        }
+function createLinkElement(link, className) {
+    if (!isSafeLink(link)) {
+        const text = createElement('span', `${className} unsafe`, link);
+        text.title = t('links.unsafe');
+        return text;
     }
-
-    return { ext: 'bin', mime: 'application/octet-stream', type: 'Unknown', isValid: false };
+    const anchor = createElement('a', className, link);
+    anchor.href = link;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener noreferrer';
+    anchor.title = t('card.openLink');
+    return anchor;
 }
 
 /**
@@ -246,59 +170,102 @@ function detectFileType(data) {
  */
 function createFileCard(file) {
     const fileId = generateFileId(file);
+    const directory = getRelativeDirectory(file);
     const fileCard = document.createElement('div');
     fileCard.className = 'file-card';
     fileCard.dataset.fileId = fileId;
     
-    // Анализируем имя файла
-    const password = document.getElementById('password').value || 'default_password';
-    const filenameInfo = decryptFilename(file.name, password);
+    // Анализируем имя файла, перебирая пароли связки
+    const filenameInfo = decryptFilenameWithKeys(file.name, getPasswordCandidates());
     
-    // Проверяем на маркер шифрования (читаем первые 4 байта)
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        const isEncrypted = checkEncryptionMarker(e.target.result);
+    // Проверяем на маркер шифрования (читаем первые 4 байта); результат запоминается для отбора
+    const showEncryption = isEncrypted => {
         const encryptedIndicator = fileCard.querySelector('.encrypted-indicator');
         if (encryptedIndicator) {
-            encryptedIndicator.textContent = isEncrypted ? '🔒 Зашифрован' : '📂 Не зашифрован';
+            encryptedIndicator.textContent = t(isEncrypted ? 'card.encrypted' : 'card.notEncrypted');
             encryptedIndicator.className = `encrypted-indicator ${isEncrypted ? 'yes' : 'no'}`;
         }
     };
-    reader.readAsArrayBuffer(file.slice(0, 4));
-    
-    fileCard.innerHTML = `
-        <div class="file-card-header">
-            <div style="display: flex; align-items: flex-start;">
-                <div class="file-icon">${getFileIcon(file.name)}</div>
-                <div class="file-info">
-                    <div class="file-name" title="${file.name}">${file.name}</div>
-                    <div class="file-size">${formatFileSize(file.size)}</div>
-                </div>
-            </div>
-            <button class="file-remove" onclick="removeFile('${fileId}')" title="Удалить файл">×</button>
-        </div>
-        
-        <div class="file-details">
-            ${filenameInfo.dateTime ? `
-                <div class="file-detail-item">
-                    <span class="file-detail-label">Дата:</span>
-                    <span class="file-detail-value">${filenameInfo.dateTime}</span>
-                </div>
-            ` : ''}
-            ${filenameInfo.link ? `
-                <div class="file-detail-item">
-                    <span class="file-detail-label">Ссылка:</span>
-                    <span class="file-detail-value link" onclick="window.open('${filenameInfo.link}', '_blank')" title="Открыть ссылку">${filenameInfo.link}</span>
-                </div>
-            ` : ''}
-            <div class="encrypted-indicator">Проверка...</div>
-        </div>
-        
-        <div class="file-status ready">Готов к обработке</div>
-        <div class="file-progress" id="progress_${fileId}">
-            <div class="file-progress-bar"></div>
-        </div>
-    `;
+    if (encryptionMarkers.has(fileId)) {
+        // Индикатор создается ниже, поэтому показывается после сборки карточки
+        queueMicrotask(() => showEncryption(encryptionMarkers.get(fileId)));
+    } else {
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            const isEncrypted = checkEncryptionMarker(e.target.result);
+            rememberEncryptionMarker(fileId, isEncrypted);
+            showEncryption(isEncrypted);
+        };
+        reader.readAsArrayBuffer(file.slice(0, 4));
+    }
+    
+    // Имя файла и расшифрованные из него дата и ссылка приходят извне,
+    // поэтому попадают в карточку только как текст, а не как разметка
+    const header = createElement('div', 'file-card-header');
+    const title = createElement('div', 'file-card-title');
+    title.appendChild(createElement('div', 'file-icon', getFileIcon(file.name)));
+    const info = createElement('div', 'file-info');
+    const name = createElement('div', 'file-name', file.name);
+    name.title = getRelativePath(file);
+    info.appendChild(name);
+    if (directory) {
+        const path = createElement('div', 'file-path', `📂 ${directory}`);
+        path.title = directory;
+        info.appendChild(path);
+    }
+    info.appendChild(createElement('div', 'file-size', formatFileSize(file.size)));
+    title.appendChild(info);
+    header.appendChild(title);
+    
+    const inspectButton = createElement('button', 'file-inspect', '🔬');
+    inspectButton.title = t('card.inspect');
+    inspectButton.addEventListener('click', () => openInspector(fileId));
+    header.appendChild(inspectButton);
+    
+    const removeButton = createElement('button', 'file-remove', '×');
+    removeButton.title = t('card.remove');
+    removeButton.addEventListener('click', () => removeFile(fileId));
+    header.appendChild(removeButton);
+    fileCard.appendChild(header);
+    
+    const details = createElement('div', 'file-details');
+    if (filenameInfo.dateTime) {
+        const date = createElement('span', 'file-detail-value', formatFileDateLabel(filenameInfo.dateTime));
+        date.title = formatFileDateTitle(filenameInfo.dateTime);
+        details.appendChild(createFileDetailItem(t('card.date'), date));
+    }
+    if (filenameInfo.link) {
+        details.appendChild(createFileDetailItem(t('card.link'), createLinkElement(filenameInfo.link, 'file-detail-value link')));
+    }
+    if (filenameInfo.decoder) {
+        const decoder = createElement('span', 'file-detail-value file-decoder', t(`filenameDecoder.${filenameInfo.decoder}`));
+        decoder.title = t('card.filenameConfidence', { confidence: t(`confidence.${filenameInfo.confidence}`) });
+        details.appendChild(createFileDetailItem(t('card.filenameFormat'), decoder));
+    }
+    details.appendChild(createElement('div', 'encrypted-indicator', t('card.checking')));
+    fileCard.appendChild(details);
+    
+    fileCard.appendChild(createElement('div', 'file-status ready', t('status.ready')));
+    const progress = createElement('div', 'file-progress');
+    progress.id = `progress_${fileId}`;
+    progress.appendChild(createElement('div', 'file-progress-bar'));
+    fileCard.appendChild(progress);
+    
+    const fileStatus = fileStatuses.get(fileId);
+    if (fileStatus && fileStatus.status !== 'processing') {
+        renderFileStatus(fileCard, fileStatus.status, fileStatus.message);
+    }
+    
+    // Подошедший ключ, сведения EXIF и миниатюра сохраняются при перерисовке карточек
+    const record = processedRecords.find(item => item.fileId === fileId);
+    if (record) {
+        renderFileKeyName(fileCard, record);
+        renderFileExif(fileCard, record);
+    }
+    const decrypted = decryptedFiles.find(item => item.fileId === fileId);
+    if (decrypted) {
+        renderFileThumbnail(fileCard, decrypted);
+    }
     
     return fileCard;
 }
@@ -311,18 +278,24 @@ function updateFilesDisplay() {
     const filesCounter = document.querySelector('.files-counter');
     
     // Очищаем сетку файлов
-    filesGrid.innerHTML = '';
+    filesGrid.replaceChildren();
     
     if (selectedFiles.length === 0) {
         filesCounter?.classList.remove('show');
+        renderFileFilters();
         return;
     }
     
-    // Создаем карточки для каждого файла
-    selectedFiles.forEach(file => {
+    // Создаем карточки для отобранных файлов в выбранном порядке
+    const visibleFiles = getVisibleFiles();
+    visibleFiles.forEach(file => {
         const fileCard = createFileCard(file);
         filesGrid.appendChild(fileCard);
     });
+    if (visibleFiles.length === 0) {
+        filesGrid.appendChild(createElement('p', 'files-empty', t('filters.nothing')));
+    }
+    renderFileFilters();
     
     // Показываем счетчик файлов
     if (!filesCounter) {
@@ -340,10 +313,10 @@ function createFilesCounter() {
     const filesGrid = document.getElementById('files-grid');
     const counter = document.createElement('div');
     counter.className = 'files-counter show';
-    counter.innerHTML = `
-        <span class="files-counter-text">Выбрано файлов: ${selectedFiles.length}</span>
-        <button class="clear-all-btn" onclick="clearAllFiles()">Очистить все</button>
-    `;
+    counter.appendChild(createElement('span', 'files-counter-text', t('files.selected', { count: selectedFiles.length })));
+    const clearButton = createElement('button', 'clear-all-btn', t('files.clearAll'));
+    clearButton.addEventListener('click', clearAllFiles);
+    counter.appendChild(clearButton);
     filesGrid.parentNode.insertBefore(counter, filesGrid);
 }
 
@@ -353,7 +326,11 @@ function createFilesCounter() {
 function updateFilesCounter() {
     const counterText = document.querySelector('.files-counter-text');
     if (counterText) {
-        counterText.textContent = `Выбрано файлов: ${selectedFiles.length}`;
+        counterText.textContent = t('files.selected', { count: selectedFiles.length });
+    }
+    const clearButton = document.querySelector('.clear-all-btn');
+    if (clearButton) {
+        clearButton.textContent = t('files.clearAll');
     }
 }
 
@@ -362,37 +339,86 @@ function updateFilesCounter() {
  * @param {string} fileId - ID файла для удаления
  */
 function removeFile(fileId) {
-    const fileCard = document.querySelector(`[data-file-id="${fileId}"]`);
+    const fileCard = document.querySelector(`[data-file-id="${CSS.escape(fileId)}"]`);
     if (fileCard) {
         fileCard.classList.add('removing');
-        setTimeout(() => {
-            // Удаляем файл из массива
-            selectedFiles = selectedFiles.filter(file => generateFileId(file) !== fileId);
-            // Обновляем отображение
-            updateFilesDisplay();
-        }, 300);
+        setTimeout(() => discardFiles(new Set([fileId])), 300);
     }
 }
 
+/**
+ * Убирает файлы из списка вместе с их статусами и результатами
+ * @param {Set<string>} fileIds - ID файлов
+ */
+function discardFiles(fileIds) {
+    selectedFiles = selectedFiles.filter(file => !fileIds.has(generateFileId(file)));
+    fileIds.forEach(fileId => {
+        fileStatuses.delete(fileId);
+        deleteSessionFile(fileId);
+    });
+    forgetInspectedFile(fileIds);
+    resetResults(fileIds);
+    updateGalleryButton();
+    // Обновляем отображение
+    updateFilesDisplay();
+    updateLinksPanel();
+    updateMapPanel();
+}
+
+/**
+ * Освобождает результаты файлов и убирает их ссылки скачивания, ссылки из имен и сведения
+ * @param {Set<string>} fileIds - ID файлов
+ */
+function resetResults(fileIds) {
+    const isReset = item => fileIds.has(item.fileId);
+    document.querySelectorAll('#download-links [data-file-id]').forEach(link => {
+        if (fileIds.has(link.dataset.fileId)) {
+            link.remove();
+        }
+    });
+    revokeDecryptedFiles(decryptedFiles.filter(isReset));
+    decryptedFiles = decryptedFiles.filter(item => !isReset(item));
+    forgetThumbnails(fileIds);
+    extractedLinks = extractedLinks.filter(item => !isReset(item));
+    processedRecords = processedRecords.filter(item => !isReset(item));
+    updateExportActions();
+}
+
+/**
+ * Освобождает Blob результатов: ссылка blob: удерживает данные в памяти до отзыва
+ * @param {Object[]} files - записи decryptedFiles
+ */
+function revokeDecryptedFiles(files) {
+    files.forEach(file => URL.revokeObjectURL(file.url));
+}
+
 /**
  * Очищает все выбранные файлы
  */
 function clearAllFiles() {
+    // Сохраненная сессия остается в истории, пока ее не очистят
+    detachSession();
     selectedFiles = [];
+    fileStatuses = new Map();
+    revokeDecryptedFiles(decryptedFiles);
     decryptedFiles = [];
+    clearThumbnails();
     extractedLinks = [];
+    processedRecords = [];
+    closeInspector();
     updateFilesDisplay();
     updateLinksPanel();
+    updateMapPanel();
     
-    // Очищаем поле ввода файлов
+    // Очищаем поля ввода файлов и папок
     document.getElementById('file-upload').value = '';
+    document.getElementById('folder-upload').value = '';
     
     // Скрываем результаты
-    const statusDiv = document.getElementById('status');
-    const downloadSection = document.getElementById('download-section');
-    statusDiv.style.display = 'none';
+    hideStatus();
     document.getElementById('downloadAll').style.display = 'none';
-    document.getElementById('download-links').innerHTML = '';
+    document.getElementById('download-links').replaceChildren();
+    updateExportActions();
 }
 
 /**
@@ -401,6 +427,7 @@ function clearAllFiles() {
  */
 function addFiles(files) {
     const newFiles = Array.from(files);
+    const addedFiles = [];
     
     newFiles.forEach(newFile => {
         const newFileId = generateFileId(newFile);
@@ -411,12 +438,130 @@ function addFiles(files) {
         
         if (!exists) {
             selectedFiles.push(newFile);
+            addedFiles.push(newFile);
         }
     });
     
+    saveSessionFiles(addedFiles);
     updateFilesDisplay();
 }
 
+/**
+ * Проверяет, нужно ли пропустить файл или папку при обходе
+ * Скрытые служебные файлы (.DS_Store, .git и т.п.) не добавляются
+ * @param {string} name - имя файла или папки
+ * @returns {boolean}
+ */
+function isHiddenEntryName(name) {
+    return name.startsWith('.');
+}
+
+/**
+ * Читает очередную порцию содержимого папки
+ * @param {FileSystemDirectoryReader} reader - читатель папки
+ * @returns {Promise<FileSystemEntry[]>} - порция записей; пустая, когда записи закончились
+ */
+function readEntriesBatch(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+/**
+ * Собирает файлы перетащенной записи, рекурсивно обходя папки
+ * @param {FileSystemEntry} entry - файл или папка из webkitGetAsEntry
+ * @returns {Promise<File[]>} - файлы с сохраненными относительными путями
+ */
+async function readEntryFiles(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        // fullPath начинается с «/» и включает имя перетащенной папки
+        fileRelativePaths.set(file, entry.fullPath.replace(/^\/+/, ''));
+        return [file];
+    }
+    
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries отдает содержимое частями (в Chrome — по 100 записей)
+    for (let batch = await readEntriesBatch(reader); batch.length > 0; batch = await readEntriesBatch(reader)) {
+        children.push(...batch.filter(child => !isHiddenEntryName(child.name)));
+    }
+    
+    const files = [];
+    for (const child of children) {
+        files.push(...await readEntryFiles(child));
+    }
+    return files;
+}
+
+/**
+ * Собирает файлы папки, выбранной через File System Access API
+ * @param {FileSystemDirectoryHandle} directory - папка
+ * @param {string} [parentPath] - путь папки относительно выбранной
+ * @returns {Promise<File[]>} - файлы с сохраненными относительными путями
+ */
+async function readDirectoryHandleFiles(directory, parentPath = directory.name) {
+    const files = [];
+    for await (const handle of directory.values()) {
+        if (isHiddenEntryName(handle.name)) continue;
+        
+        const path = `${parentPath}/${handle.name}`;
+        if (handle.kind === 'file') {
+            const file = await handle.getFile();
+            fileRelativePaths.set(file, path);
+            fileHandles.set(file, handle);
+            files.push(file);
+        } else {
+            files.push(...await readDirectoryHandleFiles(handle, path));
+        }
+    }
+    return files;
+}
+
+/**
+ * Упорядочивает файлы по относительному пути
+ * Порядок обхода папок зависит от браузера и файловой системы
+ * @param {File[]} files - файлы
+ * @returns {File[]} - тот же массив, упорядоченный по пути
+ */
+function sortFilesByPath(files) {
+    return files.sort((a, b) => getRelativePath(a).localeCompare(getRelativePath(b), undefined, { numeric: true }));
+}
+
+/**
+ * Добавляет файлы папки, выбранной кнопкой «Выбрать папку»
+ * Если File System Access API недоступен, открывается обычный выбор папки
+ */
+async function pickFolder() {
+    if (!('showDirectoryPicker' in window)) {
+        document.getElementById('folder-upload').click();
+        return;
+    }
+    
+    let directory;
+    try {
+        directory = await window.showDirectoryPicker({ mode: 'read' });
+    } catch (error) {
+        // Пользователь закрыл диалог
+        return;
+    }
+    
+    try {
+        addFiles(sortFilesByPath(await readDirectoryHandleFiles(directory)));
+        rememberSessionDirectory(directory);
+    } catch (error) {
+        console.error('Ошибка чтения папки:', error);
+        showFolderReadError(directory.name, error);
+    }
+}
+
+/**
+ * Сообщает об ошибке чтения папки
+ * @param {string} name - имя папки
+ * @param {Error} error - ошибка
+ */
+function showFolderReadError(name, error) {
+    showStatus('error', createMessage('upload.folderReadFailed', { name, error: getErrorMessage(error) }));
+}
+
 /**
  * Инициализация drag & drop функциональности
  */
@@ -454,11 +599,73 @@ function initializeDragAndDrop() {
         dropZone.classList.remove('drag-over');
     }
     
-    function handleDrop(e) {
+    async function handleDrop(e) {
         const dt = e.dataTransfer;
-        const files = dt.files;
-        addFiles(files);
+        // Дескрипторы File System Access API запрашиваются сразу: после первого await
+        // элементы перетаскивания уже недоступны. По дескрипторам файлы можно открыть
+        // снова после перезагрузки страницы (см. session.js)
+        const handleRequests = Array.from(dt.items || [])
+            .filter(item => item.kind === 'file' && typeof item.getAsFileSystemHandle === 'function')
+            .map(item => item.getAsFileSystemHandle());
+        if (handleRequests.length > 0) {
+            await addDroppedHandles(handleRequests);
+            return;
+        }
+        
+        // Записи и список файлов доступны только во время обработки события
+        const files = Array.from(dt.files);
+        const entries = Array.from(dt.items || [])
+            .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+            .map(item => item.webkitGetAsEntry())
+            .filter(Boolean);
+        
+        if (!entries.some(entry => entry.isDirectory)) {
+            addFiles(files);
+            return;
+        }
+        
+        const droppedFiles = [];
+        for (const entry of entries) {
+            try {
+                droppedFiles.push(...await readEntryFiles(entry));
+            } catch (error) {
+                console.error('Ошибка чтения папки:', error);
+                showFolderReadError(entry.name, error);
+            }
+        }
+        addFiles(sortFilesByPath(droppedFiles));
+    }
+}
+
+/**
+ * Добавляет перетащенные файлы и папки по дескрипторам File System Access API
+ * @param {Promise<FileSystemHandle|null>[]} handleRequests - результаты getAsFileSystemHandle
+ */
+async function addDroppedHandles(handleRequests) {
+    const droppedFiles = [];
+    const directories = [];
+    for (const request of handleRequests) {
+        let handle = null;
+        try {
+            handle = await request;
+            if (!handle || isHiddenEntryName(handle.name)) continue;
+            
+            if (handle.kind === 'file') {
+                const file = await handle.getFile();
+                fileHandles.set(file, handle);
+                droppedFiles.push(file);
+            } else {
+                droppedFiles.push(...await readDirectoryHandleFiles(handle));
+                directories.push(handle);
+            }
+        } catch (error) {
+            console.error('Ошибка чтения папки:', error);
+            showFolderReadError(handle ? handle.name : '', error);
+        }
     }
+    // Папки запоминаются после добавления: первые файлы начинают новую сессию
+    addFiles(sortFilesByPath(droppedFiles));
+    directories.forEach(rememberSessionDirectory);
 }
 
 /**
@@ -468,39 +675,112 @@ document.getElementById('file-upload').addEventListener('change', function(e) {
     addFiles(e.target.files);
 });
 
+/**
+ * Обработчик выбора папки через поле ввода (webkitRelativePath заполняет браузер)
+ */
+document.getElementById('folder-upload').addEventListener('change', function(e) {
+    addFiles(sortFilesByPath(Array.from(e.target.files).filter(file =>
+        !file.webkitRelativePath.split('/').some(isHiddenEntryName))));
+});
+
 /**
  * Обновляет статус файла в карточке
  * @param {string} fileId - ID файла
- * @param {string} status - новый статус ('ready', 'processing', 'success', 'error')
- * @param {string} message - сообщение статуса
+ * @param {string} status - новый статус ('ready', 'processing', 'success', 'warning', 'skipped', 'error')
+ * @param {Object|string} [message] - сообщение статуса (createMessage или текст)
  */
 function updateFileStatus(fileId, status, message = '') {
-    const fileCard = document.querySelector(`[data-file-id="${fileId}"]`);
-    if (!fileCard) return;
-    
-    const statusElement = fileCard.querySelector('.file-status');
-    const progressElement = fileCard.querySelector('.file-progress');
-    
-    statusElement.className = `file-status ${status}`;
+    fileStatuses.set(fileId, { status, message });
+    if (status !== 'processing') {
+        saveSessionStatus(fileId, status, message);
+    }
     
-    const statusMessages = {
-        'ready': 'Готов к обработке',
-        'processing': 'Обрабатывается...',
-        'success': message || 'Успешно обработан',
-        'error': message || 'Ошибка'
-    };
+    const fileCard = document.querySelector(`[data-file-id="${CSS.escape(fileId)}"]`);
+    if (!fileCard) return;
     
-    statusElement.textContent = statusMessages[status] || message;
+    renderFileStatus(fileCard, status, message);
     
+    const progressElement = fileCard.querySelector('.file-progress');
     if (status === 'processing') {
         progressElement.classList.add('show');
         const progressBar = progressElement.querySelector('.file-progress-bar');
-        progressBar.style.width = '100%';
+        progressBar.style.width = '0%';
     } else {
         progressElement.classList.remove('show');
     }
 }
 
+/**
+ * Показывает статус в карточке файла на текущем языке
+ * @param {HTMLElement} fileCard - карточка файла
+ * @param {string} status - статус
+ * @param {Object|string} message - сообщение статуса; без него — стандартный текст статуса
+ */
+function renderFileStatus(fileCard, status, message) {
+    const statusElement = fileCard.querySelector('.file-status');
+    statusElement.className = `file-status ${status}`;
+    statusElement.textContent = message ? localize(message) : t(`status.${status}`);
+}
+
+/**
+ * Показывает общее сообщение о результате
+ * @param {string} type - '' (ход обработки), 'success' или 'error'
+ * @param {...(Object|string)} messages - строки сообщения (createMessage или текст)
+ */
+function showStatus(type, ...messages) {
+    currentStatus = { type, messages };
+    renderStatus();
+}
+
+/**
+ * Скрывает общее сообщение о результате
+ */
+function hideStatus() {
+    currentStatus = null;
+    renderStatus();
+}
+
+/**
+ * Перерисовывает общее сообщение на текущем языке
+ */
+function renderStatus() {
+    const statusDiv = document.getElementById('status');
+    if (!currentStatus) {
+        statusDiv.textContent = '';
+        statusDiv.style.display = 'none';
+        return;
+    }
+    statusDiv.textContent = currentStatus.messages.map(localize).join('\n');
+    statusDiv.className = `status-message${currentStatus.type ? ` ${currentStatus.type}` : ''}`;
+    statusDiv.style.display = 'block';
+}
+
+/**
+ * Обновляет прогресс-бар файла в карточке
+ * @param {string} fileId - ID файла
+ * @param {number} fraction - доля обработанных данных (0..1)
+ */
+function updateFileProgress(fileId, fraction) {
+    const fileCard = document.querySelector(`[data-file-id="${CSS.escape(fileId)}"]`);
+    if (!fileCard) return;
+    
+    const progressBar = fileCard.querySelector('.file-progress-bar');
+    progressBar.style.width = `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * Прокручивает страницу к карточке файла и ненадолго подсвечивает ее
+ * @param {string} fileId - ID файла
+ */
+function focusFileCard(fileId) {
+    const fileCard = document.querySelector(`.file-card[data-file-id="${CSS.escape(fileId)}"]`);
+    if (!fileCard) return;
+    
+    fileCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    fileCard.classList.add('focused');
+    setTimeout(() => fileCard.classList.remove('focused'), 2000);
+}
+
 /**
  * Обновляет панель ссылок
  */
@@ -508,25 +788,37 @@ function updateLinksPanel() {
     const linksPanel = document.getElementById('links-panel');
     const linksContainer = document.getElementById('links-container');
     
-    if (extractedLinks.length === 0) {
+    // Панель показывает ссылки тех же файлов, что и сетка, в том же порядке
+    const links = filterItemsForDisplay(extractedLinks);
+    if (links.length === 0) {
         linksPanel.style.display = 'none';
         return;
     }
     
-    linksContainer.innerHTML = '';
-    extractedLinks.forEach((linkInfo, index) => {
+    linksContainer.replaceChildren();
+    links.forEach(linkInfo => {
         const linkItem = document.createElement('div');
         linkItem.className = 'link-item';
-        linkItem.innerHTML = `
-            <div class="link-header">
-                <div class="link-filename">${linkInfo.filename}</div>
-                <div class="link-date">${linkInfo.dateTime || 'Дата не найдена'}</div>
-            </div>
-            <div style="display: flex; align-items: center;">
-                <a href="${linkInfo.link}" target="_blank" class="link-url" title="Открыть ссылку">${linkInfo.link}</a>
-                <button class="copy-link-btn" onclick="copyLink('${linkInfo.link}')" title="Скопировать ссылку">📋</button>
-            </div>
-        `;
+        const location = parseMapLink(linkInfo.link);
+        const header = createElement('div', 'link-header');
+        header.appendChild(createElement('div', 'link-filename', linkInfo.filename));
+        header.appendChild(createElement('div', 'link-date',
+            linkInfo.dateTime ? formatFileDateLabel(linkInfo.dateTime) : t('date.notFound')));
+        linkItem.appendChild(header);
+        
+        const row = createElement('div', 'link-row');
+        row.appendChild(createLinkElement(linkInfo.link, 'link-url'));
+        const copyButton = createElement('button', 'copy-link-btn', '📋');
+        copyButton.title = t('links.copy');
+        copyButton.addEventListener('click', () => copyLink(linkInfo.link));
+        row.appendChild(copyButton);
+        linkItem.appendChild(row);
+        
+        if (location) {
+            const zoom = location.zoom !== null ? ` · ${t('links.zoom', { zoom: location.zoom })}` : '';
+            linkItem.appendChild(createElement('div', 'link-coordinates',
+                `📍 ${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}${zoom}`));
+        }
         linksContainer.appendChild(linkItem);
     });
     
@@ -541,7 +833,7 @@ function copyLink(link) {
     navigator.clipboard.writeText(link).then(() => {
         // Показываем временное уведомление
         const notification = document.createElement('div');
-        notification.textContent = 'Ссылка скопирована!';
+        notification.textContent = t('links.copied');
         notification.style.cssText = `
             position: fixed;
             top: 20px;
@@ -566,16 +858,17 @@ function copyLink(link) {
  * Копирует все ссылки в буфер обмена
  */
 function copyAllLinks() {
-    if (extractedLinks.length === 0) return;
+    const links = filterItemsForDisplay(extractedLinks);
+    if (links.length === 0) return;
     
-    const allLinks = extractedLinks.map(linkInfo => 
-        `${linkInfo.filename} (${linkInfo.dateTime || 'Без даты'}): ${linkInfo.link}`
+    const allLinks = links.map(linkInfo => 
+        `${linkInfo.filename} (${linkInfo.dateTime || t('links.noDate')}): ${linkInfo.link}`
     ).join('\n');
     
     navigator.clipboard.writeText(allLinks).then(() => {
         // Показываем уведомление
         const notification = document.createElement('div');
-        notification.textContent = `Скопировано ${extractedLinks.length} ссылок!`;
+        notification.textContent = t('links.copiedAll', { count: links.length });
         notification.style.cssText = `
             position: fixed;
             top: 20px;
@@ -597,229 +890,1355 @@ function copyAllLinks() {
 }
 
 /**
- * Обрабатывает один файл
- * @param {File} file - файл для обработки
- * @param {ArrayBuffer} key - ключ шифрования
- * @param {HTMLElement} downloadLinks - контейнер для ссылок скачивания
- * @returns {Promise<Object>} - результат обработки
+ * Создает приемник, собирающий фрагменты в Blob
+ * Браузер может хранить части крупного Blob на диске, а не в памяти вкладки
+ * @param {string} mime - MIME-тип результата
+ * @returns {Object} - приемник с методами write, close и abort
  */
-async function processFile(file, key, downloadLinks) {
-    try {
-        const password = document.getElementById('password').value || 'default_password';
-        
-        // Анализируем имя файла
-        const filenameInfo = decryptFilename(file.name, password);
-        
-        // Если найдена ссылка, добавляем её в список
-        if (filenameInfo.link) {
-            extractedLinks.push({
-                filename: file.name,
-                dateTime: filenameInfo.dateTime,
-                link: filenameInfo.link
-            });
+function createBlobSink(mime) {
+    let parts = [];
+    return {
+        async write(chunk) {
+            parts.push(chunk);
+        },
+        async close() {
+            return new Blob(parts, { type: mime });
+        },
+        async abort() {
+            parts = [];
         }
-        
-        // Читаем файл
-        const fileData = await file.arrayBuffer();
-        
-        let decryptedData;
-        let fileType;
-        let isEncrypted = false;
-        
-        // Проверяем, зашифрован ли файл
-        if (checkEncryptionMarker(fileData)) {
-            isEncrypted = true;
-            // Расшифровываем файл
-            decryptedData = await decryptFileData(fileData, key);
-            fileType = detectFileType(decryptedData);
-            
-            if (!fileType.isValid) {
-                throw new Error('Неверный пароль или поврежденный файл');
-            }
-        } else {
-            // Файл не зашифрован, работаем с ним как есть
-            decryptedData = fileData;
-            fileType = detectFileType(decryptedData);
+    };
+}
+
+/**
+ * Создает приемник, записывающий фрагменты в файл через File System Access API
+ * @param {FileSystemFileHandle} fileHandle - файл для записи
+ * @returns {Promise<Object>} - приемник с методами write, close и abort
+ */
+async function createFileHandleSink(fileHandle) {
+    const writable = await fileHandle.createWritable();
+    return {
+        async write(chunk) {
+            await writable.write(chunk);
+        },
+        async close() {
+            await writable.close();
+            // Файл уже на диске, Blob для скачивания не нужен
+            return null;
+        },
+        async abort() {
+            await writable.abort();
         }
+    };
+}
+
+/**
+ * Создает приемник, записывающий фрагменты в новый файл в выбранной папке
+ * @param {FileSystemDirectoryHandle} directory - папка для записи
+ * @param {string} filePath - путь создаваемого файла относительно папки
+ * @returns {Promise<Object>} - приемник с методами write, close и abort
+ */
+async function createDirectorySink(directory, filePath) {
+    // Недостающие вложенные папки создаются
+    const parts = filePath.split('/');
+    const fileName = parts.pop();
+    for (const part of parts) {
+        directory = await directory.getDirectoryHandle(part, { create: true });
+    }
+    const fileHandle = await directory.getFileHandle(fileName, { create: true });
+    return await createFileHandleSink(fileHandle);
+}
+
+/**
+ * Создает приемник для расшифрованных данных
+ * @param {FileSystemDirectoryHandle|null} outputDirectory - папка для записи или null
+ * @param {string} filePath - путь выходного файла относительно папки
+ * @param {string} mime - MIME-тип результата
+ * @returns {Promise<Object>} - приемник с методами write, close и abort
+ */
+async function createOutputSink(outputDirectory, filePath, mime) {
+    if (outputDirectory) {
+        return await createDirectorySink(outputDirectory, filePath);
+    }
+    return createBlobSink(mime);
+}
+
+/**
+ * Предлагает выбрать папку для записи, если в пакете есть крупные файлы
+ * Вызывается до первого await в обработчике клика, пока действует жест пользователя
+ * @param {File[]} files - файлы пакета
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - выбранная папка или null
+ */
+async function pickLargeFileDirectory(files) {
+    if (!('showDirectoryPicker' in window) || !files.some(file => file.size > LARGE_FILE_THRESHOLD)) {
+        return null;
+    }
+    
+    try {
+        return await window.showDirectoryPicker({ mode: 'readwrite' });
+    } catch (error) {
+        // Пользователь отказался выбирать папку — собираем результат в памяти
+        console.log('Папка для записи не выбрана:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Создает исполнителя с интерфейсом Worker, работающего в основном потоке
+ * Нужен, когда воркеры недоступны (например, страница открыта через file://)
+ * @returns {Object} - объект с методами postMessage и terminate и свойством onmessage
+ */
+function createInlineWorker() {
+    let pendingAck = null;
+    let terminated = false;
+    
+    const inlineWorker = {
+        onmessage: null,
+        postMessage(message) {
+            if (message.type === 'ack' || message.type === 'abort') {
+                const ack = pendingAck;
+                pendingAck = null;
+                if (ack) {
+                    message.type === 'ack' ? ack.resolve() : ack.reject(createCodedError('error.writeAborted'));
+                }
+                return;
+            }
+            
+            const post = data => {
+                // Доставляем асинхронно, как настоящий воркер
+                setTimeout(() => {
+                    if (!terminated && inlineWorker.onmessage) {
+                        inlineWorker.onmessage({ data });
+                    }
+                }, 0);
+            };
+            const waitForAck = () => new Promise((resolve, reject) => {
+                pendingAck = { resolve, reject };
+            });
+            
+            const job = message.kind === 'recovery'
+                ? runRecoveryJob(message, post)
+                : runDecryptJob(message, post, waitForAck);
+            job
+                .then(result => post({ type: 'done', result }))
+                .catch(error => post({
+                    type: 'error',
+                    message: error.message,
+                    code: error.code,
+                    displayMessage: error.displayMessage,
+                    inputSha256: error.inputSha256
+                }));
+        },
+        terminate() {
+            terminated = true;
+            if (pendingAck) {
+                pendingAck.reject(createCodedError('error.writeAborted'));
+                pendingAck = null;
+            }
+        }
+    };
+    
+    return inlineWorker;
+}
+
+/**
+ * Запускает воркер расшифровки, при недоступности воркеров — исполнителя в основном потоке
+ * @returns {Worker|Object} - воркер
+ */
+function spawnDecryptWorker() {
+    try {
+        return new Worker('worker.js');
+    } catch (error) {
+        console.log('Веб-воркеры недоступны, расшифровка идет в основном потоке:', error.message);
+        return createInlineWorker();
+    }
+}
+
+/**
+ * Создает пул воркеров расшифровки
+ * @param {number} size - количество воркеров
+ * @returns {Object} - пул с методами run и cancel
+ */
+function createWorkerPool(size) {
+    const workers = [];
+    const idleWorkers = [];
+    const queue = [];
+    const activeTasks = new Set();
+    
+    for (let i = 0; i < size; i++) {
+        const worker = spawnDecryptWorker();
+        workers.push(worker);
+        idleWorkers.push(worker);
+    }
+    
+    function createCancelError() {
+        const error = createCodedError('error.cancelled');
+        error.cancelled = true;
+        return error;
+    }
+    
+    function finish(task, error, result) {
+        activeTasks.delete(task);
+        idleWorkers.push(task.worker);
+        error ? task.reject(error) : task.resolve(result);
+        dispatch();
+    }
+    
+    async function handleMessage(task, message) {
+        switch (message.type) {
+            case 'progress':
+                task.handlers.onProgress(message.fraction);
+                break;
+            case 'chunk':
+                try {
+                    await task.handlers.onChunk(message);
+                    task.worker.postMessage({ type: 'ack' });
+                } catch (error) {
+                    // Запись не удалась: воркер прервет задание и пришлет 'error'
+                    task.failure = error;
+                    task.worker.postMessage({ type: 'abort' });
+                }
+                break;
+            case 'done':
+                finish(task, null, message.result);
+                break;
+            case 'error': {
+                const error = new Error(message.message);
+                error.code = message.code;
+                error.displayMessage = message.displayMessage;
+                error.inputSha256 = message.inputSha256;
+                finish(task, task.failure || error);
+                break;
+            }
+        }
+    }
+    
+    function dispatch() {
+        while (idleWorkers.length > 0 && queue.length > 0) {
+            const task = queue.shift();
+            task.worker = idleWorkers.pop();
+            task.worker.onmessage = e => handleMessage(task, e.data);
+            task.worker.onerror = e => finish(task, e.message ? new Error(e.message) : createCodedError('error.worker'));
+            activeTasks.add(task);
+            task.worker.postMessage({ type: 'job', ...task.job });
+        }
+    }
+    
+    return {
+        /**
+         * Ставит задание в очередь
+         * @param {Object} job - задание ({ file, keys })
+         * @param {Object} handlers - обработчики onProgress и onChunk
+         * @returns {Promise<Object>} - результат задания
+         */
+        run(job, handlers) {
+            return new Promise((resolve, reject) => {
+                queue.push({ job, handlers, resolve, reject });
+                dispatch();
+            });
+        },
         
-        // Создаем имя выходного файла
-        let outputFileName;
-        if (filenameInfo.dateTime) {
-            // Используем расшифрованную дату как имя
-            outputFileName = `${filenameInfo.dateTime.replace(/[:/\\*?"<>|]/g, '_')}.${fileType.ext}`;
-        } else {
-            // Используем оригинальное имя с правильным расширением
-            const baseName = file.name.replace(/\.[^/.]+$/, '');
-            outputFileName = `${baseName}_decrypted.${fileType.ext}`;
+        /**
+         * Отменяет все задания и останавливает воркеры
+         */
+        cancel() {
+            queue.splice(0).forEach(task => task.reject(createCancelError()));
+            activeTasks.forEach(task => task.reject(createCancelError()));
+            activeTasks.clear();
+            this.terminate();
+        },
+        
+        /**
+         * Останавливает воркеры
+         */
+        terminate() {
+            workers.forEach(worker => worker.terminate());
+            idleWorkers.length = 0;
+        }
+    };
+}
+
+/**
+ * Отменяет текущую обработку
+ */
+function cancelProcessing() {
+    if (activePool) {
+        activePool.cancel();
+    }
+}
+
+/**
+ * Обрабатывает один файл
+ * Расшифровка и определение типа выполняются в пуле воркеров,
+ * запись результата и обновление интерфейса — в основном потоке
+ * @param {File} file - файл для обработки
+ * @param {Object[]} keys - пароли связки { name, password, key } в порядке проверки
+ * @param {HTMLElement} downloadLinks - контейнер для ссылок скачивания
+ * @param {FileSystemDirectoryHandle|null} outputDirectory - папка для записи или null
+ * @param {Object} pool - пул воркеров
+ * @param {number} outputIndex - номер файла в хронологическом порядке (подстановка {index})
+ * @param {function(number): void} onProgress - получает долю обработанных данных
+ * @returns {Promise<Object>} - результат обработки
+ */
+async function processFile(file, keys, downloadLinks, outputDirectory, pool, outputIndex, onProgress) {
+    let sink = null;
+    const startedAt = new Date().toISOString();
+    
+    // Анализируем имя файла, перебирая пароли связки
+    const filenameInfo = decryptFilenameWithKeys(file.name, keys);
+    
+    // Пароль, подошедший к имени, первым проверяется и для содержимого.
+    // В воркер передаются только ключи, без самих паролей
+    const jobKeys = keys
+        .map(({ name, key }) => ({ name, key }))
+        .sort((a, b) => (b.name === filenameInfo.keyName) - (a.name === filenameInfo.keyName));
+    
+    try {
+        // При продолжении файл, результат которого уже есть в папке, не расшифровывается
+        if (outputDirectory && isOutputResumeEnabled()) {
+            const outputSize = await hasEncryptionMarker(file) ? file.size - 20 : file.size;
+            const existingPath = await findExistingOutput(outputDirectory, generateFileId(file),
+                buildOutputPath(file, buildOutputFileName(file, filenameInfo, { ext: 'bin' }, getOutputNameOptions(outputIndex))),
+                outputSize);
+            if (existingPath) {
+                throw createOutputSkipError(existingPath);
+            }
+        }
+        
+        // Если найдена ссылка, добавляем её в список
+        if (filenameInfo.link) {
+            extractedLinks.push({
+                fileId: generateFileId(file),
+                filename: getRelativePath(file),
+                dateTime: filenameInfo.dateTime,
+                link: filenameInfo.link
+            });
         }
         
-        // Создаем ссылку для скачивания
-        const blob = new Blob([decryptedData], { type: fileType.mime });
-        const url = URL.createObjectURL(blob);
+        let outputFileName;
+        let outputPath;
+        let output;
         
-        const downloadLink = document.createElement('a');
-        downloadLink.href = url;
-        downloadLink.download = outputFileName;
-        downloadLink.className = 'download-btn';
-        downloadLink.textContent = `📥 ${file.name} → ${outputFileName}`;
-        downloadLinks.appendChild(downloadLink);
+        const { fileType, isEncrypted, exif, verification, keyName, inputSha256, outputSha256 } = await pool.run({ file, keys: jobKeys }, {
+            onProgress,
+            onChunk: async ({ index, data, fileType }) => {
+                if (index === 0) {
+                    outputPath = await chooseOutputPath(file, filenameInfo, fileType, outputDirectory, outputIndex);
+                    outputFileName = outputPath.split('/').pop();
+                    sink = await createOutputSink(outputDirectory, outputPath, fileType.mime);
+                }
+                await sink.write(data);
+            }
+        });
         
-        // Сохраняем информацию о файле для массового скачивания
-        decryptedFiles.push({ url, name: outputFileName });
+        if (isEncrypted) {
+            output = await sink.close();
+        } else {
+            // Файл не зашифрован, работаем с ним как есть
+            outputPath = await chooseOutputPath(file, filenameInfo, fileType, outputDirectory, outputIndex);
+            outputFileName = outputPath.split('/').pop();
+            
+            if (outputDirectory) {
+                sink = await createOutputSink(outputDirectory, outputPath, fileType.mime);
+                for (let offset = 0; offset < file.size; offset += DECRYPT_CHUNK_SIZE) {
+                    await sink.write(await file.slice(offset, offset + DECRYPT_CHUNK_SIZE).arrayBuffer());
+                    onProgress(Math.min(offset + DECRYPT_CHUNK_SIZE, file.size) / file.size);
+                }
+                output = await sink.close();
+            } else {
+                // Blob ссылается на исходный файл без копирования данных
+                output = file.slice(0, file.size, fileType.mime);
+                onProgress(1);
+            }
+        }
+        sink = null;
+        
+        if (output) {
+            // Сохраняем информацию о файле для массового скачивания
+            const url = URL.createObjectURL(output);
+            const decrypted = {
+                url,
+                blob: output,
+                name: outputFileName,
+                path: outputPath,
+                fileId: generateFileId(file),
+                originalName: file.name,
+                originalPath: getRelativePath(file),
+                dateTime: filenameInfo.dateTime,
+                link: filenameInfo.link,
+                isEncrypted: isEncrypted,
+                lastModified: file.lastModified
+            };
+            decryptedFiles.push(decrypted);
+            appendDownloadLink(downloadLinks, decrypted);
+        } else {
+            // Файл записан прямо в выбранную папку
+            appendSavedFileNote(downloadLinks, generateFileId(file), getRelativePath(file), outputDirectory.name, outputPath);
+        }
         
         return {
             success: true,
             fileType: fileType.type,
+            typeConfidence: fileType.confidence,
+            typeSignature: fileType.signature,
             isEncrypted: isEncrypted,
-            outputFileName: outputFileName
+            outputFileName: outputFileName,
+            outputPath: outputPath,
+            dateTime: filenameInfo.dateTime,
+            link: filenameInfo.link,
+            filenameDecoder: filenameInfo.decoder,
+            exif: exif,
+            verification: verification,
+            keyName: isEncrypted ? keyName : filenameInfo.keyName,
+            filenameKey: filenameInfo.keyName,
+            inputSha256,
+            outputSha256,
+            startedAt,
+            finishedAt: new Date().toISOString()
         };
         
     } catch (error) {
-        console.error('Ошибка обработки файла:', error);
+        if (!error.cancelled && !error.skipped) {
+            console.error('Ошибка обработки файла:', error);
+        }
+        // Не оставляем недописанный результат
+        if (sink) {
+            await sink.abort().catch(() => {});
+        }
         return {
             success: false,
-            error: error.message,
-            isEncrypted: false
+            error: getErrorMessage(error),
+            errorCode: error.code || null,
+            cancelled: error.cancelled === true,
+            skipped: error.skipped === true,
+            outputPath: error.outputPath || null,
+            isEncrypted: await hasEncryptionMarker(file),
+            dateTime: filenameInfo.dateTime,
+            link: filenameInfo.link,
+            filenameDecoder: filenameInfo.decoder,
+            filenameKey: filenameInfo.keyName,
+            inputSha256: error.inputSha256 || null,
+            startedAt,
+            finishedAt: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Добавляет ссылку скачивания результата
+ * @param {HTMLElement} downloadLinks - контейнер для ссылок скачивания
+ * @param {Object} entry - запись decryptedFiles
+ */
+function appendDownloadLink(downloadLinks, entry) {
+    const downloadLink = document.createElement('a');
+    downloadLink.href = entry.url;
+    downloadLink.download = entry.name;
+    downloadLink.className = 'download-btn';
+    downloadLink.dataset.fileId = entry.fileId;
+    downloadLink.textContent = `📥 ${entry.originalPath} → ${entry.path}`;
+    downloadLinks.appendChild(downloadLink);
+}
+
+/**
+ * Добавляет отметку о результате, записанном прямо в папку
+ * @param {HTMLElement} downloadLinks - контейнер для ссылок скачивания
+ * @param {string} fileId - ID файла
+ * @param {string} originalPath - путь исходного файла
+ * @param {string} folderName - имя папки результатов
+ * @param {string} outputPath - путь результата в папке
+ */
+function appendSavedFileNote(downloadLinks, fileId, originalPath, folderName, outputPath) {
+    const savedNote = document.createElement('div');
+    savedNote.className = 'saved-file';
+    savedNote.dataset.fileId = fileId;
+    savedNote.textContent = `💾 ${originalPath} → ${folderName}/${outputPath}`;
+    downloadLinks.appendChild(savedNote);
+}
+
+/**
+ * Выбирает путь результата; при записи в папку учитывает политику для существующих файлов
+ * @param {File} file - исходный файл
+ * @param {Object} filenameInfo - результат decryptFilename
+ * @param {Object} fileType - результат detectFileType
+ * @param {FileSystemDirectoryHandle|null} outputDirectory - папка для записи или null
+ * @param {number} outputIndex - номер файла в хронологическом порядке
+ * @returns {Promise<string>} - путь результата
+ */
+async function chooseOutputPath(file, filenameInfo, fileType, outputDirectory, outputIndex) {
+    const outputPath = buildOutputPath(file, buildOutputFileName(file, filenameInfo, fileType, getOutputNameOptions(outputIndex)));
+    if (!outputDirectory) {
+        return outputPath;
+    }
+    
+    const claimedPath = await claimOutputPath(outputDirectory, outputPath, getOutputConflictPolicy());
+    if (!claimedPath) {
+        throw createOutputSkipError(outputPath);
+    }
+    return claimedPath;
+}
+
+/**
+ * Проверяет маркер ENC_ в начале файла
+ * @param {File} file - файл
+ * @returns {Promise<boolean>} - true, если файл зашифрован
+ */
+async function hasEncryptionMarker(file) {
+    try {
+        return checkEncryptionMarker(await file.slice(0, 4).arrayBuffer());
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Добавляет запись об обработанном файле для экспорта
+ * @param {File} file - исходный файл
+ * @param {Object} result - результат processFile или encryptFile
+ * @returns {Object} - добавленная запись
+ */
+function addProcessedRecord(file, result) {
+    const exif = result.exif || null;
+    const timeCheck = exif ? compareExifTime(exif.dateTime, result.dateTime) : null;
+    
+    const record = {
+        fileId: generateFileId(file),
+        originalName: file.name,
+        relativePath: getRelativePath(file),
+        dateTime: result.dateTime || null,
+        link: result.link || null,
+        filenameDecoder: result.filenameDecoder || null,
+        filenameKey: result.filenameKey || null,
+        encrypted: result.isEncrypted,
+        keyName: result.keyName || null,
+        fileType: result.fileType || null,
+        typeConfidence: result.typeConfidence || null,
+        outputName: result.outputPath || result.outputFileName || null,
+        verification: result.verification ? result.verification.outcome : (result.errorCode || null),
+        verificationReason: result.verification ? result.verification.reason : null,
+        exifDateTime: exif ? exif.dateTime : null,
+        exifLatitude: exif && exif.gps ? exif.gps.latitude : null,
+        exifLongitude: exif && exif.gps ? exif.gps.longitude : null,
+        exifAltitude: exif && exif.gps ? exif.gps.altitude : null,
+        cameraMake: exif ? exif.make : null,
+        cameraModel: exif ? exif.model : null,
+        lensModel: exif ? exif.lensModel : null,
+        exifTimeDifference: timeCheck ? timeCheck.differenceSeconds : null,
+        exifTimeMismatch: timeCheck ? timeCheck.mismatch : null,
+        inputSha256: result.inputSha256 || null,
+        outputSha256: result.outputSha256 || null,
+        startedAt: result.startedAt || null,
+        finishedAt: result.finishedAt || null,
+        error: result.success ? null : result.error
+    };
+    
+    processedRecords.push(record);
+    return record;
+}
+
+/**
+ * Форматирует разницу во времени для отображения
+ * @param {number} seconds - разница в секундах
+ * @returns {string} - например, "3 ч 5 мин"
+ */
+function formatTimeDifference(seconds) {
+    const total = Math.abs(Math.round(seconds));
+    const days = Math.floor(total / 86400);
+    const hours = Math.floor(total % 86400 / 3600);
+    const minutes = Math.floor(total % 3600 / 60);
+    
+    const parts = [];
+    if (days) parts.push(t('time.days', { count: days }));
+    if (hours) parts.push(t('time.hours', { count: hours }));
+    if (minutes) parts.push(t('time.minutes', { count: minutes }));
+    if (parts.length === 0) parts.push(t('time.seconds', { count: total % 60 }));
+    return parts.join(' ');
+}
+
+/**
+ * Показывает в карточке название подошедшего пароля
+ * @param {HTMLElement} fileCard - карточка файла
+ * @param {Object} record - запись об обработанном файле
+ */
+function renderFileKeyName(fileCard, record) {
+    const previous = fileCard.querySelector('.file-key');
+    if (previous) previous.remove();
+    if (!record.keyName) return;
+    
+    const item = document.createElement('div');
+    item.className = 'file-detail-item file-key';
+    const label = document.createElement('span');
+    label.className = 'file-detail-label';
+    label.textContent = t('card.key');
+    const value = document.createElement('span');
+    value.className = 'file-detail-value';
+    value.textContent = `🔑 ${record.keyName}`;
+    item.append(label, value);
+    
+    fileCard.querySelector('.encrypted-indicator').before(item);
+}
+
+/**
+ * Показывает сведения EXIF в карточке файла
+ * Значения берутся из файла, поэтому вставляются только как текст
+ * @param {HTMLElement} fileCard - карточка файла
+ * @param {Object} record - запись об обработанном файле
+ */
+function renderFileExif(fileCard, record) {
+    const details = fileCard.querySelector('.file-details');
+    const previous = fileCard.querySelector('.file-exif');
+    if (previous) previous.remove();
+    
+    const rows = [];
+    if (record.exifDateTime) {
+        rows.push([t('card.shotAt'), record.exifDateTime]);
+    }
+    if (record.exifLatitude !== null) {
+        const altitude = record.exifAltitude !== null
+            ? ` · ${t('card.altitude', { value: Math.round(record.exifAltitude) })}`
+            : '';
+        rows.push([t('card.gps'), `${record.exifLatitude.toFixed(5)}, ${record.exifLongitude.toFixed(5)}${altitude}`]);
+    }
+    const camera = [record.cameraMake, record.cameraModel].filter(Boolean).join(' ');
+    if (camera) {
+        rows.push([t('card.camera'), camera]);
+    }
+    if (record.lensModel) {
+        rows.push([t('card.lens'), record.lensModel]);
+    }
+    if (rows.length === 0) return;
+    
+    const container = document.createElement('div');
+    container.className = 'file-exif';
+    
+    rows.forEach(([labelText, valueText]) => {
+        const item = document.createElement('div');
+        item.className = 'file-detail-item';
+        const label = document.createElement('span');
+        label.className = 'file-detail-label';
+        label.textContent = labelText;
+        const value = document.createElement('span');
+        value.className = 'file-detail-value';
+        value.textContent = valueText;
+        item.append(label, value);
+        container.appendChild(item);
+    });
+    
+    if (record.exifTimeMismatch) {
+        const warning = document.createElement('div');
+        warning.className = 'exif-mismatch';
+        warning.textContent = t('card.exifMismatch', { difference: formatTimeDifference(record.exifTimeDifference) });
+        container.appendChild(warning);
+    }
+    
+    details.appendChild(container);
+}
+
+/**
+ * Показывает в карточке итог расшифровки с учетом проверки результата:
+ * неверный пароль, поврежденный или обрезанный файл, нераспознанные, но правдоподобные данные
+ * @param {string} fileId - ID файла
+ * @param {Object} result - результат processFile
+ */
+function showFileOutcome(fileId, result) {
+    if (!result.success) {
+        const errorMessages = {
+            'wrong-password': createMessage('status.wrongPassword'),
+            'corrupted': createMessage('status.corrupted', { error: result.error })
         };
+        updateFileStatus(fileId, 'error', errorMessages[result.errorCode] || result.error);
+        return;
+    }
+    
+    const outcome = result.verification ? result.verification.outcome : null;
+    if (outcome === 'corrupted') {
+        updateFileStatus(fileId, 'warning', createMessage('status.damaged',
+            { reason: result.verification.reason, name: result.outputFileName }));
+    } else if (outcome === 'plausible' || result.typeConfidence === 'none') {
+        updateFileStatus(fileId, 'warning', createMessage('status.unknownType', { name: result.outputFileName }));
+    } else {
+        const key = result.typeConfidence === 'high' ? 'status.decrypted' : 'status.decryptedProbably';
+        updateFileStatus(fileId, 'success', createMessage(key, { type: result.fileType, name: result.outputFileName }));
     }
 }
 
 /**
  * Основная функция расшифровки файлов
+ * @param {File[]} [files] - файлы для обработки; результаты остальных файлов сохраняются
  */
-async function decryptFiles() {
+async function decryptFiles(files = selectedFiles) {
     // Получаем элементы интерфейса
-    const passwordInput = document.getElementById('password');
-    const statusDiv = document.getElementById('status');
-    const downloadSection = document.getElementById('download-section');
     const downloadLinks = document.getElementById('download-links');
     const downloadAllBtn = document.getElementById('downloadAll');
     const loader = document.getElementById('loader');
+    const cancelBtn = document.getElementById('cancel-btn');
+
+    // При продолжении сессии уже обработанные файлы пропускаются, а их результаты остаются
+    const pendingFiles = files.filter(file => !resumeFileIds.has(generateFileId(file)));
+    const pendingIds = new Set(pendingFiles.map(generateFileId));
+    const resumedCount = files.length - pendingFiles.length;
 
     // Сбрасываем интерфейс
-    statusDiv.textContent = '';
-    statusDiv.className = 'status-message';
-    downloadLinks.innerHTML = '';
+    hideStatus();
     downloadAllBtn.style.display = 'none';
     loader.style.display = 'none';
-    decryptedFiles = [];
-    extractedLinks = [];
+    resetResults(pendingIds);
 
     // Проверяем, выбраны ли файлы
-    if (selectedFiles.length === 0) {
-        statusDiv.textContent = '❌ Выберите файлы для расшифровки.';
-        statusDiv.className = 'status-message error';
-        statusDiv.style.display = 'block';
+    if (files.length === 0) {
+        showStatus('error', createMessage('summary.noFilesToDecrypt'));
+        return;
+    }
+    if (pendingFiles.length === 0) {
+        showStatus('success', createMessage('summary.allResumed', { count: resumedCount }));
+        downloadAllBtn.style.display = decryptedFiles.length > 0 ? 'inline-block' : 'none';
+        // Следующий запуск обработает файлы заново
+        finishSessionRun([], false);
+        return;
+    }
+    
+    // С неверным часовым поясом или шаблоном имена результатов были бы неверными
+    const namingError = validateNamingSettings();
+    if (namingError) {
+        showStatus('error', namingError);
         return;
     }
 
-    // Получаем пароль
-    const password = passwordInput.value || 'default_password';
-    statusDiv.textContent = `🔄 Обрабатываем ${selectedFiles.length} файлов...`;
-    statusDiv.className = 'status-message';
-    statusDiv.style.display = 'block';
+    // Папку результатов (или папку для крупных файлов) запрашиваем сразу, пока действует жест пользователя
+    const outputDirectory = outputFolder
+        ? await requestOutputFolderAccess()
+        : await pickLargeFileDirectory(pendingFiles);
+    if (outputFolder && !outputDirectory) {
+        showStatus('error', createMessage('summary.noOutputAccess'));
+        return;
+    }
+    resetOutputReservations();
+
+    // Пароли для проверки: поле «Пароль» и связка
+    const candidates = getPasswordCandidates();
+    // Номера {index} считаются по всем файлам, чтобы не меняться при продолжении
+    const outputIndexes = getChronologicalIndexes(selectedFiles, candidates);
+    showStatus('', resumedCount > 0
+        ? createMessage('summary.resuming', { count: pendingFiles.length, done: resumedCount })
+        : createMessage('summary.decrypting', { count: pendingFiles.length }));
     loader.style.display = 'flex';
+    clearSessionResults(pendingIds);
+    const caseRun = beginCaseRun('decrypt', pendingFiles.length, candidates);
+    saveSessionSettings();
+    const completedIds = [];
+    let keys = [];
 
     try {
-        // Создаем ключ шифрования
-        const key = await generateKey(password);
+        // Создаем ключи для всех паролей один раз на запуск
+        keys = await deriveRunKeys(candidates);
 
         let successCount = 0;
         let errorCount = 0;
+        let cancelledCount = 0;
+        let skippedCount = 0;
         let encryptedCount = 0;
         let unencryptedCount = 0;
 
-        // Обрабатываем каждый файл
-        for (const file of selectedFiles) {
+        // Обрабатываем файлы параллельно в пуле воркеров
+        const poolSize = Math.min(navigator.hardwareConcurrency || 2, pendingFiles.length);
+        activePool = createWorkerPool(poolSize);
+        cancelBtn.style.display = 'inline-block';
+
+        await Promise.all(pendingFiles.map(async file => {
             const fileId = generateFileId(file);
             updateFileStatus(fileId, 'processing');
             
-            try {
-                const result = await processFile(file, key, downloadLinks);
-                if (result.success) {
-                    updateFileStatus(fileId, 'success', `${result.fileType} файл: ${result.outputFileName}`);
-                    successCount++;
-                    if (result.isEncrypted) {
-                        encryptedCount++;
-                    } else {
-                        unencryptedCount++;
+            const result = await processFile(file, keys, downloadLinks, outputDirectory, activePool,
+                outputIndexes.get(file), fraction => updateFileProgress(fileId, fraction));
+            if (!result.cancelled && !result.skipped) {
+                const record = addProcessedRecord(file, result);
+                const fileCard = document.querySelector(`.file-card[data-file-id="${CSS.escape(fileId)}"]`);
+                const decrypted = decryptedFiles.find(item => item.fileId === fileId);
+                if (fileCard) {
+                    renderFileKeyName(fileCard, record);
+                    renderFileExif(fileCard, record);
+                    if (decrypted) {
+                        renderFileThumbnail(fileCard, decrypted);
                     }
+                }
+                if (outputDirectory && result.success && record.outputName) {
+                    rememberOutputPath(fileId, record.outputName);
+                }
+                saveSessionResult(record, decrypted || null, outputDirectory);
+            }
+            if (result.success) {
+                showFileOutcome(fileId, result);
+                completedIds.push(fileId);
+                successCount++;
+                if (result.isEncrypted) {
+                    encryptedCount++;
                 } else {
-                    updateFileStatus(fileId, 'error', result.error);
-                    errorCount++;
+                    unencryptedCount++;
                 }
-            } catch (error) {
-                updateFileStatus(fileId, 'error', error.message);
+            } else if (result.cancelled) {
+                updateFileStatus(fileId, 'ready', createMessage('status.cancelled'));
+                cancelledCount++;
+            } else if (result.skipped) {
+                updateFileStatus(fileId, 'skipped', result.error);
+                skippedCount++;
+            } else {
+                showFileOutcome(fileId, result);
                 errorCount++;
             }
-        }
+        }));
+        finishSessionRun(completedIds, cancelledCount > 0);
+        finishCaseRun(caseRun, {
+            succeeded: successCount,
+            failed: errorCount,
+            cancelled: cancelledCount,
+            skipped: skippedCount,
+            resumed: resumedCount
+        });
 
-        // Обновляем панель ссылок
+        // Обновляем панель ссылок и карту
         updateLinksPanel();
+        updateMapPanel();
 
         // Обновляем общий статус
         if (successCount > 0) {
-            let statusText = `✅ Успешно обработано: ${successCount} файлов`;
-            if (encryptedCount > 0) {
-                statusText += `\n🔓 Расшифровано: ${encryptedCount} файлов`;
-            }
-            if (unencryptedCount > 0) {
-                statusText += `\n📂 Обычных файлов: ${unencryptedCount}`;
-            }
-            if (extractedLinks.length > 0) {
-                statusText += `\n🔗 Извлечено ссылок: ${extractedLinks.length}`;
-            }
-            if (errorCount > 0) {
-                statusText += `\n⚠️ Ошибок: ${errorCount} файлов`;
-            }
-            statusDiv.textContent = statusText;
-            statusDiv.className = 'status-message success';
-            downloadAllBtn.style.display = 'inline-block';
+            const counts = [
+                ['summary.succeeded', successCount],
+                ['summary.decrypted', encryptedCount],
+                ['summary.unencrypted', unencryptedCount],
+                ['summary.links', extractedLinks.length],
+                ['summary.failed', errorCount],
+                ['summary.cancelled', cancelledCount],
+                ['summary.skipped', skippedCount]
+            ];
+            showStatus('success', ...counts
+                .filter(([key, count], index) => index === 0 || count > 0)
+                .map(([key, count]) => createMessage(key, { count })));
+            // Файлы, записанные в папку, в архив не собираются
+            downloadAllBtn.style.display = decryptedFiles.length > 0 ? 'inline-block' : 'none';
+        } else if (skippedCount > 0 && errorCount === 0) {
+            showStatus('success', createMessage('summary.allSkipped', { count: skippedCount }));
+        } else if (cancelledCount > 0) {
+            showStatus('error', createMessage('summary.processingCancelled'));
         } else {
-            statusDiv.textContent = `❌ Не удалось обработать ни одного файла. Проверьте пароль и файлы.`;
-            statusDiv.className = 'status-message error';
+            showStatus('error', createMessage('summary.nothingDecrypted'));
         }
 
     } catch (e) {
-        statusDiv.textContent = `❌ Общая ошибка: ${e.message}`;
-        statusDiv.className = 'status-message error';
+        showStatus('error', createMessage('summary.generalError', { error: getErrorMessage(e) }));
+        finishCaseRun(caseRun, { error: getErrorMessage(e) });
         
-        // Помечаем все файлы как ошибочные
-        selectedFiles.forEach(file => {
+        // Помечаем все обрабатывавшиеся файлы как ошибочные
+        pendingFiles.forEach(file => {
             const fileId = generateFileId(file);
-            updateFileStatus(fileId, 'error', 'Ошибка ключа');
+            updateFileStatus(fileId, 'error', createMessage('status.keyError'));
         });
     } finally {
+        releaseRunKeys(keys);
+        if (activePool) {
+            activePool.terminate();
+            activePool = null;
+        }
+        cancelBtn.style.display = 'none';
         loader.style.display = 'none';
+        updateExportActions();
+        updateGalleryButton();
+        refreshFilteredView();
     }
 }
 
 /**
- * Скачивает все расшифрованные файлы
- * Автоматически запускает скачивание каждого файла
+ * Шифрует один файл в формат GeoLens
+ * @param {File} file - файл для шифрования
+ * @param {CryptoKey} key - ключ generateKey
+ * @param {string} password - пароль для шифрования имени
+ * @param {string|null} link - ссылка для имени файла
+ * @param {HTMLElement} downloadLinks - контейнер для ссылок скачивания
+ * @returns {Promise<Object>} - результат обработки
  */
-function downloadAllFiles() {
-    decryptedFiles.forEach((file, index) => {
-        setTimeout(() => {
+async function encryptFile(file, key, password, link, downloadLinks) {
+    const startedAt = new Date().toISOString();
+    let inputSha256 = null;
+    try {
+        // Читаем файл
+        const fileData = await file.arrayBuffer();
+        inputSha256 = await hashBuffer(fileData);
+        
+        if (checkEncryptionMarker(fileData)) {
+            throw createCodedError('error.alreadyEncrypted');
+        }
+        
+        const encryptedData = await encryptFileData(fileData, key);
+        
+        // Дата в имени берется из времени изменения файла
+        const dateTime = formatFilenameDateTime(new Date(file.lastModified));
+        const extension = file.name.includes('.') ? file.name.split('.').pop() : 'bin';
+        const outputFileName = `${encryptFilename(dateTime, link, password)}.${extension}`;
+        
+        if (outputFileName.length > 255) {
+            throw createCodedError('error.linkTooLong');
+        }
+        const outputPath = buildOutputPath(file, outputFileName);
+        
+        // Сохраняем информацию о файле для массового скачивания
+        const blob = new Blob([encryptedData], { type: 'application/octet-stream' });
+        const encrypted = {
+            url: URL.createObjectURL(blob),
+            blob,
+            name: outputFileName,
+            path: outputPath,
+            fileId: generateFileId(file),
+            originalName: file.name,
+            originalPath: getRelativePath(file),
+            dateTime: dateTime,
+            link: link,
+            isEncrypted: false,
+            lastModified: file.lastModified
+        };
+        decryptedFiles.push(encrypted);
+        appendDownloadLink(downloadLinks, encrypted);
+        
+        return {
+            success: true,
+            dateTime: dateTime,
+            link: link,
+            isEncrypted: false,
+            outputFileName: outputFileName,
+            outputPath: outputPath,
+            inputSha256,
+            outputSha256: await hashBuffer(encryptedData),
+            startedAt,
+            finishedAt: new Date().toISOString()
+        };
+        
+    } catch (error) {
+        console.error('Ошибка шифрования файла:', error);
+        return {
+            success: false,
+            error: getErrorMessage(error),
+            isEncrypted: await hasEncryptionMarker(file),
+            inputSha256,
+            startedAt,
+            finishedAt: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Основная функция шифрования файлов
+ * @param {File[]} [files] - файлы для обработки; результаты остальных файлов сохраняются
+ */
+async function encryptFiles(files = selectedFiles) {
+    // Получаем элементы интерфейса
+    const linkInput = document.getElementById('encrypt-link');
+    const downloadLinks = document.getElementById('download-links');
+    const downloadAllBtn = document.getElementById('downloadAll');
+    const loader = document.getElementById('loader');
+    const fileIds = new Set(files.map(generateFileId));
+
+    // Сбрасываем интерфейс
+    hideStatus();
+    downloadAllBtn.style.display = 'none';
+    resetResults(fileIds);
+    updateLinksPanel();
+
+    // Проверяем, выбраны ли файлы
+    if (files.length === 0) {
+        showStatus('error', createMessage('summary.noFilesToEncrypt'));
+        return;
+    }
+
+    // Пароля по умолчанию нет: без пароля файлы не шифруются
+    const password = getFieldPassword();
+    if (!password) {
+        showStatus('error', createMessage('error.noPassword'));
+        return;
+    }
+    const link = linkInput.value.trim() || null;
+    showStatus('', createMessage('summary.encrypting', { count: files.length }));
+    loader.style.display = 'flex';
+    // Шифрование обрабатывает файлы заново
+    finishSessionRun([], false);
+    clearSessionResults(fileIds);
+    const candidates = [{ name: t('keyring.passwordField'), password }];
+    const caseRun = beginCaseRun('encrypt', files.length, candidates);
+    saveSessionSettings();
+    let keys = [];
+
+    try {
+        // Создаем ключ шифрования один раз на запуск
+        keys = await deriveRunKeys(candidates);
+        const [runKey] = keys;
+
+        let successCount = 0;
+        let errorCount = 0;
+
+        for (const file of files) {
+            // Ключ стерт экстренной очисткой: остальные файлы не шифруются
+            if (!runKey.key) break;
+            const fileId = generateFileId(file);
+            updateFileStatus(fileId, 'processing');
+            
+            const result = await encryptFile(file, runKey.key, runKey.password, link, downloadLinks);
+            const record = addProcessedRecord(file, result);
+            saveSessionResult(record, decryptedFiles.find(item => item.fileId === fileId) || null, null);
+            if (result.success) {
+                updateFileStatus(fileId, 'success', createMessage('status.encrypted', { name: result.outputFileName }));
+                successCount++;
+            } else {
+                updateFileStatus(fileId, 'error', result.error);
+                errorCount++;
+            }
+        }
+
+        finishCaseRun(caseRun, { succeeded: successCount, failed: errorCount });
+
+        // Карта по ссылкам, заданным для имен
+        updateMapPanel();
+
+        // Обновляем общий статус
+        if (successCount > 0) {
+            const messages = [createMessage('summary.encrypted', { count: successCount })];
+            if (errorCount > 0) {
+                messages.push(createMessage('summary.failed', { count: errorCount }));
+            }
+            showStatus('success', ...messages);
+            downloadAllBtn.style.display = decryptedFiles.length > 0 ? 'inline-block' : 'none';
+        } else {
+            showStatus('error', createMessage('summary.nothingEncrypted'));
+        }
+
+    } catch (e) {
+        showStatus('error', createMessage('summary.generalError', { error: getErrorMessage(e) }));
+        finishCaseRun(caseRun, { error: getErrorMessage(e) });
+    } finally {
+        releaseRunKeys(keys);
+        loader.style.display = 'none';
+        updateExportActions();
+        refreshFilteredView();
+    }
+}
+
+/**
+ * Переключает режим работы (расшифровка/шифрование)
+ * @param {string} mode - 'decrypt' или 'encrypt'
+ */
+function setMode(mode) {
+    currentMode = mode;
+    
+    document.querySelectorAll('.mode-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    
+    document.getElementById('run-btn').textContent = t(mode === 'encrypt' ? 'mode.runEncrypt' : 'mode.runDecrypt');
+    document.getElementById('encrypt-options').style.display = mode === 'encrypt' ? 'block' : 'none';
+    document.getElementById('output-options').style.display = mode === 'encrypt' ? 'none' : 'block';
+    document.getElementById('naming-options').style.display = mode === 'encrypt' ? 'none' : 'block';
+}
+
+/**
+ * Запускает обработку файлов в выбранном режиме
+ * @param {File[]} [files] - файлы для обработки; по умолчанию все выбранные
+ */
+function runSelectedMode(files = selectedFiles) {
+    if (currentMode === 'encrypt') {
+        encryptFiles(files);
+    } else {
+        decryptFiles(files);
+    }
+}
+
+/**
+ * Упорядочивает результаты так же, как выбранные файлы,
+ * чтобы порядок не зависел от порядка завершения воркеров
+ * @param {Object[]} items - элементы с полями fileId и originalName
+ * @returns {Object[]} - новый упорядоченный массив
+ */
+function sortBySelectionOrder(items) {
+    const order = new Map(selectedFiles.map((file, index) => [generateFileId(file), index]));
+    return [...items].sort((a, b) =>
+        (order.get(a.fileId) ?? Infinity) - (order.get(b.fileId) ?? Infinity) ||
+        a.originalName.localeCompare(b.originalName));
+}
+
+/**
+ * Скачивает текстовое содержимое как файл
+ * @param {string} content - содержимое
+ * @param {string} fileName - имя файла
+ * @param {string} mime - MIME-тип
+ */
+function downloadTextFile(content, fileName, mime) {
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * Возвращает записи для экспорта и отчета в порядке показа файлов
+ * При отборе возвращаются только показанные файлы, если не запрошены все; внутренний идентификатор
+ * файла отбрасывается, сообщения переводятся на текущий язык
+ * @param {boolean} [includeHidden=false] - вернуть и файлы, скрытые отбором
+ * @returns {Object[]}
+ */
+function getRecordsForExport(includeHidden = false) {
+    const visibleIds = !includeHidden && hasActiveFileFilters()
+        ? new Set(getVisibleFiles().map(generateFileId))
+        : null;
+    const selectedRecords = visibleIds
+        ? processedRecords.filter(record => visibleIds.has(record.fileId))
+        : processedRecords;
+
+    return sortByFileOrder(selectedRecords).map(({ fileId, ...record }) => ({
+        ...record,
+        timestamp: formatTimestamp(resolveFileTimestamp(record.dateTime)),
+        verificationReason: record.verificationReason && localize(record.verificationReason),
+        error: record.error && localize(record.error)
+    }));
+}
+
+/**
+ * Экспортирует сведения об обработанных файлах
+ * @param {string} format - 'csv', 'json' или 'geojson'
+ */
+function exportRecords(format) {
+    const records = getRecordsForExport();
+    if (records.length === 0) return;
+    
+    const formats = {
+        csv: { build: buildRecordsCsv, ext: 'csv', mime: 'text/csv;charset=utf-8' },
+        json: { build: buildRecordsJson, ext: 'json', mime: 'application/json' },
+        geojson: { build: buildRecordsGeoJson, ext: 'geojson', mime: 'application/geo+json' }
+    };
+    const { build, ext, mime } = formats[format];
+    downloadTextFile(build(records), `geolens_${formatFilenameDateTime(new Date())}.${ext}`, mime);
+}
+
+/**
+ * Показывает или скрывает кнопки экспорта
+ */
+function updateExportActions() {
+    const exportActions = document.getElementById('export-actions');
+    const geoJsonBtn = document.getElementById('export-geojson-btn');
+    
+    exportActions.style.display = processedRecords.length > 0 ? 'flex' : 'none';
+    
+    const hasCoordinates = hasRecordCoordinates(processedRecords);
+    geoJsonBtn.disabled = !hasCoordinates;
+    geoJsonBtn.title = t(hasCoordinates ? 'actions.geoJsonTitle' : 'actions.noCoordinates');
+}
+
+/**
+ * Предлагает выбрать файл для сохранения архива через File System Access API
+ * Вызывается до первого await в обработчике клика, пока действует жест пользователя
+ * @param {string} suggestedName - предлагаемое имя файла
+ * @returns {Promise<FileSystemFileHandle|null>} - выбранный файл или null
+ */
+async function pickArchiveFile(suggestedName) {
+    if (!('showSaveFilePicker' in window)) {
+        return null;
+    }
+    
+    try {
+        return await window.showSaveFilePicker({
+            suggestedName,
+            types: [{ description: 'ZIP', accept: { 'application/zip': ['.zip'] } }]
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        // Диалог недоступен — собираем архив в памяти
+        console.log('Диалог сохранения недоступен:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Формирует содержимое manifest.json для архива
+ * @param {Object[]} files - записи decryptedFiles в порядке архива
+ * @param {string[]} entryNames - пути файлов внутри архива
+ * @returns {string} - JSON манифеста
+ */
+function buildArchiveManifest(files, entryNames) {
+    return JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        mode: currentMode,
+        files: files.map((file, index) => ({
+            original: file.originalPath,
+            output: entryNames[index],
+            dateTime: file.dateTime || null,
+            link: file.link || null,
+            encrypted: file.isEncrypted
+        }))
+    }, null, 2);
+}
+
+/**
+ * Скачивает все обработанные файлы одним ZIP-архивом
+ * Архив пишется потоково: на диск через File System Access API, если он доступен,
+ * иначе собирается из фрагментов в Blob
+ */
+async function downloadAllFiles() {
+    if (decryptedFiles.length === 0) return;
+    
+    const downloadAllBtn = document.getElementById('downloadAll');
+    const archiveName = `geolens_${formatFilenameDateTime(new Date())}.zip`;
+    
+    let archiveFile;
+    try {
+        archiveFile = await pickArchiveFile(archiveName);
+    } catch (error) {
+        // Пользователь закрыл диалог сохранения
+        return;
+    }
+    
+    const files = sortByFileOrder(decryptedFiles);
+    // Файлы из папок попадают в архив с той же структурой папок
+    const entryNames = resolveDuplicateNames(files.map(file => file.path), ['manifest.json']);
+    
+    const totalBytes = files.reduce((sum, file) => sum + file.blob.size, 0);
+    let doneBytes = 0;
+    const buttonText = downloadAllBtn.textContent;
+    downloadAllBtn.disabled = true;
+    
+    let sink = null;
+    try {
+        sink = archiveFile ? await createFileHandleSink(archiveFile) : createBlobSink('application/zip');
+        const zip = createZipWriter(sink);
+        
+        const manifest = new Blob([buildArchiveManifest(files, entryNames)], { type: 'application/json' });
+        await zip.addFile('manifest.json', manifest);
+        
+        for (let i = 0; i < files.length; i++) {
+            await zip.addFile(entryNames[i], files[i].blob, {
+                modified: new Date(files[i].lastModified),
+                onProgress: bytes => {
+                    const percent = totalBytes > 0 ? Math.round((doneBytes + bytes) / totalBytes * 100) : 100;
+                    downloadAllBtn.textContent = t('actions.archiveProgress', { percent });
+                }
+            });
+            doneBytes += files[i].blob.size;
+        }
+        
+        const archive = await zip.close();
+        sink = null;
+        
+        if (archive) {
+            // Архив собран в памяти — скачиваем его обычной ссылкой
+            const url = URL.createObjectURL(archive);
             const link = document.createElement('a');
-            link.href = file.url;
-            link.download = file.name;
+            link.href = url;
+            link.download = archiveName;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
-        }, index * 200); // Увеличенная задержка между скачиваниями
-    });
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+    } catch (error) {
+        console.error('Ошибка создания архива:', error);
+        if (sink) {
+            await sink.abort().catch(() => {});
+        }
+        showStatus('error', createMessage('summary.archiveFailed', { error: getErrorMessage(error) }));
+    } finally {
+        downloadAllBtn.textContent = buttonText;
+        downloadAllBtn.disabled = false;
+    }
+}
+
+/**
+ * Переключает язык интерфейса и запоминает выбор
+ * @param {string} locale - 'ru' или 'en'
+ */
+function switchLanguage(locale) {
+    setLocale(locale);
+    localStorage.setItem(LOCALE_STORAGE_KEY, currentLocale);
+    refreshLocalizedViews();
+}
+
+/**
+ * Перерисовывает интерфейс на текущем языке
+ */
+function refreshLocalizedViews() {
+    applyTranslations();
+    setMode(currentMode);
+    renderStatus();
+    renderKeyringStatus();
+    renderOutputFolder();
+    renderNamingOptions();
+    renderSessionBanner();
+    // Вместе со связкой перерисовываются и карточки файлов
+    renderKeyring();
+    updateFilesCounter();
+    updateLinksPanel();
+    updateMapPanel();
+    updateExportActions();
+    renderInspector();
+    renderKeyRecovery();
 }
 
 // Инициализация при загрузке страницы
 document.addEventListener('DOMContentLoaded', function() {
+    setLocale(detectLocale());
+    applyTranslations();
+    setMode(currentMode);
     initializeDragAndDrop();
+    initializeGallery();
+    initializeNamingOptions();
+    initializeFileFilters();
+    renderKeyring();
+    renderOutputFolder();
+    initializeSession();
+    initializeCaseReport();
+    initializeSecrets();
+    renderKeyRecovery();
+    initializePwa();
     
     // Добавляем обработчик клика на зону перетаскивания
     const dropZone = document.getElementById('drop-zone');
-    dropZone.addEventListener('click', function() {
+    dropZone.addEventListener('click', function(e) {
+        // Кнопки выбора файлов и папки открывают свои диалоги сами
+        if (e.target.closest('label, button, input')) return;
         document.getElementById('file-upload').click();
     });
+    document.getElementById('folder-pick-btn').addEventListener('click', pickFolder);
+    
+    // Обработчики назначаются здесь: встроенные onclick запрещены политикой CSP
+    document.querySelectorAll('.language-btn').forEach(button => {
+        button.addEventListener('click', () => switchLanguage(button.dataset.locale));
+    });
+    document.querySelectorAll('.mode-btn').forEach(button => {
+        button.addEventListener('click', () => setMode(button.dataset.mode));
+    });
+    document.querySelectorAll('.export-btn[data-format]').forEach(button => {
+        button.addEventListener('click', () => exportRecords(button.dataset.format));
+    });
+    const clickHandlers = {
+        'keyring-add-btn': addKeyringEntry,
+        'keyring-save-btn': saveKeyring,
+        'keyring-load-btn': loadKeyring,
+        'keyring-forget-btn': forgetKeyring,
+        'output-folder-pick-btn': pickOutputFolder,
+        'output-folder-reset-btn': resetOutputFolder,
+        'run-btn': runSelectedMode,
+        'cancel-btn': cancelProcessing,
+        'downloadAll': downloadAllFiles,
+        'gallery-btn': openGallery,
+        'copyAllLinksBtn': copyAllLinks,
+        'session-restore-btn': restoreSession,
+        'session-clear-btn': clearSessionHistory,
+        'password-toggle': togglePasswordVisibility,
+        'panic-clear-btn': panicClear,
+        'inspector-close-btn': closeInspector,
+        'recovery-run-btn': runKeyRecovery,
+        'recovery-cancel-btn': cancelKeyRecovery
+    };
+    for (const [id, handler] of Object.entries(clickHandlers)) {
+        document.getElementById(id).addEventListener('click', () => handler());
+    }
     
     // Добавляем обработчик для обновления карточек при изменении пароля
     const passwordInput = document.getElementById('password');
@@ -0,0 +1,165 @@
+// Обращение с секретами на странице: пароль из поля, ключи запуска, блокировка при бездействии
+// и экстренная очистка. Пароля по умолчанию нет. Ключи создаются один раз на запуск неизвлекаемыми
+// (CryptoKey) и после запуска забываются; JavaScript не позволяет затереть строку пароля в памяти,
+// поэтому на странице не остается ссылок на пароли и ключи, и их освобождает сборщик мусора.
+
+// Ключ localStorage для времени блокировки при бездействии (в минутах)
+const IDLE_LOCK_STORAGE_KEY = 'geolens-idle-lock';
+
+// События, которые считаются действиями пользователя
+const IDLE_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+// Время блокировки при бездействии в минутах; 0 — блокировка выключена
+let idleLockMinutes = 0;
+let idleLockTimer = null;
+
+// Ключи идущих запусков: { name, password, key }; блокировка стирает их
+let runKeys = [];
+
+/**
+ * Возвращает пароль из поля «Пароль»
+ * @returns {string} - пароль или пустая строка
+ */
+function getFieldPassword() {
+    return document.getElementById('password').value;
+}
+
+/**
+ * Создает ключи для запуска один раз на все файлы
+ * Пока ключи не освобождены releaseRunKeys, блокировка при бездействии откладывается
+ * @param {Object[]} candidates - пароли { name, password }
+ * @returns {Promise<Object[]>} - ключи { name, password, key } в порядке candidates
+ */
+async function deriveRunKeys(candidates) {
+    const keys = await Promise.all(candidates.map(async candidate => ({
+        ...candidate,
+        key: await generateKey(candidate.password)
+    })));
+    runKeys.push(...keys);
+    return keys;
+}
+
+/**
+ * Стирает ключи запуска: запись теряет пароль и CryptoKey
+ * @param {Object[]} keys - ключи deriveRunKeys
+ */
+function releaseRunKeys(keys) {
+    keys.forEach(entry => {
+        entry.password = null;
+        entry.key = null;
+    });
+    runKeys = runKeys.filter(entry => !keys.includes(entry));
+}
+
+/**
+ * Показывает или скрывает пароль в поле «Пароль»
+ * @param {boolean} visible - показать пароль
+ */
+function setPasswordVisible(visible) {
+    const toggle = document.getElementById('password-toggle');
+    const messageKey = visible ? 'secrets.hide' : 'secrets.show';
+    document.getElementById('password').type = visible ? 'text' : 'password';
+    toggle.setAttribute('aria-pressed', String(visible));
+    // Подпись переводится при смене языка по data-i18n
+    toggle.dataset.i18n = messageKey;
+    toggle.textContent = t(messageKey);
+}
+
+/**
+ * Переключает видимость пароля
+ */
+function togglePasswordVisibility() {
+    setPasswordVisible(document.getElementById('password').type === 'password');
+}
+
+/**
+ * Перезапускает отсчет бездействия
+ */
+function scheduleIdleLock() {
+    clearTimeout(idleLockTimer);
+    idleLockTimer = idleLockMinutes > 0
+        ? setTimeout(handleIdleTimeout, idleLockMinutes * 60 * 1000)
+        : null;
+}
+
+/**
+ * Блокирует страницу по истечении времени бездействия
+ * Идущий запуск не прерывается: блокировка откладывается до его окончания
+ */
+function handleIdleTimeout() {
+    if (runKeys.length > 0) {
+        scheduleIdleLock();
+        return;
+    }
+    lockSecrets();
+    showStatus('', createMessage('secrets.idleLocked', { minutes: idleLockMinutes }));
+}
+
+/**
+ * Стирает секреты и расшифрованные данные: поля паролей, связку в памяти, ключи запусков,
+ * подобранные пароли, результаты в памяти и в сохраненной сессии, дампы инспектора;
+ * ссылки blob: отзываются.
+ * Сведения о файлах (даты, ссылки, хеши) остаются
+ */
+function lockSecrets() {
+    runKeys.forEach(entry => {
+        entry.password = null;
+        entry.key = null;
+    });
+    runKeys = [];
+    document.getElementById('password').value = '';
+    setPasswordVisible(false);
+    clearKeyring();
+
+    revokeDecryptedFiles(decryptedFiles);
+    decryptedFiles = [];
+    clearThumbnails();
+    closeInspector();
+    clearKeyRecovery();
+    document.querySelectorAll('#download-links .download-btn').forEach(link => link.remove());
+    document.getElementById('downloadAll').style.display = 'none';
+    // Файлы без результатов при продолжении обрабатываются заново
+    resumeFileIds = new Set();
+    dropSessionOutputs();
+    if (selectedFiles.length > 0) {
+        updateFilesDisplay();
+    }
+}
+
+/**
+ * Экстренная очистка: останавливает обработку и стирает всю сессию —
+ * секреты, файлы, результаты, сведения, запуски отчета и сохраненную историю.
+ * Связка, сохраненная под мастер-паролем, остается зашифрованной в браузере
+ */
+async function panicClear() {
+    cancelProcessing();
+    lockSecrets();
+    clearAllFiles();
+    caseRuns = [];
+    document.getElementById('encrypt-link').value = '';
+    await clearSessionHistory();
+    showStatus('', createMessage('secrets.panicDone'));
+}
+
+/**
+ * Подключает переключатель видимости пароля и блокировку при бездействии
+ */
+function initializeSecrets() {
+    const idleSelect = document.getElementById('idle-lock');
+    const storedMinutes = localStorage.getItem(IDLE_LOCK_STORAGE_KEY) || '0';
+    if ([...idleSelect.options].some(option => option.value === storedMinutes)) {
+        idleSelect.value = storedMinutes;
+    }
+    idleLockMinutes = Number(idleSelect.value);
+    idleSelect.addEventListener('change', () => {
+        idleLockMinutes = Number(idleSelect.value);
+        localStorage.setItem(IDLE_LOCK_STORAGE_KEY, idleSelect.value);
+        scheduleIdleLock();
+    });
+
+    IDLE_ACTIVITY_EVENTS.forEach(eventName => {
+        document.addEventListener(eventName, scheduleIdleLock, { capture: true, passive: true });
+    });
+    scheduleIdleLock();
+    setPasswordVisible(false);
+}
@@ -0,0 +1,550 @@
+// Сессия обработки в IndexedDB: выбранные файлы (с дескрипторами File System Access API,
+// если браузер их дает), статусы, сведения о файлах, настройки запуска и — только если пользователь
+// это включил — результаты в памяти. После перезагрузки страницы сессию можно восстановить
+// и продолжить: файлы, результат которых сохранен в сессии или записан в папку, повторно
+// не обрабатываются. Пароли, связка и ключи в сессию не записываются — после восстановления
+// пароль вводится заново.
+
+// База сессии
+const SESSION_DB_NAME = 'geolens-session';
+const SESSION_DB_VERSION = 1;
+
+// Хранилища: files — выбранные файлы, statuses — статусы карточек,
+// results — сведения и результаты обработанных файлов, meta — настройки запуска
+const SESSION_STORES = ['files', 'statuses', 'results', 'meta'];
+
+// Статусы файлов, которые при продолжении сессии не обрабатываются повторно
+const SESSION_COMPLETED_STATUSES = ['success', 'warning'];
+
+// Ключ localStorage для согласия хранить результаты в сессии
+const SESSION_OUTPUTS_STORAGE_KEY = 'geolens-session-outputs';
+
+// Хранить ли в сессии расшифрованные файлы: по умолчанию нет, чтобы открытые данные
+// не оставались в профиле браузера после закрытия вкладки и не занимали место
+let sessionStoreOutputs = false;
+
+// Ошибка записи результата в сессию (например, нехватка места) для баннера или null
+let sessionOutputError = null;
+
+// 'none' — сохраненной сессии нет, 'stored' — есть сохраненная история,
+// 'active' — выбранные файлы и результаты записываются в сессию
+let sessionState = 'none';
+
+// Сведения о сохраненной сессии для баннера: { fileCount, doneCount, updatedAt }
+let sessionSummary = null;
+
+// Корневые папки, из которых добавлены файлы: по ним доступ к файлам запрашивается одним разрешением
+let sessionDirectories = [];
+
+// Файлы, уже обработанные в этой сессии: при следующем запуске расшифровки они пропускаются
+let resumeFileIds = new Set();
+
+// Открытие базы (одно на страницу)
+let sessionDbPromise = null;
+
+/**
+ * Проверяет, может ли браузер сохранять сессию
+ * @returns {boolean}
+ */
+function isSessionSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Открывает базу сессии, создавая хранилища при первом открытии
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSessionDb() {
+    if (!sessionDbPromise) {
+        sessionDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('files', { keyPath: 'fileId' });
+                db.createObjectStore('statuses', { keyPath: 'fileId' });
+                db.createObjectStore('results', { keyPath: 'fileId' });
+                db.createObjectStore('meta', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return sessionDbPromise;
+}
+
+/**
+ * Выполняет транзакцию над хранилищами сессии
+ * Транзакции записи выполняются в порядке создания, поэтому очистка
+ * и последующая запись не обгоняют друг друга
+ * @param {string[]} storeNames - хранилища
+ * @param {string} mode - 'readonly' или 'readwrite'
+ * @param {Function} callback - получает хранилища в порядке storeNames, может вернуть запросы
+ * @returns {Promise<*>} - результаты возвращенных запросов после завершения транзакции
+ */
+async function runSessionTransaction(storeNames, mode, callback) {
+    const db = await openSessionDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const requests = callback(...storeNames.map(name => transaction.objectStore(name)));
+        transaction.oncomplete = () => resolve(Array.isArray(requests)
+            ? requests.map(request => request.result)
+            : requests && requests.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Записывает изменения в активную сессию
+ * Ошибка записи (например, нехватка места) не прерывает обработку файлов
+ * @param {string[]} storeNames - хранилища
+ * @param {Function} callback - получает хранилища в порядке storeNames
+ */
+function writeSession(storeNames, callback) {
+    if (sessionState !== 'active') {
+        return;
+    }
+    runSessionTransaction(storeNames, 'readwrite', callback).catch(error => {
+        console.log('Сессия не сохранена:', error.message);
+    });
+}
+
+/**
+ * Собирает настройки запуска для сохранения; пароли сюда не попадают
+ * @returns {Object}
+ */
+function buildSessionMeta() {
+    return {
+        id: 'session',
+        updatedAt: Date.now(),
+        mode: currentMode,
+        conflictPolicy: getOutputConflictPolicy(),
+        resumeOutput: isOutputResumeEnabled(),
+        encryptLink: document.getElementById('encrypt-link').value,
+        outputFolder,
+        directories: sessionDirectories,
+        outputPaths: [...outputWrittenPaths],
+        runs: caseRuns
+    };
+}
+
+/**
+ * Начинает новую сессию: сохраненная история заменяется
+ */
+function startSession() {
+    sessionState = 'active';
+    sessionDirectories = [];
+    resumeFileIds = new Set();
+    writeSession(SESSION_STORES, (...stores) => {
+        stores.forEach(store => store.clear());
+    });
+    renderSessionBanner();
+}
+
+/**
+ * Отключает страницу от сессии; сохраненная история остается до очистки
+ */
+async function detachSession() {
+    if (sessionState !== 'active') {
+        return;
+    }
+    sessionState = 'stored';
+    resumeFileIds = new Set();
+    await refreshSessionSummary();
+}
+
+/**
+ * Сохраняет добавленные файлы; первые файлы на пустой странице начинают новую сессию
+ * @param {File[]} files - добавленные файлы
+ */
+function saveSessionFiles(files) {
+    if (!isSessionSupported() || files.length === 0) {
+        return;
+    }
+    if (sessionState !== 'active') {
+        startSession();
+    }
+    const entries = files.map(file => ({
+        fileId: generateFileId(file),
+        // Порядок выбора восстанавливается по позиции в списке
+        position: selectedFiles.indexOf(file),
+        relativePath: getRelativePath(file),
+        name: file.name,
+        size: file.size,
+        lastModified: file.lastModified,
+        handle: fileHandles.get(file) || null
+    }));
+    writeSession(['files', 'meta'], (filesStore, metaStore) => {
+        entries.forEach(entry => filesStore.put(entry));
+        metaStore.put(buildSessionMeta());
+    });
+}
+
+/**
+ * Запоминает корневую папку, из которой добавлены файлы
+ * @param {FileSystemDirectoryHandle} directory - папка
+ */
+function rememberSessionDirectory(directory) {
+    sessionDirectories.push(directory);
+    saveSessionSettings();
+}
+
+/**
+ * Сохраняет текущие настройки запуска
+ */
+function saveSessionSettings() {
+    writeSession(['meta'], metaStore => {
+        metaStore.put(buildSessionMeta());
+    });
+}
+
+/**
+ * Удаляет файл и его результаты из сессии
+ * @param {string} fileId - ID файла
+ */
+function deleteSessionFile(fileId) {
+    resumeFileIds.delete(fileId);
+    writeSession(['files', 'statuses', 'results'], (...stores) => {
+        stores.forEach(store => store.delete(fileId));
+    });
+}
+
+/**
+ * Сохраняет статус файла
+ * @param {string} fileId - ID файла
+ * @param {string} status - статус (см. updateFileStatus)
+ * @param {Object|string} message - сообщение createMessage или текст
+ */
+function saveSessionStatus(fileId, status, message) {
+    writeSession(['statuses'], statusesStore => {
+        statusesStore.put({ fileId, status, message });
+    });
+}
+
+/**
+ * Удаляет сохраненные результаты файлов перед их повторной обработкой
+ * @param {Set<string>} fileIds - ID файлов
+ */
+function clearSessionResults(fileIds) {
+    writeSession(['results'], resultsStore => {
+        fileIds.forEach(fileId => resultsStore.delete(fileId));
+    });
+}
+
+/**
+ * Сохраняет сведения и результат обработанного файла
+ * @param {Object} record - запись processedRecords
+ * @param {Object|null} output - запись decryptedFiles или null, если результат записан в папку
+ * @param {FileSystemDirectoryHandle|null} outputDirectory - папка, в которую записан результат
+ */
+function saveSessionResult(record, output, outputDirectory) {
+    const entry = {
+        fileId: record.fileId,
+        record,
+        output: null,
+        folderName: !output && outputDirectory ? outputDirectory.name : null
+    };
+    if (!output || !sessionStoreOutputs || sessionState !== 'active') {
+        writeSession(['results'], resultsStore => {
+            resultsStore.put(entry);
+        });
+        return;
+    }
+    // Ссылка blob: действует только на этой странице, при восстановлении создается новая
+    runSessionTransaction(['results'], 'readwrite', resultsStore => {
+        resultsStore.put({ ...entry, output: { ...output, url: null } });
+    }).catch(error => {
+        // Без места результат не хранится, но сведения о файле сохраняются
+        sessionOutputError = error.message;
+        renderSessionBanner();
+        writeSession(['results'], resultsStore => {
+            resultsStore.put(entry);
+        });
+    });
+}
+
+/**
+ * Проверяет, можно ли не обрабатывать файл при продолжении сессии:
+ * он завершен, и его результат сохранен в сессии или записан в папку
+ * @param {Object} status - запись хранилища statuses
+ * @param {Object|undefined} result - запись хранилища results
+ * @returns {boolean}
+ */
+function isSessionFileResumable(status, result) {
+    return SESSION_COMPLETED_STATUSES.includes(status.status) &&
+        Boolean(result && (result.output || result.folderName));
+}
+
+/**
+ * Включает или выключает хранение результатов в сессии
+ * При выключении уже сохраненные результаты удаляются
+ * @param {boolean} enabled - хранить результаты
+ */
+function setSessionStoreOutputs(enabled) {
+    sessionStoreOutputs = enabled;
+    sessionOutputError = null;
+    localStorage.setItem(SESSION_OUTPUTS_STORAGE_KEY, enabled ? '1' : '0');
+    document.getElementById('session-store-outputs').checked = enabled;
+    if (!enabled) {
+        dropSessionOutputs();
+    }
+    renderSessionBanner();
+}
+
+/**
+ * Удаляет из сохраненной сессии расшифрованные данные, сведения о файлах остаются
+ * Файлы без сохраненного результата при продолжении обрабатываются заново
+ * Вызывается блокировкой и при отказе от хранения результатов
+ */
+function dropSessionOutputs() {
+    if (!isSessionSupported()) {
+        return;
+    }
+    runSessionTransaction(['results', 'statuses'], 'readwrite', (resultsStore, statusesStore) => {
+        resultsStore.openCursor().onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (cursor.value.output) {
+                cursor.update({ ...cursor.value, output: null });
+                statusesStore.delete(cursor.value.fileId);
+            }
+            cursor.continue();
+        };
+    }).catch(error => {
+        console.log('Результаты сессии не удалены:', error.message);
+    });
+}
+
+/**
+ * Запоминает файлы, завершенные в запуске расшифровки
+ * Прерванный запуск продолжается со следующего файла, завершенный — начинается заново
+ * @param {string[]} completedIds - файлы, обработанные в этом запуске
+ * @param {boolean} interrupted - запуск был отменен
+ */
+function finishSessionRun(completedIds, interrupted) {
+    resumeFileIds = interrupted ? new Set([...resumeFileIds, ...completedIds]) : new Set();
+}
+
+/**
+ * Читает сведения о сохраненной сессии и перерисовывает баннер
+ */
+async function refreshSessionSummary() {
+    try {
+        const [meta, fileCount, statuses, results] = await runSessionTransaction(['meta', 'files', 'statuses', 'results'], 'readonly',
+            (metaStore, filesStore, statusesStore, resultsStore) =>
+                [metaStore.get('session'), filesStore.count(), statusesStore.getAll(), resultsStore.getAll()]);
+        const resultsById = new Map(results.map(result => [result.fileId, result]));
+        sessionSummary = meta && fileCount > 0 ? {
+            fileCount,
+            doneCount: statuses.filter(entry => isSessionFileResumable(entry, resultsById.get(entry.fileId))).length,
+            updatedAt: meta.updatedAt
+        } : null;
+    } catch (error) {
+        console.log('Сессия не прочитана:', error.message);
+        sessionSummary = null;
+    }
+    if (sessionState !== 'active') {
+        sessionState = sessionSummary ? 'stored' : 'none';
+    }
+    renderSessionBanner();
+}
+
+/**
+ * Показывает баннер сессии: предложение продолжить сохраненную или очистку истории
+ */
+function renderSessionBanner() {
+    const banner = document.getElementById('session-banner');
+    if (!isSessionSupported() || sessionState === 'none') {
+        banner.style.display = 'none';
+        return;
+    }
+    banner.style.display = 'flex';
+    let text;
+    if (sessionState === 'stored') {
+        text = t('session.available', {
+            count: sessionSummary.fileCount,
+            done: sessionSummary.doneCount,
+            date: new Date(sessionSummary.updatedAt).toLocaleString(currentLocale)
+        });
+    } else if (sessionOutputError) {
+        text = t('session.outputsNotSaved', { error: sessionOutputError });
+    } else {
+        text = t(sessionStoreOutputs ? 'session.activeWithOutputs' : 'session.active');
+    }
+    document.getElementById('session-text').textContent = text;
+    document.getElementById('session-restore-btn').style.display = sessionState === 'stored' ? 'inline-block' : 'none';
+}
+
+/**
+ * Запрашивает доступ на чтение к сохраненному дескриптору
+ * @param {FileSystemHandle} handle - дескриптор файла или папки
+ * @returns {Promise<boolean>} - доступ есть
+ */
+async function requestSessionHandleAccess(handle) {
+    const options = { mode: 'read' };
+    try {
+        return await handle.queryPermission(options) === 'granted' ||
+            await handle.requestPermission(options) === 'granted';
+    } catch (error) {
+        console.log('Нет доступа к файлу сессии:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Открывает сохраненные файлы по дескрипторам
+ * Доступ к папке открывает и вложенные файлы, поэтому сначала запрашиваются папки
+ * @param {Object[]} entries - записи хранилища files в порядке выбора
+ * @param {FileSystemDirectoryHandle[]} directories - корневые папки
+ * @returns {Promise<Object>} - { files, missing } — открытые файлы и записи файлов, которые нужно выбрать заново
+ */
+async function openSessionFiles(entries, directories) {
+    for (const directory of directories) {
+        await requestSessionHandleAccess(directory);
+    }
+
+    const files = [];
+    const missing = [];
+    for (const entry of entries) {
+        if (!entry.handle || !await requestSessionHandleAccess(entry.handle)) {
+            missing.push(entry);
+            continue;
+        }
+        try {
+            const file = await entry.handle.getFile();
+            fileRelativePaths.set(file, entry.relativePath);
+            fileHandles.set(file, entry.handle);
+            files.push(file);
+        } catch (error) {
+            // Файл удален или перемещен
+            console.log('Файл сессии не открыт:', error.message);
+            missing.push(entry);
+        }
+    }
+    return { files, missing };
+}
+
+/**
+ * Восстанавливает сохраненную сессию: файлы, статусы, сведения, результаты и настройки
+ * Вызывается по кнопке, пока действует жест пользователя для запроса доступа к файлам
+ */
+async function restoreSession() {
+    let stored;
+    try {
+        stored = await runSessionTransaction(SESSION_STORES, 'readonly',
+            (filesStore, statusesStore, resultsStore, metaStore) =>
+                [filesStore.getAll(), statusesStore.getAll(), resultsStore.getAll(), metaStore.get('session')]);
+    } catch (error) {
+        showStatus('error', createMessage('summary.generalError', { error: error.message }));
+        return;
+    }
+    const [entries, statuses, results, meta] = stored;
+    if (!meta) {
+        await refreshSessionSummary();
+        return;
+    }
+
+    entries.sort((a, b) => a.position - b.position);
+    const { files, missing } = await openSessionFiles(entries, meta.directories || []);
+
+    sessionState = 'active';
+    sessionDirectories = meta.directories || [];
+    selectedFiles = files;
+    // Завершенные файлы без сохраненного результата обрабатываются заново и показываются необработанными
+    const resultsById = new Map(results.map(result => [result.fileId, result]));
+    resumeFileIds = new Set(statuses
+        .filter(entry => isSessionFileResumable(entry, resultsById.get(entry.fileId)))
+        .map(entry => entry.fileId));
+    fileStatuses = new Map(statuses
+        .filter(entry => !SESSION_COMPLETED_STATUSES.includes(entry.status) || resumeFileIds.has(entry.fileId))
+        .map(entry => [entry.fileId, { status: entry.status, message: entry.message }]));
+
+    // Результаты сохраняются и для файлов, которые нужно выбрать заново
+    const downloadLinks = document.getElementById('download-links');
+    revokeDecryptedFiles(decryptedFiles);
+    clearThumbnails();
+    downloadLinks.replaceChildren();
+    processedRecords = results.map(result => result.record);
+    decryptedFiles = [];
+    results.forEach(result => {
+        if (result.output) {
+            const entry = { ...result.output, url: URL.createObjectURL(result.output.blob) };
+            decryptedFiles.push(entry);
+            appendDownloadLink(downloadLinks, entry);
+        } else if (result.folderName && result.record.outputName) {
+            appendSavedFileNote(downloadLinks, result.fileId, result.record.relativePath,
+                result.folderName, result.record.outputName);
+        }
+    });
+    extractedLinks = processedRecords
+        .filter(record => record.link)
+        .map(record => ({
+            fileId: record.fileId,
+            originalName: record.originalName,
+            filename: record.relativePath,
+            dateTime: record.dateTime,
+            link: record.link
+        }));
+
+    // Настройки запуска; папка результатов запросит разрешение на запись при запуске
+    setMode(meta.mode || 'decrypt');
+    document.getElementById('output-conflict').value = meta.conflictPolicy || 'rename';
+    document.getElementById('output-resume').checked = Boolean(meta.resumeOutput);
+    document.getElementById('encrypt-link').value = meta.encryptLink || '';
+    outputFolder = meta.outputFolder || null;
+    outputWrittenPaths = new Map(meta.outputPaths || []);
+    renderOutputFolder();
+    caseRuns = meta.runs || [];
+
+    updateFilesDisplay();
+    updateLinksPanel();
+    updateMapPanel();
+    updateExportActions();
+    updateGalleryButton();
+    document.getElementById('downloadAll').style.display = decryptedFiles.length > 0 ? 'inline-block' : 'none';
+    renderSessionBanner();
+
+    const messages = [createMessage('session.restored', { count: files.length, done: resumeFileIds.size })];
+    if (missing.length > 0) {
+        messages.push(createMessage('session.missing', {
+            count: missing.length,
+            names: missing.slice(0, 5).map(entry => entry.relativePath).join(', ')
+        }));
+    }
+    messages.push(createMessage('session.enterPassword'));
+    showStatus(missing.length > 0 ? 'error' : 'success', ...messages);
+}
+
+/**
+ * Очищает сохраненную историю; выбранные файлы и результаты на странице остаются
+ */
+async function clearSessionHistory() {
+    try {
+        await runSessionTransaction(SESSION_STORES, 'readwrite', (...stores) => {
+            stores.forEach(store => store.clear());
+        });
+    } catch (error) {
+        console.log('История не очищена:', error.message);
+    }
+    // Дальнейшие изменения на странице в историю не записываются, пока не начнется новая сессия
+    sessionState = 'none';
+    sessionSummary = null;
+    sessionOutputError = null;
+    resumeFileIds = new Set();
+    renderSessionBanner();
+}
+
+/**
+ * Подключает сессию: читает сохраненную историю и показывает предложение продолжить
+ */
+async function initializeSession() {
+    const storeOutputs = document.getElementById('session-store-outputs');
+    sessionStoreOutputs = localStorage.getItem(SESSION_OUTPUTS_STORAGE_KEY) === '1';
+    storeOutputs.checked = sessionStoreOutputs;
+    storeOutputs.disabled = !isSessionSupported();
+    storeOutputs.addEventListener('change', () => setSessionStoreOutputs(storeOutputs.checked));
+    if (!isSessionSupported()) {
+        return;
+    }
+    await refreshSessionSummary();
+}
@@ -0,0 +1,135 @@
+// Сервис-воркер: хранит файлы приложения в кэше, чтобы страница открывалась без сети,
+// и принимает файлы из системного меню «Поделиться» (share_target в manifest.webmanifest).
+// Файлы приложения запрашиваются сначала из сети, чтобы обновления применялись сразу,
+// а при недоступной сети берутся из кэша. Запросы к другим источникам не обрабатываются.
+
+// Кэш файлов приложения; при смене состава файлов имя меняется, старые кэши удаляются
+const APP_CACHE = 'geolens-app-v1';
+
+// Файлы, без которых приложение не работает: установка без них не завершается
+const APP_ASSETS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'i18n.js',
+    'core.js',
+    'exif.js',
+    'verify.js',
+    'recovery.js',
+    'zip.js',
+    'geo.js',
+    'export.js',
+    'map-view.js',
+    'naming.js',
+    'filters.js',
+    'gallery.js',
+    'keyring.js',
+    'secrets.js',
+    'output-folder.js',
+    'session.js',
+    'case-report.js',
+    'inspector.js',
+    'key-recovery.js',
+    'pwa.js',
+    'script.js',
+    'worker.js'
+];
+
+// Адрес, на который система отправляет файлы из «Поделиться»
+const SHARE_TARGET_PATH = 'share-target';
+
+// Сколько ждать, пока открывшаяся страница заберет присланные файлы
+const SHARED_FILES_TIMEOUT = 60 * 1000;
+
+// Присланные файлы до передачи странице и завершение ожидания передачи
+let sharedFiles = [];
+let sharedFilesDelivered = null;
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(APP_CACHE);
+        await cache.addAll(APP_ASSETS);
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('geolens-app-') && name !== APP_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+    if (event.request.method === 'POST' && url.href === new URL(SHARE_TARGET_PATH, self.registration.scope).href) {
+        event.respondWith(receiveSharedFiles(event.request));
+        // Воркер не должен завершиться, пока страница не заберет файлы
+        event.waitUntil(new Promise(resolve => {
+            sharedFilesDelivered = resolve;
+            setTimeout(resolve, SHARED_FILES_TIMEOUT);
+        }));
+        return;
+    }
+    if (event.request.method === 'GET') {
+        event.respondWith(fetchWithCacheFallback(event.request));
+    }
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'shared-files') {
+        event.source.postMessage({ type: 'shared-files', files: sharedFiles });
+        sharedFiles = [];
+        if (sharedFilesDelivered) {
+            sharedFilesDelivered();
+            sharedFilesDelivered = null;
+        }
+    }
+});
+
+/**
+ * Запрашивает файл приложения из сети и обновляет кэш; без сети отдает копию из кэша
+ * @param {Request} request - запрос GET к своему источнику
+ * @returns {Promise<Response>}
+ */
+async function fetchWithCacheFallback(request) {
+    const cache = await caches.open(APP_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Параметры адреса (например, ?shared=1) не меняют файл
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Принимает файлы из «Поделиться» и открывает страницу, которая их заберет
+ * Файлы хранятся только в памяти воркера до передачи странице
+ * @param {Request} request - запрос POST с multipart/form-data
+ * @returns {Promise<Response>} - перенаправление на страницу
+ */
+async function receiveSharedFiles(request) {
+    try {
+        const formData = await request.formData();
+        sharedFiles = formData.getAll('files').filter(file => file instanceof File);
+    } catch (error) {
+        sharedFiles = [];
+    }
+    return Response.redirect(new URL('./?shared=1', self.registration.scope).href, 303);
+}
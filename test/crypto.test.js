@@ -0,0 +1,41 @@
+// Шифрование и расшифровка содержимого: совместимость с файлами исходной версии.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { generateKey, decryptFileData, encryptFileData } = require('../lib.js');
+
+// Файл зашифрован так, как его расшифровывала исходная версия: счетчик IV 0x0123456789ABCDEF
+// больше 2^53 и при чтении через Number округляется до 0x0123456789ABCDF0
+const BASELINE_FIXTURE = path.join(__dirname, 'fixtures', 'baseline-counter.enc');
+const BASELINE_PLAINTEXT = 'GeoLens baseline counter fixture\n'.repeat(8);
+
+/**
+ * Расшифровывает данные целиком
+ * @param {Blob} blob - зашифрованный файл
+ * @param {CryptoKey} key - ключ generateKey
+ * @returns {Promise<Buffer>}
+ */
+async function decryptAll(blob, key) {
+    const chunks = [];
+    await decryptFileData(blob, key, { onChunk: async chunk => { chunks.push(Buffer.from(chunk)); } });
+    return Buffer.concat(chunks);
+}
+
+test('файл исходной версии со счетчиком больше 2^53 расшифровывается как раньше', async () => {
+    const blob = new Blob([fs.readFileSync(BASELINE_FIXTURE)]);
+    const decrypted = await decryptAll(blob, await generateKey('fixture'));
+    assert.strictEqual(decrypted.toString('utf8'), BASELINE_PLAINTEXT);
+});
+
+test('зашифрованное encryptFileData расшифровывается decryptFileData', async () => {
+    const key = await generateKey('round-trip');
+    const data = new TextEncoder().encode('Проверка шифрования\n'.repeat(100));
+    for (let i = 0; i < 20; i++) {
+        const encrypted = await encryptFileData(data.buffer, key);
+        const decrypted = await decryptAll(new Blob([encrypted]), key);
+        assert.deepStrictEqual(new Uint8Array(decrypted), data);
+    }
+});
@@ -0,0 +1,104 @@
+// Расшифровка: неверный пароль и распознавание форматов, похожих на случайные данные.
+// Запуск: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+    generateKey,
+    encryptFileData,
+    encryptFilename,
+    detectFileType,
+    verifyDecryptedHead,
+    crc32
+} = require('../lib.js');
+
+const CLI = path.join(__dirname, '..', 'dectryptor.js');
+
+/**
+ * Создает временную папку с файлами GeoLens, зашифрованными паролем
+ * @param {string} password - пароль
+ * @param {number} count - число файлов
+ * @returns {Promise<string>} - путь к папке
+ */
+async function createEncryptedFolder(password, count) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'geolens-test-'));
+    const key = await generateKey(password);
+    for (let i = 0; i < count; i++) {
+        const data = new TextEncoder().encode(`Файл ${i}\n`.repeat(200));
+        const name = encryptFilename(`2024010${i + 1}_120000`, 'https://example.com/', password);
+        fs.writeFileSync(path.join(directory, `${name}.jpg`), Buffer.from(await encryptFileData(data.buffer, key)));
+    }
+    return directory;
+}
+
+test('CLI: неверный единственный пароль — ошибка wrong-password и ненулевой код завершения', async () => {
+    const input = await createEncryptedFolder('right', 3);
+    const output = `${input}_decrypted`;
+    try {
+        const run = spawnSync(process.execPath, [CLI, input, '-p', 'WRONG', '-o', output], { encoding: 'utf8' });
+        const report = JSON.parse(run.stdout);
+        assert.notStrictEqual(run.status, 0);
+        assert.strictEqual(report.summary.succeeded, 0);
+        assert.strictEqual(report.summary.wrongPassword, 3);
+        report.files.forEach(entry => assert.strictEqual(entry.errorCode, 'wrong-password'));
+        assert.deepStrictEqual(fs.existsSync(output) ? fs.readdirSync(output) : [], []);
+    } finally {
+        fs.rmSync(input, { recursive: true, force: true });
+        fs.rmSync(output, { recursive: true, force: true });
+    }
+});
+
+test('CLI: верный пароль расшифровывает файлы', async () => {
+    const input = await createEncryptedFolder('right', 2);
+    const output = `${input}_decrypted`;
+    try {
+        const run = spawnSync(process.execPath, [CLI, input, '-p', 'right', '-o', output], { encoding: 'utf8' });
+        assert.strictEqual(run.status, 0);
+        assert.strictEqual(JSON.parse(run.stdout).summary.succeeded, 2);
+    } finally {
+        fs.rmSync(input, { recursive: true, force: true });
+        fs.rmSync(output, { recursive: true, force: true });
+    }
+});
+
+/**
+ * Дополняет заголовок случайными байтами, как у сжатого содержимого
+ * @param {number[]} header - байты заголовка
+ * @returns {Uint8Array}
+ */
+function withRandomBody(header) {
+    const bytes = new Uint8Array(4096);
+    crypto.getRandomValues(bytes);
+    bytes.set(header);
+    return bytes;
+}
+
+test('7z, RAR, WebM и Matroska распознаются, а не считаются неверным паролем', () => {
+    const sevenZip = withRandomBody([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C, 0x00, 0x04]);
+    new DataView(sevenZip.buffer).setUint32(8, crc32(sevenZip.subarray(12, 32)), true);
+    const ebml = docType => withRandomBody([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x82, 0x84, ...Buffer.from(docType)]);
+    const samples = {
+        '7Z': sevenZip,
+        RAR: withRandomBody([...Buffer.from('Rar!'), 0x1A, 0x07, 0x01, 0x00]),
+        WEBM: ebml('webm'),
+        MKV: ebml('matroska')
+    };
+
+    for (const [type, bytes] of Object.entries(samples)) {
+        const fileType = detectFileType(bytes.buffer);
+        assert.strictEqual(fileType.type, type);
+        assert.strictEqual(verifyDecryptedHead(bytes.buffer, fileType, bytes.length).outcome, 'valid');
+    }
+});
+
+test('7z с неверной контрольной суммой заголовка при случайных данных — неверный пароль', () => {
+    const bytes = withRandomBody([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]);
+    new DataView(bytes.buffer).setUint32(8, crc32(bytes.subarray(12, 32)) ^ 1, true);
+    const fileType = detectFileType(bytes.buffer);
+    assert.strictEqual(verifyDecryptedHead(bytes.buffer, fileType, bytes.length).outcome, 'wrong-password');
+});
@@ -0,0 +1,59 @@
+// Экспорт в CSV: экранирование и защита от формул.
+// geo.js и export.js — обычные скрипты страницы, поэтому выполняются в отдельном контексте.
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ URL, URLSearchParams });
+for (const name of ['geo.js', 'export.js']) {
+    const filename = path.join(__dirname, '..', name);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+}
+
+/**
+ * Разбирает CSV без кавычек в поля по именам колонок
+ * @param {string} csv - содержимое CSV
+ * @returns {Object[]}
+ */
+function parseSimpleCsv(csv) {
+    const [header, ...rows] = csv.replace(/^\uFEFF/, '').trim().split('\r\n').map(line => line.split(','));
+    return rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+}
+
+test('отрицательные координаты, высота и разница во времени остаются числами', () => {
+    const [row] = parseSimpleCsv(context.buildRecordsCsv([{
+        originalName: 'photo.jpg',
+        link: null,
+        exifLatitude: -33.8688,
+        exifLongitude: -70.6693,
+        exifAltitude: -12,
+        exifTimeDifference: -3600
+    }]));
+    assert.strictEqual(row.latitude, '-33.8688');
+    assert.strictEqual(row.longitude, '-70.6693');
+    assert.strictEqual(row.exif_latitude, '-33.8688');
+    assert.strictEqual(row.exif_longitude, '-70.6693');
+    assert.strictEqual(row.exif_altitude, '-12');
+    assert.strictEqual(row.exif_time_difference_s, '-3600');
+});
+
+test('отрицательные координаты из ссылки остаются числами', () => {
+    const [row] = parseSimpleCsv(context.buildRecordsCsv([{
+        originalName: 'photo.jpg',
+        link: 'https://www.openstreetmap.org/?mlat=-33.8688&mlon=-70.6693'
+    }]));
+    assert.strictEqual(row.latitude, '-33.8688');
+    assert.strictEqual(row.longitude, '-70.6693');
+});
+
+test('строки, похожие на формулы, получают префикс', () => {
+    for (const value of ['=SUM(A1)', '+1', '-1', '@cmd', '\tx']) {
+        assert.strictEqual(context.escapeCsvField(value), `'${value}`);
+    }
+    assert.strictEqual(context.escapeCsvField('a,"b"'), '"a,""b"""');
+    assert.strictEqual(context.escapeCsvField(-5), '-5');
+});
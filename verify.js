@@ -0,0 +1,294 @@
+// Проверка результата расшифровки: верен ли пароль и цел ли файл.
+// AES-CTR с неверным ключом дает данные, неотличимые от случайных, поэтому
+// статистика начала файла дополняется проверкой структуры распознанного формата.
+// Файл не обращается к DOM и подключается страницей, веб-воркером и в Node.js (lib.js).
+// Причины — не текст, а сообщения createMessage: текст подставляется при показе (i18n.js).
+
+// Меньше этого числа байт статистика ненадежна
+const VERIFY_MIN_SAMPLE = 256;
+
+// Порог критерия хи-квадрат для равномерного распределения байтов:
+// у случайных данных среднее 255 и стандартное отклонение около 22.6 при любом размере выборки
+const VERIFY_CHI_SQUARE_LIMIT = 255 + 4 * Math.sqrt(510);
+
+// Доля печатаемых байтов (0x20–0x7E, табуляция и переводы строк) в случайных данных
+const RANDOM_PRINTABLE_RATIO = 98 / 256;
+const VERIFY_PRINTABLE_MARGIN = 0.08;
+
+// Сколько байт с конца файла хранится для проверки его окончания
+const VERIFY_TAIL_SIZE = 64 * 1024;
+
+// Методы сжатия, встречающиеся в локальных заголовках ZIP
+const ZIP_COMPRESSION_METHODS = [0, 1, 6, 8, 9, 12, 14, 93, 95, 98, 99];
+
+// Допустимые размеры заголовка DIB в BMP
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+/**
+ * Оценивает, похожи ли данные на случайные
+ * Распределение байтов проверяется критерием хи-квадрат, доля печатаемых байтов
+ * сравнивается с долей в равномерном распределении; энтропия приводится для сообщения
+ * @param {Uint8Array} bytes - выборка
+ * @returns {Object} - { entropy, printableRatio, looksRandom }
+ */
+function measureRandomness(bytes) {
+    const counts = new Uint32Array(256);
+    let printable = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        counts[byte]++;
+        if ((byte >= 0x20 && byte <= 0x7E) || byte === 0x09 || byte === 0x0A || byte === 0x0D) {
+            printable++;
+        }
+    }
+
+    const expectedCount = bytes.length / 256;
+    let entropy = 0;
+    let chiSquare = 0;
+    counts.forEach(count => {
+        if (count > 0) {
+            const p = count / bytes.length;
+            entropy -= p * Math.log2(p);
+        }
+        chiSquare += (count - expectedCount) ** 2 / expectedCount;
+    });
+
+    const printableRatio = bytes.length ? printable / bytes.length : 0;
+    const looksRandom = bytes.length >= VERIFY_MIN_SAMPLE &&
+        chiSquare <= VERIFY_CHI_SQUARE_LIMIT &&
+        Math.abs(printableRatio - RANDOM_PRINTABLE_RATIO) <= VERIFY_PRINTABLE_MARGIN;
+
+    return { entropy, printableRatio, looksRandom };
+}
+
+/**
+ * Проходит цепочку сегментов JPEG до начала данных изображения (SOS)
+ * @param {Uint8Array} bytes - начало файла
+ * @param {Object} context - { complete } — в bytes весь файл
+ * @returns {Object|null} - проблема { problem, reason } или null
+ */
+function validateJpegStructure(bytes, { complete }) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            return { problem: 'invalid', reason: createMessage('verify.jpegSegmentGap', { offset }) };
+        }
+        const marker = bytes[offset + 1];
+        if (marker === 0xFF) {
+            // Байты-заполнители перед маркером
+            offset++;
+            continue;
+        }
+        if (marker === 0xDA) {
+            return null;
+        }
+        if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+            offset += 2;
+            continue;
+        }
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker === 0x00 || marker === 0xD8 || marker === 0xD9 || length < 2) {
+            return { problem: 'invalid', reason: createMessage('verify.jpegBadSegment', { offset }) };
+        }
+        offset += 2 + length;
+    }
+    return complete
+        ? { problem: 'truncated', reason: createMessage('verify.jpegTruncated') }
+        : null;
+}
+
+/**
+ * Проверяет заголовок IHDR в PNG и его контрольную сумму
+ * @param {Uint8Array} bytes - начало файла
+ * @returns {Object|null} - проблема { problem, reason } или null
+ */
+function validatePngStructure(bytes) {
+    if (bytes.length < 33) {
+        return { problem: 'truncated', reason: createMessage('verify.pngTruncated') };
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(8) !== 13 || !matchBytes(bytes, 12, 'IHDR')) {
+        return { problem: 'invalid', reason: createMessage('verify.pngNoIhdr') };
+    }
+    if (crc32(bytes.subarray(12, 29)) !== view.getUint32(29)) {
+        return { problem: 'invalid', reason: createMessage('verify.pngBadCrc') };
+    }
+    if (view.getUint32(16) === 0 || view.getUint32(20) === 0) {
+        return { problem: 'invalid', reason: createMessage('verify.pngZeroSize') };
+    }
+    return null;
+}
+
+/**
+ * Проверяет, что блок ftyp и следующий за ним блок ISO BMFF корректны
+ * @param {Uint8Array} bytes - начало файла
+ * @param {Object} context - { complete } — в bytes весь файл
+ * @returns {Object|null} - проблема { problem, reason } или null
+ */
+function validateFtypStructure(bytes, { complete }) {
+    const boxSize = ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+    if (boxSize + 8 > bytes.length) {
+        return complete ? { problem: 'truncated', reason: createMessage('verify.ftypTruncated') } : null;
+    }
+    if (!/^[\x20-\x7E]{4}$/.test(readAscii(bytes, boxSize + 4, 4))) {
+        return { problem: 'invalid', reason: createMessage('verify.ftypNoBox') };
+    }
+    return null;
+}
+
+/**
+ * Проверяет, что размер RIFF, указанный в заголовке, не больше размера файла
+ * @param {Uint8Array} bytes - начало файла
+ * @param {Object} context - { fileSize } — размер расшифрованных данных
+ * @returns {Object|null} - проблема { problem, reason } или null
+ */
+function validateRiffStructure(bytes, { fileSize }) {
+    const declaredSize = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(4, true) + 8;
+    return declaredSize > fileSize
+        ? { problem: 'truncated', reason: createMessage('verify.riffTruncated', { declaredSize, fileSize }) }
+        : null;
+}
+
+// Проверки структуры по типу файла; типы без проверки считаются корректными по сигнатуре
+const STRUCTURE_VALIDATORS = {
+    JPEG: validateJpegStructure,
+    PNG: validatePngStructure,
+    GIF: bytes => bytes.length >= 10 && (bytes[6] | bytes[7]) && (bytes[8] | bytes[9])
+        ? null
+        : { problem: 'invalid', reason: createMessage('verify.gifZeroSize') },
+    BMP: (bytes, { fileSize }) => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 18 || !BMP_HEADER_SIZES.includes(view.getUint32(14, true))) {
+            return { problem: 'invalid', reason: createMessage('verify.bmpBadHeader') };
+        }
+        return view.getUint32(2, true) > fileSize
+            ? { problem: 'truncated', reason: createMessage('verify.bmpTruncated') }
+            : null;
+    },
+    WEBP: validateRiffStructure,
+    WAV: validateRiffStructure,
+    AVI: validateRiffStructure,
+    HEIC: validateFtypStructure,
+    AVIF: validateFtypStructure,
+    MP4: validateFtypStructure,
+    MOV: validateFtypStructure,
+    '3GP': validateFtypStructure,
+    M4A: validateFtypStructure,
+    PDF: bytes => /^%PDF-\d\.\d/.test(readAscii(bytes, 0, 8))
+        ? null
+        : { problem: 'invalid', reason: createMessage('verify.pdfBadVersion') },
+    ZIP: bytes => {
+        if (!matchBytes(bytes, 2, [0x03, 0x04]) || bytes.length < 30) return null;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return view.getUint16(4, true) <= 100 && ZIP_COMPRESSION_METHODS.includes(view.getUint16(8, true))
+            ? null
+            : { problem: 'invalid', reason: createMessage('verify.zipBadHeader') };
+    },
+    GZIP: bytes => (bytes[3] & 0xE0) === 0
+        ? null
+        : { problem: 'invalid', reason: createMessage('verify.gzipReservedFlags') },
+    // Начальный заголовок 7z защищен CRC32 байтов 12–31
+    '7Z': bytes => bytes.length >= 32 &&
+        crc32(bytes.subarray(12, 32)) === new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(8, true)
+        ? null
+        : { problem: 'invalid', reason: createMessage('verify.sevenZipBadCrc') },
+    OGG: bytes => bytes[4] === 0
+        ? null
+        : { problem: 'invalid', reason: createMessage('verify.oggBadVersion') },
+    MP3: bytes => bytes.length >= 10 && [6, 7, 8, 9].every(i => bytes[i] < 0x80)
+        ? null
+        : { problem: 'invalid', reason: createMessage('verify.id3BadSize') }
+};
+
+/**
+ * Ищет последовательность байтов
+ * @param {Uint8Array} bytes - данные
+ * @param {number[]|string} pattern - байты или ASCII-строка
+ * @returns {boolean}
+ */
+function containsBytes(bytes, pattern) {
+    const first = typeof pattern === 'string' ? pattern.charCodeAt(0) : pattern[0];
+    for (let i = bytes.indexOf(first); i !== -1; i = bytes.indexOf(first, i + 1)) {
+        if (matchBytes(bytes, i, pattern)) return true;
+    }
+    return false;
+}
+
+// Признаки конца файла по типу; отсутствие признака означает, что файл обрезан
+const TAIL_MARKERS = {
+    JPEG: { pattern: [0xFF, 0xD9], reason: createMessage('verify.jpegNoEnd') },
+    PNG: { pattern: 'IEND', reason: createMessage('verify.pngNoEnd') },
+    PDF: { pattern: '%%EOF', reason: createMessage('verify.pdfNoEnd') },
+    ZIP: { pattern: [0x50, 0x4B, 0x05, 0x06], reason: createMessage('verify.zipNoEnd') }
+};
+
+/**
+ * Проверяет начало расшифрованных данных
+ * @param {ArrayBuffer} head - первый расшифрованный фрагмент
+ * @param {Object} fileType - результат detectFileType
+ * @param {number} fileSize - размер расшифрованных данных
+ * @returns {Object} - { outcome, reason }; outcome — 'valid', 'plausible',
+ *     'corrupted' (поврежден или обрезан) или 'wrong-password'
+ */
+function verifyDecryptedHead(head, fileType, fileSize) {
+    const bytes = new Uint8Array(head);
+    const randomness = measureRandomness(bytes.subarray(0, FILE_TYPE_SCAN_SIZE));
+    const randomReason = createMessage('verify.randomData', { entropy: randomness.entropy.toFixed(2) });
+
+    if (!fileType.isValid) {
+        if (randomness.looksRandom) {
+            return { outcome: 'wrong-password', reason: randomReason };
+        }
+        return {
+            outcome: 'plausible',
+            reason: bytes.length < VERIFY_MIN_SAMPLE
+                ? createMessage('verify.unknownTooShort')
+                : createMessage('verify.unknownNotRandom')
+        };
+    }
+
+    const validator = STRUCTURE_VALIDATORS[fileType.type];
+    const problem = validator ? validator(bytes, { fileSize, complete: bytes.length >= fileSize }) : null;
+    if (!problem) {
+        return { outcome: 'valid', reason: null };
+    }
+
+    // Сигнатура совпала, а структура нарушена: при случайных данных это
+    // совпадение после расшифровки неверным ключом, иначе — повреждение
+    if (problem.problem === 'invalid' && randomness.looksRandom) {
+        return { outcome: 'wrong-password', reason: randomReason };
+    }
+    return { outcome: 'corrupted', reason: problem.reason };
+}
+
+/**
+ * Проверяет окончание расшифрованных данных
+ * @param {Uint8Array} tail - последние байты файла (до VERIFY_TAIL_SIZE)
+ * @param {Object} fileType - результат detectFileType
+ * @returns {Object|null} - { outcome: 'corrupted', reason } или null, если окончание в порядке
+ */
+function verifyDecryptedTail(tail, fileType) {
+    const marker = TAIL_MARKERS[fileType.type];
+    if (!marker || containsBytes(tail, marker.pattern)) {
+        return null;
+    }
+    return { outcome: 'corrupted', reason: marker.reason };
+}
+
+/**
+ * Добавляет фрагмент к сохраненному концу данных
+ * Возвращает копию, поэтому исходный фрагмент можно передать другому потоку
+ * @param {Uint8Array|null} tail - сохраненный конец данных
+ * @param {ArrayBuffer} chunk - новый фрагмент
+ * @returns {Uint8Array} - последние VERIFY_TAIL_SIZE байт
+ */
+function appendVerificationTail(tail, chunk) {
+    const bytes = new Uint8Array(chunk);
+    if (bytes.length >= VERIFY_TAIL_SIZE || !tail) {
+        return bytes.slice(-VERIFY_TAIL_SIZE);
+    }
+    const combined = new Uint8Array(tail.length + bytes.length);
+    combined.set(tail);
+    combined.set(bytes, tail.length);
+    return combined.slice(-VERIFY_TAIL_SIZE);
+}
@@ -0,0 +1,55 @@
+// Веб-воркер расшифровки. Протокол сообщений:
+//   страница → воркер: { type: 'job', file, keys }, { type: 'ack' }, { type: 'abort' };
+//                      keys — { name, key } с неизвлекаемым CryptoKey, пароли в воркер не передаются;
+//                      { type: 'job', kind: 'recovery', stage, ... } — задание подбора пароля (recovery.js)
+//   воркер → страница: { type: 'progress', fraction }, { type: 'chunk', index, data, fileType },
+//                      { type: 'done', result }, { type: 'error', message, code, displayMessage, inputSha256 }
+importScripts('core.js', 'exif.js', 'verify.js', 'recovery.js');
+
+// Ожидание подтверждения записи текущего фрагмента
+let pendingAck = null;
+
+/**
+ * Ждет от страницы подтверждения, что фрагмент записан
+ * @returns {Promise<void>}
+ */
+function waitForAck() {
+    return new Promise((resolve, reject) => {
+        pendingAck = { resolve, reject };
+    });
+}
+
+self.onmessage = async function(e) {
+    const message = e.data;
+
+    if (message.type === 'ack' || message.type === 'abort') {
+        const ack = pendingAck;
+        pendingAck = null;
+        if (ack) {
+            if (message.type === 'ack') {
+                ack.resolve();
+            } else {
+                ack.reject(createCodedError('error.writeAborted'));
+            }
+        }
+        return;
+    }
+
+    if (message.type === 'job') {
+        try {
+            const post = (data, transfer) => self.postMessage(data, transfer || []);
+            const result = message.kind === 'recovery'
+                ? await runRecoveryJob(message, post)
+                : await runDecryptJob(message, post, waitForAck);
+            self.postMessage({ type: 'done', result });
+        } catch (error) {
+            self.postMessage({
+                type: 'error',
+                message: error.message,
+                code: error.code,
+                displayMessage: error.displayMessage,
+                inputSha256: error.inputSha256
+            });
+        }
+    }
+};
@@ -0,0 +1,216 @@
+// Потоковая запись ZIP-архива без сжатия (STORE) с поддержкой ZIP64.
+// Файл не обращается к DOM: данные передаются в приемник с методами write/close.
+// CRC-32 вычисляется функцией crc32 из core.js.
+
+// Размер фрагмента при чтении файлов для архива
+const ZIP_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Значение-заглушка для полей, вынесенных в расширение ZIP64
+const ZIP64_MARKER = 0xFFFFFFFF;
+
+/**
+ * Переводит дату в формат MS-DOS, используемый в заголовках ZIP
+ * @param {Date} date - дата
+ * @returns {Object} - поля time и date
+ */
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Записывает 64-битное число в DataView (little-endian)
+ * @param {DataView} view - представление буфера
+ * @param {number} offset - смещение
+ * @param {number} value - значение (до 2^53)
+ */
+function setUint64(view, offset, value) {
+    view.setUint32(offset, value % 0x100000000, true);
+    view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+}
+
+/**
+ * Подбирает уникальные имена для записей архива
+ * Повторяющиеся имена получают суффикс _2, _3 и т.д. перед расширением;
+ * сравнение без учета регистра, чтобы архив корректно распаковывался в Windows
+ * @param {string[]} names - исходные имена (или пути через «/») в порядке добавления
+ * @param {string[]} reserved - уже занятые имена
+ * @returns {string[]} - уникальные имена в том же порядке
+ */
+function resolveDuplicateNames(names, reserved = []) {
+    const used = new Set(reserved.map(name => name.toLowerCase()));
+
+    return names.map(name => {
+        let candidate = name;
+        // Точка в имени папки расширением не считается
+        const dotIndex = name.lastIndexOf('.');
+        const hasExtension = dotIndex > name.lastIndexOf('/') + 1;
+        const base = hasExtension ? name.slice(0, dotIndex) : name;
+        const extension = hasExtension ? name.slice(dotIndex) : '';
+
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base}_${n}${extension}`;
+        }
+
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+/**
+ * Создает потоковый ZIP-писатель
+ * Данные каждого файла читаются дважды: сначала для CRC, затем для записи.
+ * Так заголовки содержат точные CRC и размеры, а в памяти находится один фрагмент
+ * @param {Object} sink - приемник с методами write(ArrayBuffer|Uint8Array) и close()
+ * @returns {Object} - писатель с методами addFile и close
+ */
+function createZipWriter(sink) {
+    const encoder = new TextEncoder();
+    const entries = [];
+    let offset = 0;
+
+    async function write(bytes) {
+        await sink.write(bytes);
+        offset += bytes.byteLength;
+    }
+
+    return {
+        /**
+         * Добавляет файл в архив
+         * @param {string} name - имя внутри архива
+         * @param {Blob} blob - содержимое
+         * @param {Object} [options] - параметры
+         * @param {Date} [options.modified] - дата изменения
+         * @param {function(number): void} [options.onProgress] - получает число обработанных байт
+         * @returns {Promise<void>}
+         */
+        async addFile(name, blob, { modified = new Date(), onProgress } = {}) {
+            const nameBytes = encoder.encode(name);
+            const size = blob.size;
+            const localOffset = offset;
+            const zip64 = size >= ZIP64_MARKER || localOffset >= ZIP64_MARKER;
+            const dos = toDosDateTime(modified);
+
+            // Первый проход: CRC
+            let crc = 0;
+            for (let position = 0; position < size; position += ZIP_CHUNK_SIZE) {
+                const chunk = new Uint8Array(await blob.slice(position, position + ZIP_CHUNK_SIZE).arrayBuffer());
+                crc = crc32(chunk, crc);
+                if (onProgress) {
+                    onProgress((position + chunk.length) / 2);
+                }
+            }
+
+            // Локальный заголовок
+            const extraLength = zip64 ? 20 : 0;
+            const header = new Uint8Array(30 + nameBytes.length + extraLength);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, 0x04034B50, true);
+            view.setUint16(4, zip64 ? 45 : 20, true);
+            view.setUint16(6, 0x0800, true); // имена в UTF-8
+            view.setUint16(8, 0, true); // STORE
+            view.setUint16(10, dos.time, true);
+            view.setUint16(12, dos.date, true);
+            view.setUint32(14, crc, true);
+            view.setUint32(18, zip64 ? ZIP64_MARKER : size, true);
+            view.setUint32(22, zip64 ? ZIP64_MARKER : size, true);
+            view.setUint16(26, nameBytes.length, true);
+            view.setUint16(28, extraLength, true);
+            header.set(nameBytes, 30);
+            if (zip64) {
+                const extraOffset = 30 + nameBytes.length;
+                view.setUint16(extraOffset, 0x0001, true);
+                view.setUint16(extraOffset + 2, 16, true);
+                setUint64(view, extraOffset + 4, size);
+                setUint64(view, extraOffset + 12, size);
+            }
+            await write(header);
+
+            // Второй проход: данные
+            for (let position = 0; position < size; position += ZIP_CHUNK_SIZE) {
+                const chunk = await blob.slice(position, position + ZIP_CHUNK_SIZE).arrayBuffer();
+                await write(chunk);
+                if (onProgress) {
+                    onProgress((size + position + chunk.byteLength) / 2);
+                }
+            }
+
+            entries.push({ nameBytes, size, crc, dos, localOffset });
+        },
+
+        /**
+         * Записывает центральный каталог и закрывает приемник
+         * @returns {Promise<*>} - результат sink.close()
+         */
+        async close() {
+            const directoryOffset = offset;
+
+            for (const entry of entries) {
+                const zip64 = entry.size >= ZIP64_MARKER || entry.localOffset >= ZIP64_MARKER;
+                const extraLength = zip64 ? 28 : 0;
+                const record = new Uint8Array(46 + entry.nameBytes.length + extraLength);
+                const view = new DataView(record.buffer);
+                view.setUint32(0, 0x02014B50, true);
+                view.setUint16(4, 45, true);
+                view.setUint16(6, zip64 ? 45 : 20, true);
+                view.setUint16(8, 0x0800, true);
+                view.setUint16(10, 0, true);
+                view.setUint16(12, entry.dos.time, true);
+                view.setUint16(14, entry.dos.date, true);
+                view.setUint32(16, entry.crc, true);
+                view.setUint32(20, zip64 ? ZIP64_MARKER : entry.size, true);
+                view.setUint32(24, zip64 ? ZIP64_MARKER : entry.size, true);
+                view.setUint16(28, entry.nameBytes.length, true);
+                view.setUint16(30, extraLength, true);
+                view.setUint32(42, zip64 ? ZIP64_MARKER : entry.localOffset, true);
+                record.set(entry.nameBytes, 46);
+                if (zip64) {
+                    const extraOffset = 46 + entry.nameBytes.length;
+                    view.setUint16(extraOffset, 0x0001, true);
+                    view.setUint16(extraOffset + 2, 24, true);
+                    setUint64(view, extraOffset + 4, entry.size);
+                    setUint64(view, extraOffset + 12, entry.size);
+                    setUint64(view, extraOffset + 20, entry.localOffset);
+                }
+                await write(record);
+            }
+
+            const directorySize = offset - directoryOffset;
+            const needsZip64 = entries.length >= 0xFFFF ||
+                directoryOffset >= ZIP64_MARKER || directorySize >= ZIP64_MARKER;
+
+            if (needsZip64) {
+                // Запись ZIP64 end of central directory и ее локатор
+                const zip64EndOffset = offset;
+                const zip64End = new Uint8Array(56 + 20);
+                const view = new DataView(zip64End.buffer);
+                view.setUint32(0, 0x06064B50, true);
+                setUint64(view, 4, 44);
+                view.setUint16(12, 45, true);
+                view.setUint16(14, 45, true);
+                setUint64(view, 24, entries.length);
+                setUint64(view, 32, entries.length);
+                setUint64(view, 40, directorySize);
+                setUint64(view, 48, directoryOffset);
+                view.setUint32(56, 0x07064B50, true);
+                setUint64(view, 64, zip64EndOffset);
+                view.setUint32(72, 1, true);
+                await write(zip64End);
+            }
+
+            const end = new Uint8Array(22);
+            const view = new DataView(end.buffer);
+            view.setUint32(0, 0x06054B50, true);
+            view.setUint16(8, needsZip64 ? 0xFFFF : entries.length, true);
+            view.setUint16(10, needsZip64 ? 0xFFFF : entries.length, true);
+            view.setUint32(12, needsZip64 ? ZIP64_MARKER : directorySize, true);
+            view.setUint32(16, needsZip64 ? ZIP64_MARKER : directoryOffset, true);
+            await write(end);
+
+            return await sink.close();
+        }
+    };
+}